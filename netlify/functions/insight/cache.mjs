@@ -0,0 +1,44 @@
+import { createHash } from 'node:crypto';
+
+// In-memory insight cache. It lives as long as the warm function instance,
+// which is enough to absorb repeat opens of popular markets.
+
+const MAX_ENTRIES = 500;
+const TTL = 30 * 60 * 1000; // ms
+
+// Same odds buckets as the client cache (src/data/insights.js), so small
+// price moves reuse the same insight
+const ODDS_BUCKET_SIZE = 5;
+
+// Keyed on the market id and odds bucket. The market details come from the
+// client, so the key also hashes the text the insight is written from: a
+// request with a made-up title or description must not be able to fill the
+// cache entry other users of that market read.
+export const cacheKey = ({ provider, model, system, market }) => {
+    const bucket = Math.floor(market.odds / ODDS_BUCKET_SIZE) * ODDS_BUCKET_SIZE;
+    const details = createHash('sha256')
+        .update([system, market.title, market.description, market.leadingOutcome ?? ''].join('\n'))
+        .digest('hex');
+    return `${provider}:${model}:${market.id}:${bucket}:${details}`;
+};
+
+const entries = new Map();
+
+export const getCached = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (Date.now() - entry.storedAt > TTL) {
+        entries.delete(key);
+        return null;
+    }
+    // Re-insert to keep the Map in least-recently-used order
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.text;
+};
+
+export const setCached = (key, text) => {
+    entries.delete(key);
+    entries.set(key, { text, storedAt: Date.now() });
+    if (entries.size > MAX_ENTRIES) entries.delete(entries.keys().next().value);
+};
@@ -0,0 +1,88 @@
+import { SYSTEM_PROMPT, parseMarket, buildUserQuery } from './prompt.mjs';
+import { resolveProvider } from './providers.mjs';
+import { cacheKey, getCached, setCached } from './cache.mjs';
+
+// POST /api/insight  { market: { id, title, description, odds, volume, outcomes, ... } }
+// Streams a short AI market insight back as plain text. Provider keys stay
+// on the server; see providers.mjs for configuration.
+
+const jsonError = (status, message) => new Response(JSON.stringify({ error: message }), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+});
+
+const textHeaders = (cacheStatus, provider) => ({
+    'Content-Type': 'text/plain; charset=utf-8',
+    'Cache-Control': 'no-store',
+    'X-Insight-Cache': cacheStatus,
+    'X-Insight-Provider': provider,
+});
+
+export default async (req) => {
+    if (req.method !== 'POST') return jsonError(405, 'Use POST');
+
+    let market;
+    try {
+        market = parseMarket(await req.json());
+    } catch {
+        market = null;
+    }
+    if (!market) return jsonError(400, 'Expected a JSON body with a market id and title');
+
+    let provider;
+    try {
+        provider = resolveProvider(process.env);
+    } catch (err) {
+        console.error('Insight provider misconfigured:', err);
+        return jsonError(500, 'Insight provider is not configured');
+    }
+
+    const prompt = buildUserQuery(market);
+    const key = cacheKey({ provider: provider.name, model: provider.model, system: SYSTEM_PROMPT, market });
+    const cached = getCached(key);
+    if (cached) return new Response(cached, { headers: textHeaders('hit', provider.name) });
+
+    const tokens = provider.stream({
+        apiKey: provider.apiKey,
+        model: provider.model,
+        system: SYSTEM_PROMPT,
+        prompt,
+        market,
+        signal: req.signal,
+    });
+
+    // Wait for the first chunk so upstream failures can still get an error status
+    let first;
+    try {
+        first = await tokens.next();
+    } catch (err) {
+        console.error('Insight provider failed:', err);
+        return jsonError(502, 'Insight provider failed');
+    }
+
+    const encoder = new TextEncoder();
+    const body = new ReadableStream({
+        async start(controller) {
+            let text = '';
+            try {
+                for (let result = first; !result.done; result = await tokens.next()) {
+                    text += result.value;
+                    controller.enqueue(encoder.encode(result.value));
+                }
+            } catch (err) {
+                // Headers are already sent; fail the body so the client can
+                // tell a cut-off insight from a finished one
+                console.error('Insight stream interrupted:', err);
+                controller.error(err);
+                return;
+            }
+            if (text) setCached(key, text);
+            controller.close();
+        },
+        cancel() {
+            tokens.return();
+        },
+    });
+
+    return new Response(body, { headers: textHeaders('miss', provider.name) });
+};
@@ -0,0 +1,110 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import handler from './insight.mjs';
+import { PROVIDERS } from './providers.mjs';
+
+const market = {
+    id: 'm-1',
+    title: 'Will it rain tomorrow?',
+    description: 'Resolves Yes if it rains.',
+    odds: 62,
+    volume: 1234567,
+    outcomes: [{ name: 'Yes', price: 0.62 }, { name: 'No', price: 0.38 }],
+};
+
+const post = (body) => handler(new Request('http://localhost/api/insight', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: typeof body === 'string' ? body : JSON.stringify(body),
+}));
+
+describe('insight function', () => {
+    beforeEach(() => {
+        vi.stubEnv('INSIGHT_PROVIDER', 'mock');
+    });
+
+    afterEach(() => {
+        vi.unstubAllEnvs();
+    });
+
+    it('streams an insight from the mock provider, then serves it from the cache', async () => {
+        const first = await post({ market });
+        expect(first.status).toBe(200);
+        expect(first.headers.get('X-Insight-Provider')).toBe('mock');
+        expect(first.headers.get('X-Insight-Cache')).toBe('miss');
+        const text = await first.text();
+        expect(text).toMatch(/^\[Mock insight\] With odds at 62%, the market favours "Will it rain tomorrow\?"/);
+
+        const second = await post({ market });
+        expect(second.headers.get('X-Insight-Cache')).toBe('hit');
+        expect(await second.text()).toBe(text);
+    });
+
+    it('does not serve one market\'s cached insight for a request with different details', async () => {
+        await (await post({ market })).text();
+
+        const forged = await post({ market: { ...market, title: 'Something else entirely' } });
+        expect(forged.headers.get('X-Insight-Cache')).toBe('miss');
+        expect(await forged.text()).toContain('"Something else entirely"');
+
+        const genuine = await post({ market });
+        expect(genuine.headers.get('X-Insight-Cache')).toBe('hit');
+        expect(await genuine.text()).toContain('"Will it rain tomorrow?"');
+    });
+
+    it('reuses an insight while the odds stay in the same bucket', async () => {
+        const sameBucket = { ...market, id: 'm-3' };
+        await (await post({ market: sameBucket })).text();
+
+        const moved = await post({ market: { ...sameBucket, odds: 64, volume: 1300000 } });
+        expect(moved.headers.get('X-Insight-Cache')).toBe('hit');
+        expect(await moved.text()).toContain('odds at 62%');
+
+        const nextBucket = await post({ market: { ...sameBucket, odds: 65 } });
+        expect(nextBucket.headers.get('X-Insight-Cache')).toBe('miss');
+        expect(await nextBucket.text()).toContain('odds at 65%');
+    });
+
+    it('fails the body and caches nothing when the provider breaks off mid-stream', async () => {
+        const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+        const stream = vi.spyOn(PROVIDERS.mock, 'stream').mockImplementation(async function* () {
+            yield 'A partial ';
+            throw new Error('connection reset');
+        });
+        const interrupted = { ...market, id: 'm-4' };
+
+        const first = await post({ market: interrupted });
+        expect(first.status).toBe(200);
+        await expect(first.text()).rejects.toThrow('connection reset');
+        expect(error).toHaveBeenCalledWith('Insight stream interrupted:', expect.any(Error));
+
+        stream.mockRestore();
+        error.mockRestore();
+        const retry = await post({ market: interrupted });
+        expect(retry.headers.get('X-Insight-Cache')).toBe('miss');
+        expect(await retry.text()).toMatch(/^\[Mock insight\]/);
+    });
+
+    it('rejects other methods', async () => {
+        const response = await handler(new Request('http://localhost/api/insight'));
+        expect(response.status).toBe(405);
+    });
+
+    it.each([
+        ['malformed JSON', '{"market":'],
+        ['a missing market', {}],
+        ['a market without a title', { market: { id: 'm-2' } }],
+    ])('rejects %s', async (_, body) => {
+        const response = await post(body);
+        expect(response.status).toBe(400);
+        expect(await response.json()).toEqual({ error: 'Expected a JSON body with a market id and title' });
+    });
+
+    it('reports a misconfigured provider', async () => {
+        vi.stubEnv('INSIGHT_PROVIDER', 'nope');
+        const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+        const response = await post({ market });
+        expect(response.status).toBe(500);
+        expect(error).toHaveBeenCalled();
+        error.mockRestore();
+    });
+});
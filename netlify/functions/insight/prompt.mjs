@@ -0,0 +1,48 @@
+// The analyst prompt lives server-side so clients can only ask about a
+// market, not use the endpoint as a general-purpose LLM proxy.
+
+export const SYSTEM_PROMPT = `
+You are a sharp, insightful market analyst for PolyFutures.xyz.
+Your role is to provide a concise, data-driven, and neutral insight into a prediction market.
+Analyze the provided market data and generate a short, analytical summary (2-3 sentences).
+Focus on the potential drivers behind the current odds and what factors could influence future movements.
+Do not give financial advice. Keep the tone professional but engaging.
+`.trim();
+
+const MAX_DESCRIPTION_LENGTH = 2000;
+const MAX_OUTCOMES = 20;
+
+const clip = (value, length) => String(value ?? '').slice(0, length);
+
+// Three significant figures are plenty for the analysis
+const roundVolume = (volume) => (volume > 0 ? Number(volume.toPrecision(3)) : 0);
+
+// Validates the market payload from the client; returns null if unusable
+export const parseMarket = (body) => {
+    const market = body?.market;
+    if (!market || market.id === undefined || !market.title) return null;
+
+    const odds = Number(market.odds);
+    return {
+        id: clip(market.id, 100),
+        title: clip(market.title, 300),
+        description: clip(market.description, MAX_DESCRIPTION_LENGTH),
+        odds: Number.isFinite(odds) ? Math.min(100, Math.max(0, Math.round(odds))) : 0,
+        volume: roundVolume(Number(market.volume) || 0),
+        leadingOutcome: market.isMultiOutcome ? clip(market.leadingOutcome, 100) : null,
+        outcomes: Array.isArray(market.outcomes)
+            ? market.outcomes.slice(0, MAX_OUTCOMES).map(outcome => ({
+                name: clip(outcome.name, 100),
+                price: Number(outcome.price) || 0,
+            }))
+            : [],
+    };
+};
+
+export const buildUserQuery = (market) => `
+Market Title: "${market.title}"
+Description: "${market.description}"
+Current Odds: ${market.leadingOutcome ? `${market.leadingOutcome} leads at ${market.odds}%` : `${market.odds}%`}
+Outcomes: ${market.outcomes.map(outcome => `${outcome.name} ${Math.round(outcome.price * 100)}%`).join(', ')}
+Trading Volume: $${market.volume.toLocaleString('en-US')}
+`.trim();
@@ -0,0 +1,135 @@
+// LLM providers for the insight function. Each provider's `stream` is an
+// async generator of text chunks for one system prompt + user query.
+
+const readSseData = async function* (response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+            if (line.startsWith('data:')) yield line.slice(5).trim();
+        }
+    }
+};
+
+const postStream = async (url, headers, body, signal) => {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal,
+    });
+    if (!response.ok) {
+        throw new Error(`Provider error: ${response.status} ${await response.text()}`);
+    }
+    return response;
+};
+
+const gemini = async function* ({ apiKey, model, system, prompt, signal }) {
+    const response = await postStream(
+        `https://generativelanguage.googleapis.com/v1beta/models/${model}:streamGenerateContent?alt=sse`,
+        { 'x-goog-api-key': apiKey },
+        {
+            contents: [{ parts: [{ text: prompt }] }],
+            systemInstruction: { parts: [{ text: system }] },
+        },
+        signal,
+    );
+    for await (const data of readSseData(response)) {
+        const parts = JSON.parse(data).candidates?.[0]?.content?.parts || [];
+        for (const part of parts) {
+            if (part.text) yield part.text;
+        }
+    }
+};
+
+const openai = async function* ({ apiKey, model, system, prompt, signal }) {
+    const response = await postStream(
+        'https://api.openai.com/v1/chat/completions',
+        { Authorization: `Bearer ${apiKey}` },
+        {
+            model,
+            stream: true,
+            messages: [
+                { role: 'system', content: system },
+                { role: 'user', content: prompt },
+            ],
+        },
+        signal,
+    );
+    for await (const data of readSseData(response)) {
+        if (data === '[DONE]') return;
+        const text = JSON.parse(data).choices?.[0]?.delta?.content;
+        if (text) yield text;
+    }
+};
+
+const anthropic = async function* ({ apiKey, model, system, prompt, signal }) {
+    const response = await postStream(
+        'https://api.anthropic.com/v1/messages',
+        { 'x-api-key': apiKey, 'anthropic-version': '2023-06-01' },
+        {
+            model,
+            max_tokens: 400,
+            stream: true,
+            system,
+            messages: [{ role: 'user', content: prompt }],
+        },
+        signal,
+    );
+    for await (const data of readSseData(response)) {
+        const event = JSON.parse(data);
+        if (event.type === 'content_block_delta' && event.delta?.text) yield event.delta.text;
+    }
+};
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Deterministic canned insight for local development and tests; no key needed
+const mock = async function* ({ market, signal }) {
+    const lean = market.odds >= 50 ? 'favours' : 'leans against';
+    const text = `[Mock insight] With odds at ${market.odds}%, the market ${lean} "${market.title}". `
+        + `Trading volume of $${Math.round(market.volume).toLocaleString('en-US')} suggests ${market.volume > 1000000 ? 'deep' : 'modest'} conviction behind the price. `
+        + 'Watch for new reporting or official announcements, which tend to move markets like this one quickly.';
+    for (const word of text.split(/(?<= )/)) {
+        await sleep(25, signal);
+        yield word;
+    }
+};
+
+export const PROVIDERS = {
+    gemini: { stream: gemini, keyEnv: 'GEMINI_API_KEY', defaultModel: 'gemini-2.5-flash' },
+    openai: { stream: openai, keyEnv: 'OPENAI_API_KEY', defaultModel: 'gpt-4o-mini' },
+    anthropic: { stream: anthropic, keyEnv: 'ANTHROPIC_API_KEY', defaultModel: 'claude-3-5-haiku-latest' },
+    mock: { stream: mock, keyEnv: null, defaultModel: 'mock' },
+};
+
+// INSIGHT_PROVIDER picks the provider; without it we use Gemini when a key
+// is set and the mock otherwise, so local runs work out of the box.
+export const resolveProvider = (env) => {
+    const name = env.INSIGHT_PROVIDER || (env.GEMINI_API_KEY ? 'gemini' : 'mock');
+    const provider = PROVIDERS[name];
+    if (!provider) throw new Error(`Unknown INSIGHT_PROVIDER "${name}"`);
+
+    const apiKey = provider.keyEnv ? env[provider.keyEnv] : null;
+    if (provider.keyEnv && !apiKey) throw new Error(`${provider.keyEnv} is not set for provider "${name}"`);
+
+    return { name, stream: provider.stream, apiKey, model: env.INSIGHT_MODEL || provider.defaultModel };
+};
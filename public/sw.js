@@ -0,0 +1,56 @@
+// Service worker: keeps the app shell available offline so the cached
+// markets (IndexedDB, see src/data/marketCache.js) can be shown without a
+// network. Market and insight API calls always go to the network.
+//   - pages: network first, falling back to the cached index.html
+//   - /assets/*: cache first (Vite fingerprints them, so they never change)
+//   - other same-origin files: stale-while-revalidate
+
+const CACHE_NAME = 'polyfutures-shell-v1';
+const SHELL = ['/', '/index.html', '/manifest.webmanifest', '/icons/icon.svg', '/icons/icon-192.png'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+const putInCache = async (request, response) => {
+    if (!response.ok) return response;
+    const cache = await caches.open(CACHE_NAME);
+    await cache.put(request, response.clone());
+    return response;
+};
+
+const networkFirstPage = async (request) => {
+    try {
+        return await putInCache('/index.html', await fetch(request));
+    } catch (err) {
+        const cached = await caches.match('/index.html');
+        if (cached) return cached;
+        throw err;
+    }
+};
+
+const cacheFirst = async (request) => (await caches.match(request)) || putInCache(request, await fetch(request));
+
+const staleWhileRevalidate = async (request) => {
+    const cached = await caches.match(request);
+    const refreshed = fetch(request).then(response => putInCache(request, response));
+    if (!cached) return refreshed;
+    refreshed.catch(() => {}); // offline; the cached copy will do
+    return cached;
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) return;
+
+    if (request.mode === 'navigate') event.respondWith(networkFirstPage(request));
+    else if (url.pathname.startsWith('/assets/')) event.respondWith(cacheFirst(request));
+    else event.respondWith(staleWhileRevalidate(request));
+});
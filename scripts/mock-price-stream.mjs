@@ -0,0 +1,192 @@
+// Mock CLOB market channel for development: a WebSocket server that replays
+// the recorded ticks in src/data/fixtures/price-ticks.json on a loop to every
+// client subscribed to their token ids. Pair it with the fixture source:
+//
+//   npm run mock:stream
+//   VITE_MARKET_SOURCE=fixture VITE_PRICE_STREAM_URL=ws://localhost:8787 npm run dev
+//
+// Options: --port 8787, --speed 1 (replay rate), --drop-every 0 (seconds
+// between dropping every connection, to exercise reconnects and polling).
+//
+// Node has no WebSocket server built in, so this speaks just enough of
+// RFC 6455 for browsers: the upgrade handshake, unfragmented text frames,
+// ping and close.
+
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const OPCODES = { text: 0x1, close: 0x8, ping: 0x9, pong: 0xa };
+
+const { values: options } = parseArgs({
+    options: {
+        port: { type: 'string', default: process.env.PORT || '8787' },
+        speed: { type: 'string', default: '1' },
+        'drop-every': { type: 'string', default: '0' },
+    },
+});
+const port = Number(options.port);
+const speed = Number(options.speed) || 1;
+const dropEvery = Number(options['drop-every']) * 1000;
+
+const ticks = JSON.parse(await readFile(new URL('../src/data/fixtures/price-ticks.json', import.meta.url), 'utf8'));
+
+// --- Framing ---
+
+const encodeFrame = (opcode, payload = Buffer.alloc(0)) => {
+    const length = payload.length;
+    const header = length < 126 ? Buffer.alloc(2) : length < 65536 ? Buffer.alloc(4) : Buffer.alloc(10);
+    header[0] = 0x80 | opcode; // FIN + opcode; server frames are never masked
+    if (length < 126) {
+        header[1] = length;
+    } else if (length < 65536) {
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+};
+
+// Splits complete frames off the front of `buffer`: { frames: [{ opcode, payload }], rest }
+const decodeFrames = (buffer) => {
+    const frames = [];
+    let offset = 0;
+    while (buffer.length - offset >= 2) {
+        const opcode = buffer[offset] & 0x0f;
+        const masked = (buffer[offset + 1] & 0x80) !== 0;
+        let length = buffer[offset + 1] & 0x7f;
+        let cursor = offset + 2;
+        if (length === 126) {
+            if (buffer.length < cursor + 2) break;
+            length = buffer.readUInt16BE(cursor);
+            cursor += 2;
+        } else if (length === 127) {
+            if (buffer.length < cursor + 8) break;
+            length = Number(buffer.readBigUInt64BE(cursor));
+            cursor += 8;
+        }
+        const maskLength = masked ? 4 : 0;
+        if (buffer.length < cursor + maskLength + length) break;
+
+        const payload = Buffer.from(buffer.subarray(cursor + maskLength, cursor + maskLength + length));
+        if (masked) {
+            const mask = buffer.subarray(cursor, cursor + 4);
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+        }
+        frames.push({ opcode, payload });
+        offset = cursor + maskLength + length;
+    }
+    return { frames, rest: buffer.subarray(offset) };
+};
+
+// --- Clients ---
+
+const clients = new Set();
+
+const sendText = (client, text) => {
+    if (!client.socket.destroyed) client.socket.write(encodeFrame(OPCODES.text, Buffer.from(text)));
+};
+
+const disconnect = (client) => {
+    if (!clients.delete(client)) return;
+    if (!client.socket.destroyed) client.socket.end(encodeFrame(OPCODES.close));
+};
+
+// Subscription messages follow the real channel: an initial
+// { type: 'market', assets_ids } and later { operation: 'subscribe' | 'unsubscribe', assets_ids }
+const handleText = (client, text) => {
+    if (text === 'PING') {
+        sendText(client, 'PONG');
+        return;
+    }
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch {
+        return;
+    }
+    const ids = Array.isArray(message.assets_ids) ? message.assets_ids : [];
+    if (message.operation === 'unsubscribe') ids.forEach(id => client.assets.delete(id));
+    else if (message.type === 'market' || message.operation === 'subscribe') ids.forEach(id => client.assets.add(id));
+};
+
+const acceptClient = (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (req.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    const accept = createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '\r\n',
+    ].join('\r\n'));
+
+    const client = { socket, assets: new Set(), buffer: Buffer.alloc(0) };
+    clients.add(client);
+    console.log(`Client connected (${clients.size} open)`);
+
+    socket.on('data', chunk => {
+        const { frames, rest } = decodeFrames(Buffer.concat([client.buffer, chunk]));
+        client.buffer = rest;
+        frames.forEach(({ opcode, payload }) => {
+            if (opcode === OPCODES.text) handleText(client, payload.toString('utf8'));
+            else if (opcode === OPCODES.ping) socket.write(encodeFrame(OPCODES.pong, payload));
+            else if (opcode === OPCODES.close) disconnect(client);
+        });
+    });
+    socket.on('close', () => {
+        clients.delete(client);
+        console.log(`Client disconnected (${clients.size} open)`);
+    });
+    socket.on('error', () => clients.delete(client));
+};
+
+// --- Replay ---
+
+// The part of an event a client subscribed to, or null if none of it
+const eventFor = (client, event) => {
+    if (event.event_type === 'price_change') {
+        const changes = event.price_changes.filter(change => client.assets.has(change.asset_id));
+        return changes.length ? { ...event, price_changes: changes, timestamp: String(Date.now()) } : null;
+    }
+    return client.assets.has(event.asset_id) ? { ...event, timestamp: String(Date.now()) } : null;
+};
+
+const replay = (index = 0) => {
+    const { event } = ticks[index];
+    clients.forEach(client => {
+        const filtered = eventFor(client, event);
+        if (filtered) sendText(client, JSON.stringify(filtered));
+    });
+
+    // Loops back to the start after the last tick
+    const next = (index + 1) % ticks.length;
+    const gap = next === 0 ? ticks[0].offset : ticks[next].offset - ticks[index].offset;
+    setTimeout(() => replay(next), gap / speed);
+};
+
+const server = createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('Expected a WebSocket upgrade\n');
+});
+server.on('upgrade', acceptClient);
+
+server.listen(port, () => {
+    console.log(`Mock price stream on ws://localhost:${port} replaying ${ticks.length} ticks at ${speed}x`);
+    setTimeout(replay, ticks[0].offset / speed);
+    if (dropEvery > 0) {
+        setInterval(() => {
+            console.log(`Dropping ${clients.size} connection(s)`);
+            clients.forEach(client => client.socket.destroy());
+            clients.clear();
+        }, dropEvery);
+    }
+});
@@ -1,407 +1,877 @@
 import React from 'react';
-import { Moon, Sun, RefreshCw, X, TrendingUp, TrendingDown, ExternalLink, Users, Cpu } from 'lucide-react';
+import { Moon, Sun, X, TrendingUp, TrendingDown, Minus, ExternalLink, Users, Cpu, Palette, Search, SlidersHorizontal, Star, Wallet, CircleDot, LayoutDashboard, LayoutGrid, Table } from 'lucide-react';
+import { recordSnapshots, backfillHistory, trendFromChange } from './data/priceHistory';
+import { createMarketSource } from './data/sources';
+import { createPriceStream } from './data/priceStream';
+import { loadCachedMarkets, saveCachedMarkets } from './data/marketCache';
+import { withOutcomePrices } from './data/normalize';
+import { compileRules, categorizeMarket, getCategoryColors, loadCategoryConfig, saveCategoryConfig } from './data/categories';
+import { applyFilters, isDefaultFilters } from './data/filters';
+import useUrlFilters from './hooks/useUrlFilters';
+import useRoute, { marketPath } from './hooks/useRoute';
+import useWatchlist from './hooks/useWatchlist';
+import usePortfolio from './hooks/usePortfolio';
+import useVenues from './hooks/useVenues';
+import useToasts from './hooks/useToasts';
+import usePreferences from './hooks/usePreferences';
+import useReducedMotion from './hooks/useReducedMotion';
+import useFocusTrap from './hooks/useFocusTrap';
+import { VIEW_MODES } from './data/preferences';
+import { computeRadii, encodeColor } from './data/encodings';
+import { groupByEvent } from './data/events';
+import { evaluateAlerts } from './data/watchlist';
+import { findSettlements } from './data/portfolio';
+import { streamInsight } from './data/insights';
+import CategoryEditor from './components/CategoryEditor';
+import FilterToolbar from './components/FilterToolbar';
+import WatchlistDrawer from './components/WatchlistDrawer';
+import AlertRulesEditor from './components/AlertRulesEditor';
+import PortfolioDrawer from './components/PortfolioDrawer';
+import TradeTicket from './components/TradeTicket';
+import VenueComparison from './components/VenueComparison';
+import ToastStack from './components/ToastStack';
+import OutcomeList from './components/OutcomeList';
+import PriceChart from './components/PriceChart';
+import TreemapView from './components/TreemapView';
+import GridView from './components/GridView';
+import TableView from './components/TableView';
+import EncodingLegend from './components/EncodingLegend';
+import MarketLayer from './components/MarketLayer';
+import ExpandedEvents from './components/ExpandedEvents';
+import DataStatus from './components/DataStatus';
+import { formatChange, formatVolume } from './components/format';
+import { fitRadii } from './canvas/bubbles';
+import { createBubbleField } from './canvas/bubbleField';
+import { attachInteractions } from './canvas/interactions';
+
+// Market data source, picked from VITE_MARKET_SOURCE at startup
+const marketSource = createMarketSource();
+
+// Attaches 1h/24h/7d deltas from the price-history store to each market
+const applyChanges = (markets, changesById) => markets.map(market => {
+    const changes = changesById[market.id];
+    if (!changes) return market;
+    return { ...market, changes, change: changes['24h'], trend: trendFromChange(changes['24h']) };
+});
+
+// Patches streamed prices ({ [tokenId]: price }) into the markets that hold
+// those tokens; every other market keeps its object (and its category)
+const applyStreamPrices = (markets, pricesByToken) => {
+    if (Object.keys(pricesByToken).length === 0) return markets;
+    return markets.map(market => (
+        market.outcomes.some(outcome => outcome.tokenId in pricesByToken) ? withOutcomePrices(market, pricesByToken) : market
+    ));
+};
+
+const withCategory = (market, compiledRules, config) => {
+    const { category, confidence, ruleId } = categorizeMarket(market, compiledRules, config);
+    return { ...market, category, categoryConfidence: confidence, categoryRule: ruleId };
+};
+
+// Groups markets by category using the rule engine
+const buildMarketData = (markets, compiledRules, config) => {
+    const categorized = Object.fromEntries(Object.keys(config.categories).map(key => [key, []]));
+
+    markets.forEach(market => {
+        const categorizedMarket = withCategory(market, compiledRules, config);
+        categorized[categorizedMarket.category].push(categorizedMarket);
+    });
+
+    return { categorized };
+};
+
+const viewIcons = { bubbles: CircleDot, treemap: LayoutDashboard, grid: LayoutGrid, table: Table };
+
+// Full refreshes: every minute while polling, and less often while prices
+// stream in (only volumes, traders and new or closed markets are missing then)
+const POLL_INTERVAL = 60000; // ms
+const STREAMING_REFRESH_INTERVAL = 5 * 60000; // ms
+// Failed refreshes are retried after 5s, 10s, 20s, ... up to 5 minutes
+const RETRY_BASE_DELAY = 5000; // ms
+const MAX_RETRY_DELAY = 5 * 60000; // ms
+
+const retryDelay = (failures) => Math.min(RETRY_BASE_DELAY * 2 ** (failures - 1), MAX_RETRY_DELAY);
+
+// The simulation resumes this long after the last pointer, wheel or touch input
+const INTERACTION_RESUME_DELAY = 1500; // ms
 
 // Main App Component
 const App = () => {
     // State Management
     const [isDark, setIsDark] = React.useState(true);
-    const [selectedMarket, setSelectedMarket] = React.useState(null);
-    const [marketData, setMarketData] = React.useState(null);
+    const { route, navigate, goBack } = useRoute();
+    // A deep-linked market that isn't in the current bubble set, fetched on its own
+    const [linkedMarket, setLinkedMarket] = React.useState(null);
+    const [routeError, setRouteError] = React.useState(null);
+    const [markets, setMarkets] = React.useState(null);
+    // Prices streamed in since the last full refresh, { [tokenId]: price }
+    const [streamedPrices, setStreamedPrices] = React.useState({});
+    const [categoryConfig, setCategoryConfig] = React.useState(loadCategoryConfig);
+    const [isCategoryEditorOpen, setIsCategoryEditorOpen] = React.useState(false);
+    const [filters, setFilters] = useUrlFilters();
+    // Open the toolbar straight away when a shared link carries filters
+    const [isFilterBarOpen, setIsFilterBarOpen] = React.useState(() => !isDefaultFilters(filters));
+    const { watchlist, toggleWatch, setRules } = useWatchlist();
+    const [isWatchlistOpen, setIsWatchlistOpen] = React.useState(false);
+    const { portfolio, portfolioRef, buy, sell, settle, markPositions, reset: resetPortfolio } = usePortfolio();
+    const [isPortfolioOpen, setIsPortfolioOpen] = React.useState(false);
+    const { toasts, pushToast, dismissToast } = useToasts();
+    const [preferences, setPreference] = usePreferences();
+    const { view, sizeBy, sizeScale, colorBy } = preferences;
+    // The views below the fixed header are offset by its height, which grows with the toolbar
+    const [headerHeight, setHeaderHeight] = React.useState(0);
     const [loading, setLoading] = React.useState(true);
-    const [error, setError] = React.useState(null);
+    // When the markets on screen were fetched, and whether that's older than it should be
+    // (restored from the cache, or the latest refresh failed)
+    const [updatedAt, setUpdatedAt] = React.useState(null);
+    const [isStale, setIsStale] = React.useState(false);
+    // Live price stream: 'connecting', 'live' or 'offline' (null when the source doesn't stream)
+    const [streamStatus, setStreamStatus] = React.useState(null);
     const [aiInsight, setAiInsight] = React.useState('');
     const [isInsightLoading, setIsInsightLoading] = React.useState(false);
 
-    // Refs for canvas and animation
-    const canvasRef = React.useRef(null);
-    const animationRef = React.useRef(null);
-    const bubblesRef = React.useRef([]);
+    const prefersReducedMotion = useReducedMotion();
+    // Events whose markets are shown as separate bubbles rather than one cluster
+    const [expandedEventIds, setExpandedEventIds] = React.useState(() => new Set());
+    // The bubble under the mouse and where to show its tooltip: { id, x, y }
+    const [hoveredBubble, setHoveredBubble] = React.useState(null);
+
+    // Frame-time overlay, toggled with Shift+D or opened with ?debug
+    const [showFrameStats, setShowFrameStats] = React.useState(() => new URLSearchParams(window.location.search).has('debug'));
+
+    // Refs for the bubble canvas
+    const canvasHostRef = React.useRef(null);
+    const headerRef = React.useRef(null);
+    const panelRef = React.useRef(null);
+    const bubbleFieldRef = React.useRef(null);
     const interactionTimeoutRef = React.useRef(null);
 
-    // Color palette for different market categories
-    const categoryColors = {
-        politics: '#FF6B6B', // Coral Red
-        crypto: '#4D96FF',   // Bright Blue
-        tech: '#42E695',     // Neon Green
-        economy: '#FFD166',  // Sunglow Yellow
-        sports: '#FC9F5B',   // Orange Soda
-        events: '#9B5DE5',   // Lavender Purple
-        earnings: '#F15BB5', // Magenta Crayola
-        default: '#ced4da' // A default color for uncategorized markets
-    };
+    // Color palette for market categories, from the editable category config
+    const categoryColors = React.useMemo(() => getCategoryColors(categoryConfig), [categoryConfig]);
+    const compiledRules = React.useMemo(() => compileRules(categoryConfig), [categoryConfig]);
+
+    // Re-categorizes without refetching when the data or the rules change
+    const marketData = React.useMemo(
+        () => markets && buildMarketData(markets, compiledRules, categoryConfig),
+        [markets, compiledRules, categoryConfig]
+    );
+    // The markets as of the last full refresh, and the same markets at
+    // streamed prices. Every view filters the live ones.
+    const refreshedMarkets = React.useMemo(
+        () => (marketData ? Object.values(marketData.categorized).flat() : []),
+        [marketData]
+    );
+    const allMarkets = React.useMemo(() => applyStreamPrices(refreshedMarkets, streamedPrices), [refreshedMarkets, streamedPrices]);
+    const marketsById = React.useMemo(() => new Map(allMarkets.map(market => [market.id, market])), [allMarkets]);
+    const visibleMarkets = React.useMemo(() => applyFilters(allMarkets, filters), [allMarkets, filters]);
+    // Which markets are visible, so what follows only reruns when that changes, not on every streamed price
+    const visibleKey = React.useMemo(() => JSON.stringify(visibleMarkets.map(market => market.id).sort()), [visibleMarkets]);
+    // The visible markets as of the last refresh: the bubbles keep their
+    // identity across streamed prices, which are patched onto them below
+    const bubbleMarkets = React.useMemo(() => {
+        const ids = new Set(JSON.parse(visibleKey));
+        return refreshedMarkets.filter(market => ids.has(market.id));
+    }, [visibleKey, refreshedMarkets]);
+    // What the bubble field shows: the visible markets with sibling markets grouped by event
+    const bubbleItems = React.useMemo(() => groupByEvent(bubbleMarkets, expandedEventIds), [bubbleMarkets, expandedEventIds]);
+    const bubbleItemsById = React.useMemo(() => new Map(bubbleItems.map(item => [item.id, item])), [bubbleItems]);
+    // The same bubbles at streamed prices; clusters list their members' tokens, so they re-price too
+    const liveBubbleItems = React.useMemo(() => applyStreamPrices(bubbleItems, streamedPrices), [bubbleItems, streamedPrices]);
+    const expandedEvents = React.useMemo(() => {
+        const events = new Map();
+        allMarkets.forEach(market => {
+            if (market.event && expandedEventIds.has(market.event.id)) events.set(market.event.id, market.event);
+        });
+        return [...events.values()];
+    }, [allMarkets, expandedEventIds]);
+    const { venues, venueMarkets, failedVenues, matches: venueMatches, links: venueLinks, setLink: setVenueLink } = useVenues(refreshedMarkets);
+
+    // The open market comes from the route, so it stays current across refreshes
+    const routeSlug = route.name === 'market' ? route.slug : null;
+    const selectedMarket = React.useMemo(() => {
+        if (!routeSlug) return null;
+        const matches = market => market.slug === routeSlug || market.id === routeSlug;
+        return allMarkets.find(matches) || (linkedMarket && matches(linkedMarket) ? linkedMarket : null);
+    }, [routeSlug, allMarkets, linkedMarket]);
     
+    // --- Watchlist Alerts ---
+
+    // The refresh callback reads the latest watchlist and previous refresh through refs.
+    // Streamed prices are checked against that same refresh, never in its place,
+    // so a move spread over many batches still adds up.
+    const watchlistRef = React.useRef(watchlist);
+    const previousMarketsRef = React.useRef(null);
+    // Everything streamed since the last refresh, { [tokenId]: price }
+    const alertPricesRef = React.useRef({});
+    // `${marketId}:${ruleId}` of the alerts already shown since the last refresh
+    const notifiedAlertsRef = React.useRef(new Set());
+    React.useEffect(() => {
+        watchlistRef.current = watchlist;
+    }, [watchlist]);
+
+    // Browser notifications when permitted, in-app toasts otherwise
+    const notifyAlerts = React.useCallback((alerts) => {
+        alerts.forEach(alert => {
+            const open = () => navigate(marketPath({ id: alert.marketId, slug: alert.slug }));
+            if ('Notification' in window && Notification.permission === 'granted') {
+                const notification = new Notification(alert.title, { body: alert.message, tag: `${alert.marketId}:${alert.ruleId}` });
+                notification.onclick = () => {
+                    window.focus();
+                    open();
+                };
+            } else {
+                pushToast({ title: alert.title, message: alert.message, onClick: open });
+            }
+        });
+    }, [navigate, pushToast]);
+
+    // Each rule fires at most once between refreshes, whether a refresh or a streamed price trips it first
+    const notifyNewAlerts = React.useCallback((alerts) => {
+        const notified = notifiedAlertsRef.current;
+        notifyAlerts(alerts.filter(alert => {
+            const key = `${alert.marketId}:${alert.ruleId}`;
+            if (notified.has(key)) return false;
+            notified.add(key);
+            return true;
+        }));
+    }, [notifyAlerts]);
+
+    const handleRulesChange = (market, rules) => {
+        // Ask for notification permission when the first rule is added (needs a user gesture)
+        if (rules.length > (watchlist[market.id]?.rules.length || 0) && 'Notification' in window && Notification.permission === 'default') {
+            Notification.requestPermission();
+        }
+        setRules(market.id, rules);
+    };
+
     // --- Data Fetching and Processing ---
 
-    // Fetches and processes data from the Polymarket API
+    // Fetches markets from the configured data source, records their odds and checks alerts.
+    // Resolves to whether it succeeded; on failure the current markets stay up, marked stale.
+    const hasFreshDataRef = React.useRef(false);
     const fetchPolymarketData = React.useCallback(async () => {
         setLoading(true);
         try {
-            // Using a CORS proxy to bypass browser restrictions for client-side fetching
-            const proxyUrl = 'https://cors-anywhere.herokuapp.com/';
-            const apiUrl = 'https://gamma-api.polymarket.com/markets?limit=100&closed=false&min_liquidity=1000';
-            const response = await fetch(proxyUrl + apiUrl);
+            const fetched = await marketSource.fetchMarkets();
 
-            if (!response.ok) {
-                throw new Error(`API Error: ${response.status} ${response.statusText}`);
+            const currentById = new Map(fetched.map(market => [market.id, market]));
+            if (previousMarketsRef.current) {
+                notifyNewAlerts(evaluateAlerts(watchlistRef.current, previousMarketsRef.current, currentById));
             }
-
-            const data = await response.json();
-            
-            // Initializing categories
-            const categorized = {
-                politics: [], crypto: [], tech: [], economy: [], 
-                sports: [], events: [], earnings: []
-            };
-
-            // Processing each market from the API response
-            data.data.forEach(market => {
-                const marketInfo = {
-                    id: market.id,
-                    title: market.question,
-                    odds: Math.round(parseFloat(market.outcomes[0].price) * 100),
-                    volume: parseFloat(market.volume),
-                    traders: parseInt(market.participant_count),
-                    description: market.description,
-                    url: `https://polymarket.com/event/${market.slug}`,
-                    // Mocking trend data as the API doesn't provide it directly
-                    trend: Math.random() > 0.5 ? 'up' : 'down',
-                    change: (Math.random() * 5).toFixed(1)
-                };
-
-                const question = market.question.toLowerCase();
-                const tags = market.tags.map(t => t.toLowerCase());
-                
-                // Categorization logic based on keywords and tags
-                let assignedCategory = 'events'; // Default category
-                if (tags.includes('politics') || question.includes('election') || question.includes('trump') || question.includes('biden')) assignedCategory = 'politics';
-                else if (tags.includes('crypto') || question.includes('bitcoin') || question.includes('ethereum')) assignedCategory = 'crypto';
-                else if (tags.includes('technology') || question.includes('ai') || question.includes('apple')) assignedCategory = 'tech';
-                else if (tags.includes('finance') || tags.includes('economics') || question.includes('fed') || question.includes('recession')) assignedCategory = 'economy';
-                else if (tags.includes('sports') || question.includes('nfl') || question.includes('nba')) assignedCategory = 'sports';
-                else if (tags.includes('earnings') || question.includes('stock')) assignedCategory = 'earnings';
-                
-                if (categorized[assignedCategory].length < 10) {
-                     categorized[assignedCategory].push({ ...marketInfo, category: assignedCategory });
-                }
-            });
-
-            // Calculate max volume for each category for relative sizing
-            const maxVolumes = {};
-            Object.keys(categorized).forEach(category => {
-                const volumes = categorized[category].map(m => m.volume);
-                maxVolumes[category] = Math.max(...volumes, 1); // Avoid division by zero
-            });
-            
-            setMarketData({ categorized, maxVolumes });
-            setError(null);
+            previousMarketsRef.current = currentById;
+            alertPricesRef.current = {};
+            notifiedAlertsRef.current = new Set();
+
+            // Settle paper positions whose market has closed
+            findSettlements(portfolioRef.current.positions, currentById, marketSource.fetchMarket).then(settle);
+
+            // Record this refresh's odds and derive real price changes from the stored history
+            const changesById = await recordSnapshots(fetched);
+            const withChanges = applyChanges(fetched, changesById);
+            const fetchedAt = Date.now();
+            setMarkets(withChanges);
+            setStreamedPrices({});
+            setUpdatedAt(fetchedAt);
+            setIsStale(false);
+            hasFreshDataRef.current = true;
+            saveCachedMarkets(withChanges, fetchedAt).catch(err => console.warn('Failed to cache markets:', err));
+            return true;
         } catch (err) {
             console.error('Failed to fetch Polymarket data:', err);
-            setError('Could not fetch live data. Please try again later.');
+            setIsStale(true);
+            return false;
         } finally {
             setLoading(false);
         }
+    }, [notifyNewAlerts, portfolioRef, settle]);
+
+    // Shows the last cached markets straight away, unless a live fetch beat it
+    React.useEffect(() => {
+        loadCachedMarkets()
+            .then(cached => {
+                if (!cached || hasFreshDataRef.current) return;
+                setMarkets(cached.markets);
+                setStreamedPrices({});
+                setUpdatedAt(cached.fetchedAt);
+                setIsStale(true);
+            })
+            .catch(err => console.warn('Ignoring cached markets:', err));
     }, []);
 
-    // Effect to fetch data on component mount and set an interval for updates
+    // --- Refresh Scheduling ---
+
+    // Each refresh schedules the next: after POLL_INTERVAL (longer while prices
+    // stream in), or with exponential backoff while refreshes keep failing.
+    // Only one refresh runs at a time, even across re-runs of the effect
+    // below: a new loop waits for the old loop's refresh to finish first.
+    const isStreaming = streamStatus === 'live';
+    const isStreamingRef = React.useRef(isStreaming);
+    const refreshNowRef = React.useRef(() => {});
+    const refreshInFlightRef = React.useRef(null);
     React.useEffect(() => {
-        fetchPolymarketData();
-        const interval = setInterval(fetchPolymarketData, 60000); // Refresh every 60 seconds
-        return () => clearInterval(interval);
+        let timer = null;
+        let failures = 0;
+        let cancelled = false;
+
+        const refresh = async () => {
+            if (refreshInFlightRef.current) return;
+            clearTimeout(timer);
+            refreshInFlightRef.current = fetchPolymarketData();
+            const succeeded = await refreshInFlightRef.current;
+            refreshInFlightRef.current = null;
+            if (cancelled) return;
+
+            failures = succeeded ? 0 : failures + 1;
+            const delay = !succeeded ? retryDelay(failures) : isStreamingRef.current ? STREAMING_REFRESH_INTERVAL : POLL_INTERVAL;
+            timer = setTimeout(refresh, delay);
+        };
+
+        refreshNowRef.current = refresh;
+        Promise.resolve(refreshInFlightRef.current).then(() => {
+            if (!cancelled) refresh();
+        });
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
     }, [fetchPolymarketData]);
 
-    // --- Gemini AI Insight Generation ---
-    
-    const getAiInsight = async (market) => {
-        if (!market) return;
-        setIsInsightLoading(true);
-        setAiInsight('');
+    // Catches up straight away when the stream drops instead of waiting out the slower interval
+    React.useEffect(() => {
+        const wasStreaming = isStreamingRef.current;
+        isStreamingRef.current = isStreaming;
+        if (wasStreaming && !isStreaming) refreshNowRef.current();
+    }, [isStreaming]);
+
+    // --- Live Prices ---
+
+    // Streams prices for the visible markets' outcomes and layers them over the last refresh.
+    // Watched markets are checked against their alert rules on every batch, not just on refreshes.
+    const handleStreamPrices = React.useCallback((prices) => {
+        setStreamedPrices(prev => ({ ...prev, ...prices }));
+
+        const previousById = previousMarketsRef.current;
+        if (!previousById) return;
+        const streamed = { ...alertPricesRef.current, ...prices };
+        alertPricesRef.current = streamed;
+        const currentById = new Map();
+        Object.keys(watchlistRef.current).forEach(id => {
+            const previous = previousById.get(id);
+            if (previous && previous.outcomes.some(outcome => outcome.tokenId in prices)) {
+                currentById.set(id, withOutcomePrices(previous, streamed));
+            }
+        });
+        if (currentById.size === 0) return;
+        notifyNewAlerts(evaluateAlerts(watchlistRef.current, previousById, currentById));
+    }, [notifyNewAlerts]);
 
-        const systemPrompt = `
-            You are a sharp, insightful market analyst for PolyFutures.xyz.
-            Your role is to provide a concise, data-driven, and neutral insight into a prediction market.
-            Analyze the provided market data and generate a short, analytical summary (2-3 sentences).
-            Focus on the potential drivers behind the current odds and what factors could influence future movements.
-            Do not give financial advice. Keep the tone professional but engaging.
-        `;
-        const userQuery = `
-            Market Title: "${market.title}"
-            Description: "${market.description}"
-            Current Odds: ${market.odds}%
-            Trading Volume: $${market.volume.toLocaleString()}
-        `;
-        
-        try {
-            const apiKey = ""; // API key will be injected by the environment
-            const apiUrl = `https://generativelace.googleapis.com/v1beta/models/gemini-2.5-flash-preview-05-20:generateContent?key=${apiKey}`;
+    const handleStreamPricesRef = React.useRef(handleStreamPrices);
+    React.useEffect(() => {
+        handleStreamPricesRef.current = handleStreamPrices;
+    }, [handleStreamPrices]);
 
-            const payload = {
-                contents: [{ parts: [{ text: userQuery }] }],
-                systemInstruction: {
-                    parts: [{ text: systemPrompt }]
-                },
-            };
+    const priceStreamRef = React.useRef(null);
+    React.useEffect(() => {
+        if (!marketSource.streamUrl) return;
+        const stream = createPriceStream(marketSource.streamUrl, {
+            onPrices: prices => handleStreamPricesRef.current(prices),
+            onStatusChange: setStreamStatus,
+        });
+        priceStreamRef.current = stream;
+        return () => {
+            stream.close();
+            priceStreamRef.current = null;
+        };
+    }, []);
+
+    const streamTokenIds = React.useMemo(
+        () => bubbleMarkets.flatMap(market => market.outcomes.map(outcome => outcome.tokenId)),
+        [bubbleMarkets]
+    );
+
+    // Paper positions are marked at the latest prices, streamed ones included
+    React.useEffect(() => {
+        markPositions(marketsById);
+    }, [marketsById, markPositions]);
+    React.useEffect(() => {
+        priceStreamRef.current?.setAssets(streamTokenIds);
+    }, [streamTokenIds]);
 
-            const response = await fetch(apiUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
+    // Fetch a deep-linked market on its own once we know it isn't in the current set
+    React.useEffect(() => {
+        if (!routeSlug || !marketData || selectedMarket) return;
+
+        let cancelled = false;
+        setRouteError(null);
+        marketSource.fetchMarket(routeSlug)
+            .then(market => {
+                if (cancelled) return;
+                if (market) setLinkedMarket(withCategory(market, compiledRules, categoryConfig));
+                else setRouteError(`Market "${routeSlug}" was not found.`);
+            })
+            .catch(err => {
+                console.error('Failed to fetch linked market:', err);
+                if (!cancelled) setRouteError('Could not load the linked market.');
             });
+        return () => {
+            cancelled = true;
+        };
+    }, [routeSlug, marketData, selectedMarket, compiledRules, categoryConfig]);
 
-            if (!response.ok) {
-                throw new Error(`Gemini API error: ${response.status}`);
-            }
+    React.useEffect(() => {
+        document.title = selectedMarket ? `${selectedMarket.title} · PolyFutures` : 'PolyFutures';
+    }, [selectedMarket]);
 
-            const result = await response.json();
-            const text = result.candidates?.[0]?.content?.parts?.[0]?.text;
+    const openMarket = (market) => navigate(marketPath(market));
 
-            if (text) {
-                setAiInsight(text);
-            } else {
-                throw new Error("No content in Gemini response.");
-            }
+    const toggleEvent = React.useCallback((eventId) => setExpandedEventIds(prev => {
+        const next = new Set(prev);
+        if (next.has(eventId)) next.delete(eventId);
+        else next.add(eventId);
+        return next;
+    }), []);
+
+    // Clusters open up into their markets; anything else opens the detail panel
+    const openBubble = (item) => (item.isCluster ? toggleEvent(item.event.id) : openMarket(item));
+    const closeMarket = () => goBack('/');
+
+    // The detail panel is modal: Tab stays inside it and Escape closes it
+    useFocusTrap(panelRef, Boolean(selectedMarket), closeMarket);
+
+    // --- AI Insight Generation ---
+
+    // Streams the insight from the server-side insight function into the panel
+    const getAiInsight = React.useCallback(async (market, signal) => {
+        if (!market) return;
+        setIsInsightLoading(true);
+        setAiInsight('');
+
+        try {
+            await streamInsight(market, {
+                signal,
+                onToken: token => {
+                    setIsInsightLoading(false);
+                    setAiInsight(prev => prev + token);
+                },
+            });
         } catch (error) {
+            if (signal?.aborted) return;
             console.error("Error fetching AI insight:", error);
             setAiInsight("Unable to generate AI insight at this time. Please check the market details manually.");
         } finally {
-            setIsInsightLoading(false);
+            if (!signal?.aborted) setIsInsightLoading(false);
         }
-    };
+    }, []);
+
+    // Request an insight once per opened market, not on every refresh of it,
+    // and cancel the stream when the panel closes or another market opens
+    const selectedMarketRef = React.useRef(null);
+    React.useEffect(() => {
+        selectedMarketRef.current = selectedMarket;
+    }, [selectedMarket]);
+
+    const selectedMarketId = selectedMarket ? selectedMarket.id : null;
+    React.useEffect(() => {
+        if (!selectedMarketId) return;
+        const controller = new AbortController();
+        getAiInsight(selectedMarketRef.current, controller.signal);
+        return () => controller.abort();
+    }, [selectedMarketId, getAiInsight]);
+
+    // Seed missing history from the data source (if it has any) for what's on
+    // screen: the visible markets and the open one, not every fetched market.
+    // Keyed on which markets those are, not on each refresh's market objects.
+    const bubbleMarketsRef = React.useRef(bubbleMarkets);
+    React.useEffect(() => {
+        bubbleMarketsRef.current = bubbleMarkets;
+    }, [bubbleMarkets]);
+
+    React.useEffect(() => {
+        const visible = bubbleMarketsRef.current;
+        const selected = selectedMarketRef.current;
+        const targets = selected && !visible.some(market => market.id === selected.id)
+            ? [selected, ...visible]
+            : visible;
+        backfillHistory(targets, marketSource.fetchHistory)
+            .then(backfilled => {
+                if (Object.keys(backfilled).length === 0) return;
+                setMarkets(prev => prev && applyChanges(prev, backfilled));
+            })
+            .catch(err => console.warn('Failed to backfill price history:', err));
+    }, [visibleKey, selectedMarketId]);
     
     // --- Canvas Bubble Animation ---
 
-    const getBubbleSize = (volume, maxVolume) => {
-        const minSize = 50;
-        const maxSize = 150;
-        if (maxVolume === 0) return minSize;
-        // Scale size logarithmically to better handle wide ranges in volume
-        const scale = Math.log10(volume + 1) / Math.log10(maxVolume + 1);
-        return minSize + (scale * (maxSize - minSize));
-    };
-
+    // Creates the bubble field (worker-backed where supported) once for the page
     React.useEffect(() => {
-        const canvas = canvasRef.current;
-        if (!canvas || !marketData) return;
-
-        const ctx = canvas.getContext('2d');
-        const dpr = window.devicePixelRatio || 1;
-
-        const updateCanvasSize = () => {
-            canvas.width = window.innerWidth * dpr;
-            canvas.height = window.innerHeight * dpr;
-            canvas.style.width = `${window.innerWidth}px`;
-            canvas.style.height = `${window.innerHeight}px`;
-            ctx.scale(dpr, dpr);
-        };
+        const field = createBubbleField(canvasHostRef.current);
+        bubbleFieldRef.current = field;
 
+        const updateCanvasSize = () => field.resize(window.innerWidth, window.innerHeight, window.devicePixelRatio || 1);
         updateCanvasSize();
         window.addEventListener('resize', updateCanvasSize);
 
-        const allMarkets = Object.values(marketData.categorized).flat();
-        
-        bubblesRef.current = allMarkets.map((market, i) => {
-            const maxVolume = marketData.maxVolumes[market.category];
-            const size = getBubbleSize(market.volume, maxVolume);
-            return {
-                ...market,
-                x: Math.random() * (window.innerWidth - size) + size / 2,
-                y: Math.random() * (window.innerHeight - size) + size / 2,
-                vx: (Math.random() - 0.5) * 1.5,
-                vy: (Math.random() - 0.5) * 1.5,
-                radius: size / 2,
-                targetRadius: size / 2,
-                scale: 1,
-            };
-        });
-
-        const animate = (time) => {
-            ctx.clearRect(0, 0, canvas.width, canvas.height);
-
-            bubblesRef.current.forEach((bubble, i) => {
-                // Movement physics
-                bubble.x += bubble.vx;
-                bubble.y += bubble.vy;
-
-                // Wall collision
-                if (bubble.x - bubble.radius < 0 || bubble.x + bubble.radius > window.innerWidth) bubble.vx *= -0.9;
-                if (bubble.y - bubble.radius < 0 || bubble.y + bubble.radius > window.innerHeight) bubble.vy *= -0.9;
-                
-                // Keep bubbles within bounds
-                bubble.x = Math.max(bubble.radius, Math.min(window.innerWidth - bubble.radius, bubble.x));
-                bubble.y = Math.max(bubble.radius, Math.min(window.innerHeight - bubble.radius, bubble.y));
-
-
-                // Bubble-to-bubble collision
-                for (let j = i + 1; j < bubblesRef.current.length; j++) {
-                    const other = bubblesRef.current[j];
-                    const dx = other.x - bubble.x;
-                    const dy = other.y - bubble.y;
-                    const distance = Math.sqrt(dx * dx + dy * dy);
-                    const minDistance = bubble.radius + other.radius;
-
-                    if (distance < minDistance) {
-                        // Resolve overlap
-                        const angle = Math.atan2(dy, dx);
-                        const overlap = (minDistance - distance) / 2;
-                        bubble.x -= overlap * Math.cos(angle);
-                        bubble.y -= overlap * Math.sin(angle);
-                        other.x += overlap * Math.cos(angle);
-                        other.y += overlap * Math.sin(angle);
-
-                        // Elastic collision response
-                        const angleCollision = Math.atan2(other.y - bubble.y, other.x - bubble.x);
-                        const speed1 = Math.sqrt(bubble.vx * bubble.vx + bubble.vy * bubble.vy);
-                        const speed2 = Math.sqrt(other.vx * other.vx + other.vy * other.vy);
-                        const direction1 = Math.atan2(bubble.vy, bubble.vx);
-                        const direction2 = Math.atan2(other.vy, other.vx);
-                        const newVelX1 = speed2 * Math.cos(direction2 - angleCollision) * Math.cos(angleCollision) + speed1 * Math.sin(direction1 - angleCollision) * Math.cos(angleCollision + Math.PI / 2);
-                        const newVelY1 = speed2 * Math.cos(direction2 - angleCollision) * Math.sin(angleCollision) + speed1 * Math.sin(direction1 - angleCollision) * Math.sin(angleCollision + Math.PI / 2);
-                        const newVelX2 = speed1 * Math.cos(direction1 - angleCollision) * Math.cos(angleCollision) + speed2 * Math.sin(direction2 - angleCollision) * Math.cos(angleCollision + Math.PI / 2);
-                        const newVelY2 = speed1 * Math.cos(direction1 - angleCollision) * Math.sin(angleCollision) + speed2 * Math.sin(direction2 - angleCollision) * Math.sin(angleCollision + Math.PI / 2);
-                        bubble.vx = newVelX1 * 0.9; bubble.vy = newVelY1 * 0.9;
-                        other.vx = newVelX2 * 0.9; other.vy = newVelY2 * 0.9;
-                    }
-                }
-                
-                // Slow down bubbles over time
-                bubble.vx *= 0.998;
-                bubble.vy *= 0.998;
-
-                // Drawing the bubble
-                const color = categoryColors[bubble.category] || categoryColors.default;
-
-                // Pulsing glow effect
-                const glowSize = bubble.radius * (1.2 + Math.sin(time / 500 + i) * 0.1);
-                const glowGradient = ctx.createRadialGradient(bubble.x, bubble.y, 0, bubble.x, bubble.y, glowSize);
-                glowGradient.addColorStop(0, color + '33');
-                glowGradient.addColorStop(1, color + '00');
-                ctx.fillStyle = glowGradient;
-                ctx.beginPath();
-                ctx.arc(bubble.x, bubble.y, glowSize, 0, Math.PI * 2);
-                ctx.fill();
-
-                // Main bubble body with gradient
-                const bubbleGradient = ctx.createRadialGradient(bubble.x - bubble.radius * 0.3, bubble.y - bubble.radius * 0.3, 0, bubble.x, bubble.y, bubble.radius);
-                bubbleGradient.addColorStop(0, `${color}ff`);
-                bubbleGradient.addColorStop(1, `${color}cc`);
-                ctx.fillStyle = bubbleGradient;
-                ctx.beginPath();
-                ctx.arc(bubble.x, bubble.y, bubble.radius, 0, Math.PI * 2);
-                ctx.save();
-                ctx.shadowColor = 'rgba(0,0,0,0.2)';
-                ctx.shadowBlur = 15;
-                ctx.shadowOffsetY = 5;
-                ctx.fill();
-                ctx.restore();
-
-
-                // Text inside the bubble
-                ctx.fillStyle = '#FFFFFF';
-                const fontSize = Math.max(bubble.radius / 2.2, 16);
-                ctx.font = `bold ${fontSize}px 'Inter', sans-serif`;
-                ctx.textAlign = 'center';
-                ctx.textBaseline = 'middle';
-                ctx.fillText(`${bubble.odds}%`, bubble.x, bubble.y - bubble.radius * 0.15);
-                
-                const titleFontSize = Math.max(bubble.radius / 7, 10);
-                ctx.font = `${titleFontSize}px 'Inter', sans-serif`;
-                const title = bubble.title.length > 20 ? bubble.title.substring(0, 20) + '...' : bubble.title;
-                ctx.fillText(title, bubble.x, bubble.y + bubble.radius * 0.35);
-            });
+        const handleKeyDown = (e) => {
+            if (e.shiftKey && e.key === 'D') setShowFrameStats(show => !show);
+        };
+        window.addEventListener('keydown', handleKeyDown);
 
-            animationRef.current = requestAnimationFrame(animate);
+        return () => {
+            window.removeEventListener('resize', updateCanvasSize);
+            window.removeEventListener('keydown', handleKeyDown);
+            field.destroy();
+            bubbleFieldRef.current = null;
         };
+    }, []);
+
+    React.useEffect(() => {
+        bubbleFieldRef.current.setColors(categoryColors);
+    }, [categoryColors]);
+
+    React.useEffect(() => {
+        bubbleFieldRef.current.setDebug(showFrameStats);
+    }, [showFrameStats]);
+
+    React.useEffect(() => {
+        bubbleFieldRef.current.setTheme(isDark);
+    }, [isDark]);
+
+    React.useEffect(() => {
+        bubbleFieldRef.current.setReducedMotion(prefersReducedMotion);
+    }, [prefersReducedMotion]);
 
-        animate(0);
+    // No point simulating bubbles nobody can see
+    React.useEffect(() => {
+        bubbleFieldRef.current.setRunning(view === 'bubbles');
+    }, [view]);
+
+    React.useEffect(() => {
+        const observer = new ResizeObserver(([entry]) => setHeaderHeight(entry.borderBoxSize?.[0]?.blockSize ?? entry.target.offsetHeight));
+        observer.observe(headerRef.current);
+        return () => observer.disconnect();
+    }, []);
+
+    // Hands each refresh (or filter or encoding change) to the field, which reconciles
+    // bubbles by market id so the field doesn't jump and filtered-out bubbles shrink away.
+    // Streamed prices go over separately, for just the bubbles they change.
+    const liveBubbleItemsRef = React.useRef(liveBubbleItems);
+    const streamedPricesRef = React.useRef(streamedPrices);
+    // The streamed prices the field already has
+    const sentPricesRef = React.useRef({});
+    React.useEffect(() => {
+        liveBubbleItemsRef.current = liveBubbleItems;
+        streamedPricesRef.current = streamedPrices;
+    }, [liveBubbleItems, streamedPrices]);
+
+    React.useEffect(() => {
+        if (!marketData) return;
+
+        // `color: null` falls back to the category color in the renderer
+        const markets = liveBubbleItemsRef.current.map(item => ({
+            ...item,
+            isWatched: item.isCluster ? item.markets.some(market => watchlist[market.id]) : Boolean(watchlist[item.id]),
+            color: encodeColor(item, colorBy),
+        }));
+        // Clusters are in the scale too, since their totals can outgrow any one market
+        const radii = computeRadii(markets, sizeBy, sizeScale, [...refreshedMarkets, ...bubbleItems]);
+        const bounds = { width: window.innerWidth, height: window.innerHeight };
+        bubbleFieldRef.current.setMarkets(markets, fitRadii(radii, bounds));
+        sentPricesRef.current = streamedPricesRef.current;
+    }, [marketData, refreshedMarkets, bubbleItems, watchlist, sizeBy, sizeScale, colorBy]);
+
+    React.useEffect(() => {
+        const sent = sentPricesRef.current;
+        sentPricesRef.current = streamedPrices;
+        const changed = new Set(Object.keys(streamedPrices).filter(tokenId => sent[tokenId] !== streamedPrices[tokenId]));
+        if (changed.size === 0) return;
+
+        const updates = liveBubbleItemsRef.current
+            .filter(item => item.outcomes.some(outcome => changed.has(outcome.tokenId)))
+            .map(item => ({
+                id: item.id,
+                outcomes: item.outcomes,
+                isMultiOutcome: item.isMultiOutcome,
+                leadingOutcome: item.leadingOutcome,
+                probability: item.probability,
+                odds: item.odds,
+                color: encodeColor(item, colorBy),
+            }));
+        if (updates.length) bubbleFieldRef.current.setPrices(updates);
+    }, [streamedPrices, colorBy]);
+
+    // Hover, click, drag, zoom and pan on the canvas. The simulation pauses while
+    // the user interacts so bubbles hold still under the pointer.
+    const bubbleItemsByIdRef = React.useRef(bubbleItemsById);
+    React.useEffect(() => {
+        bubbleItemsByIdRef.current = bubbleItemsById;
+    }, [bubbleItemsById]);
 
+    React.useEffect(() => {
+        const field = bubbleFieldRef.current;
+        const detach = attachInteractions(canvasHostRef.current, field, {
+            onHover: (id, position) => setHoveredBubble(id !== null && position ? { id, ...position } : null),
+            onOpen: (id) => {
+                const item = bubbleItemsByIdRef.current.get(id);
+                if (!item) return;
+                if (item.isCluster) toggleEvent(item.event.id);
+                else navigate(marketPath(item));
+            },
+            onInteract: () => {
+                field.setPaused(true);
+                clearTimeout(interactionTimeoutRef.current);
+                interactionTimeoutRef.current = setTimeout(() => field.setPaused(false), INTERACTION_RESUME_DELAY);
+            },
+        });
         return () => {
-            window.removeEventListener('resize', updateCanvasSize);
-            if (animationRef.current) {
-                cancelAnimationFrame(animationRef.current);
-            }
+            detach();
+            clearTimeout(interactionTimeoutRef.current);
         };
-    }, [isDark, marketData]);
-
-    const handleCanvasClick = (e) => {
-        const rect = canvasRef.current.getBoundingClientRect();
-        const x = e.clientX - rect.left;
-        const y = e.clientY - rect.top;
-
-        // Find the topmost bubble that was clicked
-        let clickedBubble = null;
-        for (const bubble of [...bubblesRef.current].reverse()) {
-            const dx = x - bubble.x;
-            const dy = y - bubble.y;
-            if (Math.sqrt(dx * dx + dy * dy) < bubble.radius) {
-                clickedBubble = bubble;
-                break;
-            }
-        }
-        
-        if (clickedBubble) {
-            setSelectedMarket(clickedBubble);
-            getAiInsight(clickedBubble);
-        }
-    };
+    }, [navigate, toggleEvent]);
+
+    const hoveredMarket = hoveredBubble && liveBubbleItems.find(item => item.id === hoveredBubble.id);
     
+    const handleSaveCategoryConfig = (config) => {
+        saveCategoryConfig(config);
+        setCategoryConfig(config);
+        setIsCategoryEditorOpen(false);
+    };
+
     // --- Render Method ---
 
     return (
         <div className={`relative min-h-screen overflow-hidden ${isDark ? 'bg-gray-900 text-white' : 'bg-gray-100 text-black'} font-['Inter',_sans-serif]`}>
-            {/* Loading Overlay */}
-            {loading && (
-                <div className="fixed inset-0 z-50 flex flex-col items-center justify-center bg-gray-900/80 backdrop-blur-sm">
-                    <RefreshCw className="w-10 h-10 animate-spin text-purple-400 mb-4" />
-                    <p className="text-lg font-semibold">Loading PolyFutures...</p>
-                    <p className="text-sm text-gray-400">Fetching the latest market data.</p>
+            {/* Header */}
+            <header ref={headerRef} className={`fixed top-0 left-0 right-0 z-40 bg-clip-padding backdrop-filter ${isDark ? 'bg-gray-900/60 backdrop-blur-lg' : 'bg-gray-100/60 backdrop-blur-lg'} border-b ${isDark ? 'border-gray-700' : 'border-gray-200'}`}>
+                <div className="flex items-center justify-between px-5 py-3 max-w-7xl mx-auto">
+                    <div className="flex items-center gap-3">
+                        <h1 className="text-xl font-bold tracking-tighter">PolyFutures.xyz</h1>
+                        <DataStatus
+                            streamStatus={streamStatus}
+                            isLoading={loading}
+                            isStale={isStale}
+                            updatedAt={updatedAt}
+                            onRetry={() => refreshNowRef.current()}
+                            isDark={isDark}
+                        />
+                    </div>
+                    <div className="flex items-center gap-2">
+                        <div role="group" aria-label="View" className={`flex items-center p-1 rounded-full ${isDark ? 'bg-gray-800' : 'bg-gray-200'}`}>
+                            {Object.entries(VIEW_MODES).map(([mode, { label }]) => {
+                                const ViewIcon = viewIcons[mode];
+                                return (
+                                    <button
+                                        key={mode}
+                                        onClick={() => setPreference('view', mode)}
+                                        title={label}
+                                        aria-label={label}
+                                        aria-pressed={view === mode}
+                                        className={`p-1.5 rounded-full transition-colors ${view === mode ? 'bg-purple-600 text-white' : isDark ? 'text-gray-300 hover:bg-gray-700' : 'text-gray-700 hover:bg-gray-300'}`}
+                                    >
+                                        <ViewIcon className="w-4 h-4" />
+                                    </button>
+                                );
+                            })}
+                        </div>
+                        <label className={`hidden sm:flex items-center gap-2 px-3 py-1.5 rounded-full ${isDark ? 'bg-gray-800' : 'bg-gray-200'}`}>
+                            <Search className={`w-4 h-4 ${isDark ? 'text-gray-400' : 'text-gray-600'}`} />
+                            <input
+                                type="search"
+                                value={filters.search}
+                                onChange={e => setFilters(prev => ({ ...prev, search: e.target.value }))}
+                                placeholder="Search markets"
+                                aria-label="Search markets"
+                                className="bg-transparent text-sm outline-none w-48"
+                            />
+                        </label>
+                        <button onClick={() => setIsFilterBarOpen(!isFilterBarOpen)} title="Filters" aria-expanded={isFilterBarOpen} className={`p-2 rounded-full transition-colors ${isFilterBarOpen ? 'bg-purple-600 text-white' : isDark ? 'bg-gray-800 hover:bg-gray-700' : 'bg-gray-200 hover:bg-gray-300'}`}>
+                            <SlidersHorizontal className="w-5 h-5" />
+                        </button>
+                        <button onClick={() => setIsWatchlistOpen(true)} title="Watchlist" className={`relative p-2 rounded-full transition-colors ${isDark ? 'bg-gray-800 hover:bg-gray-700' : 'bg-gray-200 hover:bg-gray-300'}`}>
+                            <Star className={`w-5 h-5 ${isDark ? 'text-gray-300' : 'text-gray-700'}`} />
+                            {Object.keys(watchlist).length > 0 && (
+                                <span className="absolute -top-1 -right-1 min-w-[1.1rem] h-[1.1rem] px-1 rounded-full bg-yellow-400 text-[10px] font-bold text-gray-900 flex items-center justify-center">
+                                    {Object.keys(watchlist).length}
+                                </span>
+                            )}
+                        </button>
+                        <button onClick={() => setIsPortfolioOpen(true)} title="Paper portfolio" className={`p-2 rounded-full transition-colors ${isDark ? 'bg-gray-800 hover:bg-gray-700' : 'bg-gray-200 hover:bg-gray-300'}`}>
+                            <Wallet className={`w-5 h-5 ${isDark ? 'text-gray-300' : 'text-gray-700'}`} />
+                        </button>
+                        <button onClick={() => setIsCategoryEditorOpen(true)} title="Edit categories" className={`p-2 rounded-full transition-colors ${isDark ? 'bg-gray-800 hover:bg-gray-700' : 'bg-gray-200 hover:bg-gray-300'}`}>
+                            <Palette className={`w-5 h-5 ${isDark ? 'text-gray-300' : 'text-gray-700'}`} />
+                        </button>
+                        <button onClick={() => setIsDark(!isDark)} aria-label={isDark ? 'Switch to light theme' : 'Switch to dark theme'} className={`p-2 rounded-full transition-colors ${isDark ? 'bg-gray-800 hover:bg-gray-700' : 'bg-gray-200 hover:bg-gray-300'}`}>
+                            {isDark ? <Sun className="w-5 h-5 text-yellow-300" /> : <Moon className="w-5 h-5 text-gray-700" />}
+                        </button>
+                    </div>
                 </div>
+                {isFilterBarOpen && (
+                    <FilterToolbar
+                        filters={filters}
+                        onChange={setFilters}
+                        categories={categoryConfig.categories}
+                        categoryColors={categoryColors}
+                        visibleCount={visibleMarkets.length}
+                        totalCount={allMarkets.length}
+                        isDark={isDark}
+                    />
+                )}
+            </header>
+
+            {/* Canvas for bubbles; the bubble field creates the <canvas> inside this host */}
+            <div ref={canvasHostRef} className={`absolute inset-0 w-full h-full touch-none select-none ${view === 'bubbles' ? '' : 'hidden'}`} />
+
+            {/* Focusable mirror of the bubbles for keyboards and screen readers */}
+            {view === 'bubbles' && marketData && (
+                <MarketLayer
+                    markets={liveBubbleItems}
+                    fieldRef={bubbleFieldRef}
+                    categories={categoryConfig.categories}
+                    watchlist={watchlist}
+                    onOpenMarket={openBubble}
+                    isDark={isDark}
+                />
             )}
-            {/* Error Message */}
-            {error && (
-                 <div className="fixed inset-0 z-50 flex items-center justify-center bg-gray-900/80 backdrop-blur-sm p-4">
-                    <div className="text-center bg-gray-800 p-6 rounded-lg shadow-xl">
-                        <p className="text-lg font-semibold text-red-400 mb-2">An Error Occurred</p>
-                        <p className="text-sm text-gray-300">{error}</p>
-                         <button onClick={fetchPolymarketData} className="mt-4 px-4 py-2 bg-purple-600 hover:bg-purple-700 rounded-lg text-sm font-semibold transition-colors">
-                            Try Again
-                         </button>
-                    </div>
-                 </div>
+
+            {/* Tooltip for the bubble under the mouse */}
+            {view === 'bubbles' && hoveredMarket && !selectedMarket && (
+                <div
+                    className={`fixed z-40 max-w-xs px-3 py-2 rounded-lg shadow-xl text-sm pointer-events-none ${isDark ? 'bg-gray-800 text-white' : 'bg-white text-gray-900'}`}
+                    style={{ left: Math.min(hoveredBubble.x + 14, window.innerWidth - 330), top: hoveredBubble.y + 14 }}
+                >
+                    <p className="font-semibold leading-snug mb-1">{hoveredMarket.title}</p>
+                    <p className={`tabular-nums ${isDark ? 'text-gray-300' : 'text-gray-600'}`}>
+                        {hoveredMarket.odds}%{hoveredMarket.isMultiOutcome ? ` ${hoveredMarket.leadingOutcome.name}` : ''} · {formatVolume(hoveredMarket.volume)} volume
+                    </p>
+                    {hoveredMarket.isCluster && (
+                        <p className={`mt-1 text-xs ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>{hoveredMarket.markets.length} markets · click to expand</p>
+                    )}
+                </div>
             )}
-            
-            {/* Header */}
-            <header className={`fixed top-0 left-0 right-0 z-40 bg-clip-padding backdrop-filter ${isDark ? 'bg-gray-900/60 backdrop-blur-lg' : 'bg-gray-100/60 backdrop-blur-lg'} border-b ${isDark ? 'border-gray-700' : 'border-gray-200'}`}>
-                <div className="flex items-center justify-between px-5 py-3 max-w-7xl mx-auto">
-                    <h1 className="text-xl font-bold tracking-tighter">PolyFutures.xyz</h1>
-                    <button onClick={() => setIsDark(!isDark)} className={`p-2 rounded-full transition-colors ${isDark ? 'bg-gray-800 hover:bg-gray-700' : 'bg-gray-200 hover:bg-gray-300'}`}>
-                        {isDark ? <Sun className="w-5 h-5 text-yellow-300" /> : <Moon className="w-5 h-5 text-gray-700" />}
+
+            {view === 'bubbles' && (
+                <ExpandedEvents
+                    events={expandedEvents}
+                    onCollapse={toggleEvent}
+                    isDark={isDark}
+                />
+            )}
+
+            {view === 'bubbles' && marketData && (
+                <EncodingLegend
+                    preferences={preferences}
+                    onChange={setPreference}
+                    categories={categoryConfig.categories}
+                    categoryColors={categoryColors}
+                    isDark={isDark}
+                />
+            )}
+
+            {/* Alternative views over the same filtered markets */}
+            {view !== 'bubbles' && marketData && (
+                <main className={`fixed inset-x-0 bottom-0 ${view === 'treemap' ? '' : 'overflow-y-auto'}`} style={{ top: headerHeight }}>
+                    {visibleMarkets.length === 0 ? (
+                        <p className={`p-8 text-center text-sm ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>No markets match the current filters.</p>
+                    ) : view === 'treemap' ? (
+                        <TreemapView markets={visibleMarkets} categories={categoryConfig.categories} categoryColors={categoryColors} onOpenMarket={openMarket} isDark={isDark} />
+                    ) : view === 'grid' ? (
+                        <GridView markets={visibleMarkets} sortBy={filters.sortBy} categories={categoryConfig.categories} categoryColors={categoryColors} onOpenMarket={openMarket} isDark={isDark} />
+                    ) : (
+                        <TableView markets={visibleMarkets} categories={categoryConfig.categories} categoryColors={categoryColors} onOpenMarket={openMarket} isDark={isDark} />
+                    )}
+                </main>
+            )}
+
+            {/* Deep link that couldn't be resolved */}
+            {routeSlug && routeError && !selectedMarket && (
+                <div className="fixed top-20 left-1/2 -translate-x-1/2 z-50 flex items-center gap-3 px-4 py-2 rounded-lg shadow-xl bg-gray-800 text-sm text-white">
+                    <span className="text-red-400">{routeError}</span>
+                    <button onClick={() => navigate('/', { replace: true })} className="p-1 rounded-full hover:bg-gray-700" aria-label="Dismiss">
+                        <X className="w-4 h-4" />
                     </button>
                 </div>
-            </header>
+            )}
+
+            {/* Watchlist drawer */}
+            {isWatchlistOpen && (
+                <WatchlistDrawer
+                    watchlist={watchlist}
+                    marketsById={marketsById}
+                    categoryColors={categoryColors}
+                    onOpenMarket={market => {
+                        setIsWatchlistOpen(false);
+                        openMarket(market);
+                    }}
+                    onUnwatch={toggleWatch}
+                    onClose={() => setIsWatchlistOpen(false)}
+                    isDark={isDark}
+                />
+            )}
+
+            {/* Paper-trading portfolio drawer */}
+            {isPortfolioOpen && (
+                <PortfolioDrawer
+                    portfolio={portfolio}
+                    marketsById={marketsById}
+                    onOpenMarket={market => {
+                        setIsPortfolioOpen(false);
+                        openMarket(market);
+                    }}
+                    onSell={sell}
+                    onReset={resetPortfolio}
+                    onClose={() => setIsPortfolioOpen(false)}
+                    isDark={isDark}
+                />
+            )}
 
-            {/* Canvas for bubbles */}
-            <canvas ref={canvasRef} onClick={handleCanvasClick} className="absolute inset-0 w-full h-full cursor-pointer" />
+            <ToastStack toasts={toasts} onDismiss={dismissToast} isDark={isDark} />
+
+            {/* Category and rule editor */}
+            {isCategoryEditorOpen && (
+                <CategoryEditor
+                    config={categoryConfig}
+                    onSave={handleSaveCategoryConfig}
+                    onClose={() => setIsCategoryEditorOpen(false)}
+                    isDark={isDark}
+                />
+            )}
 
             {/* Selected Market Detail Panel */}
             {selectedMarket && (
                 <div className="fixed inset-0 z-50" style={{'--accent-color': categoryColors[selectedMarket.category]}}>
-                    <div className={`absolute inset-0 ${isDark ? 'bg-black/70' : 'bg-gray-900/70'} backdrop-blur-sm`} onClick={() => setSelectedMarket(null)} />
-                    <div className={`absolute inset-x-0 bottom-0 rounded-t-3xl shadow-2xl overflow-hidden ${isDark ? 'bg-gray-800' : 'bg-white'} animate-slide-up`}>
+                    <div className={`absolute inset-0 ${isDark ? 'bg-black/70' : 'bg-gray-900/70'} backdrop-blur-sm`} onClick={closeMarket} />
+                    <div
+                        ref={panelRef}
+                        role="dialog"
+                        aria-modal="true"
+                        aria-labelledby="market-panel-title"
+                        tabIndex={-1}
+                        className={`absolute inset-x-0 bottom-0 rounded-t-3xl shadow-2xl overflow-hidden outline-none ${isDark ? 'bg-gray-800' : 'bg-white'} animate-slide-up motion-reduce:animate-none`}
+                    >
                         <div className="h-2 bg-[var(--accent-color)]" />
                         <div className="p-5 overflow-y-auto max-h-[85vh]">
                             <div className="flex items-start justify-between mb-4">
                                 <div>
-                                    <span className="px-3 py-1 rounded-full text-xs font-semibold text-white bg-[var(--accent-color)] uppercase tracking-wider">{selectedMarket.category}</span>
-                                    <h2 className={`text-xl font-bold mt-3 mb-2 ${isDark ? 'text-white' : 'text-gray-900'}`}>{selectedMarket.title}</h2>
+                                    <span title={`Confidence ${Math.round(selectedMarket.categoryConfidence * 100)}%`} className="px-3 py-1 rounded-full text-xs font-semibold text-white bg-[var(--accent-color)] uppercase tracking-wider">{categoryConfig.categories[selectedMarket.category]?.label || selectedMarket.category}</span>
+                                    <h2 id="market-panel-title" className={`text-xl font-bold mt-3 mb-2 ${isDark ? 'text-white' : 'text-gray-900'}`}>{selectedMarket.title}</h2>
+                                </div>
+                                <div className="flex items-center gap-2 shrink-0">
+                                    <button onClick={() => toggleWatch(selectedMarket)} aria-pressed={Boolean(watchlist[selectedMarket.id])} className={`flex items-center gap-1.5 px-3 py-2 rounded-full text-sm font-semibold ${isDark ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'}`}>
+                                        <Star className={`w-4 h-4 ${watchlist[selectedMarket.id] ? 'fill-yellow-400 text-yellow-400' : ''}`} />
+                                        {watchlist[selectedMarket.id] ? 'Watching' : 'Watch'}
+                                    </button>
+                                    <button onClick={closeMarket} aria-label="Close" className={`p-2 rounded-full ${isDark ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'}`}>
+                                        <X className="w-5 h-5" />
+                                    </button>
                                 </div>
-                                <button onClick={() => setSelectedMarket(null)} className={`p-2 rounded-full ${isDark ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'}`}>
-                                    <X className="w-5 h-5" />
-                                </button>
                             </div>
 
                              <div className={`p-4 rounded-xl mb-4 ${isDark ? 'bg-gray-700/50' : 'bg-gray-100'}`}>
                                 <div className="flex items-center justify-between">
                                     <div>
-                                        <p className={`text-sm mb-1 ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>Current Odds</p>
+                                        <p className={`text-sm mb-1 ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>
+                                            {selectedMarket.isMultiOutcome ? `Leading: ${selectedMarket.leadingOutcome.name}` : 'Current Odds'}
+                                        </p>
                                         <p className={`text-4xl font-bold`}>{selectedMarket.odds}%</p>
                                     </div>
                                     <div className="text-right">
@@ -410,7 +880,37 @@ const App = () => {
                                     </div>
                                 </div>
                             </div>
+
+                            {/* Price History */}
+                            <div className={`p-4 rounded-xl mb-4 ${isDark ? 'bg-gray-700/50' : 'bg-gray-100'}`}>
+                                <PriceChart key={selectedMarket.id} market={selectedMarket} updatedAt={updatedAt} fetchHistory={marketSource.fetchHistory} isDark={isDark} />
+                            </div>
                             
+                            {/* Outcomes */}
+                            {selectedMarket.outcomes.length > 1 && (
+                                <div className={`p-4 rounded-xl mb-4 ${isDark ? 'bg-gray-700/50' : 'bg-gray-100'}`}>
+                                    <h3 className={`text-sm mb-3 ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>Outcomes</h3>
+                                    <OutcomeList outcomes={selectedMarket.outcomes} leadingOutcome={selectedMarket.leadingOutcome} isDark={isDark} />
+                                </div>
+                            )}
+
+                            {/* Other Venues */}
+                            {venues.length > 0 && !selectedMarket.isMultiOutcome && (
+                                <div className={`p-4 rounded-xl mb-4 ${isDark ? 'bg-gray-700/50' : 'bg-gray-100'}`}>
+                                    <VenueComparison
+                                        key={selectedMarket.id}
+                                        market={selectedMarket}
+                                        venues={venues}
+                                        venueMarkets={venueMarkets}
+                                        failedVenues={failedVenues}
+                                        matches={venueMatches.get(selectedMarket.id)}
+                                        links={venueLinks}
+                                        onLink={setVenueLink}
+                                        isDark={isDark}
+                                    />
+                                </div>
+                            )}
+
                             {/* AI Insight Section */}
                             <div className={`p-4 rounded-xl mb-4 ${isDark ? 'bg-gray-700/50' : 'bg-gray-100'}`}>
                                 <h3 className="flex items-center gap-2 text-sm font-semibold mb-2 text-[var(--accent-color)]">
@@ -419,9 +919,9 @@ const App = () => {
                                 </h3>
                                 {isInsightLoading ? (
                                     <div className="flex items-center gap-2">
-                                        <div className="w-2 h-2 bg-gray-400 rounded-full animate-pulse" style={{animationDelay: '0s'}}></div>
-                                        <div className="w-2 h-2 bg-gray-400 rounded-full animate-pulse" style={{animationDelay: '0.2s'}}></div>
-                                        <div className="w-2 h-2 bg-gray-400 rounded-full animate-pulse" style={{animationDelay: '0.4s'}}></div>
+                                        <div className="w-2 h-2 bg-gray-400 rounded-full animate-pulse motion-reduce:animate-none" style={{animationDelay: '0s'}}></div>
+                                        <div className="w-2 h-2 bg-gray-400 rounded-full animate-pulse motion-reduce:animate-none" style={{animationDelay: '0.2s'}}></div>
+                                        <div className="w-2 h-2 bg-gray-400 rounded-full animate-pulse motion-reduce:animate-none" style={{animationDelay: '0.4s'}}></div>
                                     </div>
                                 ) : (
                                     <p className={`text-sm leading-relaxed ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>{aiInsight}</p>
@@ -431,12 +931,32 @@ const App = () => {
 
                             <div className="grid grid-cols-2 gap-4 mb-4">
                                 <InfoCard icon={Users} label="Traders" value={`${(selectedMarket.traders / 1000).toFixed(1)}K`} isDark={isDark} />
-                                <InfoCard icon={selectedMarket.trend === 'up' ? TrendingUp : TrendingDown} label="24h Change" value={`${selectedMarket.trend === 'up' ? '+' : '-'}${selectedMarket.change}%`} trend={selectedMarket.trend} isDark={isDark} />
+                                <InfoCard icon={trendIcons[selectedMarket.trend]} label="24h Change" value={formatChange(selectedMarket.change)} trend={selectedMarket.trend} isDark={isDark} />
+                                <InfoCard icon={trendIcons[trendFromChange(selectedMarket.changes['1h'])]} label="1h Change" value={formatChange(selectedMarket.changes['1h'])} trend={trendFromChange(selectedMarket.changes['1h'])} isDark={isDark} />
+                                <InfoCard icon={trendIcons[trendFromChange(selectedMarket.changes['7d'])]} label="7d Change" value={formatChange(selectedMarket.changes['7d'])} trend={trendFromChange(selectedMarket.changes['7d'])} isDark={isDark} />
+                            </div>
+
+                            {watchlist[selectedMarket.id] && (
+                                <div className={`p-4 rounded-xl mb-4 ${isDark ? 'bg-gray-700/50' : 'bg-gray-100'}`}>
+                                    <AlertRulesEditor
+                                        market={selectedMarket}
+                                        rules={watchlist[selectedMarket.id].rules}
+                                        onChange={rules => handleRulesChange(selectedMarket, rules)}
+                                        isDark={isDark}
+                                    />
+                                </div>
+                            )}
+
+                            {/* Paper Trading */}
+                            <div className={`p-4 rounded-xl mb-4 ${isDark ? 'bg-gray-700/50' : 'bg-gray-100'}`}>
+                                <TradeTicket key={selectedMarket.id} market={selectedMarket} portfolio={portfolio} onBuy={buy} onSell={sell} isDark={isDark} />
                             </div>
 
-                            <a href={selectedMarket.url} target="_blank" rel="noopener noreferrer" className="w-full py-3 mt-2 rounded-xl font-semibold text-white flex items-center justify-center gap-2 transition-transform hover:scale-[1.02] active:scale-[0.98] bg-[var(--accent-color)]">
-                                Trade on Polymarket <ExternalLink className="w-4 h-4" />
-                            </a>
+                            {selectedMarket.url && (
+                                <a href={selectedMarket.url} target="_blank" rel="noopener noreferrer" className="w-full py-3 mt-2 rounded-xl font-semibold text-white flex items-center justify-center gap-2 transition-transform hover:scale-[1.02] active:scale-[0.98] bg-[var(--accent-color)]">
+                                    Trade on Polymarket <ExternalLink className="w-4 h-4" />
+                                </a>
+                            )}
                         </div>
                     </div>
                 </div>
@@ -445,6 +965,8 @@ const App = () => {
     );
 };
 
+const trendIcons = { up: TrendingUp, down: TrendingDown, flat: Minus };
+
 // A small component for displaying info cards in the detail panel
 const InfoCard = ({ icon: Icon, label, value, trend, isDark }) => (
     <div className={`p-3 rounded-xl ${isDark ? 'bg-gray-700/50' : 'bg-gray-100'}`}>
@@ -0,0 +1,279 @@
+import { createEngine } from './engine';
+
+// Page-side handle for the bubble canvas. Runs the engine in a Web Worker
+// with an OffscreenCanvas where supported and on the main thread otherwise
+// (or if the worker fails). The field owns its <canvas> element because a
+// canvas can only be transferred to a worker once.
+//
+// Bubbles live in world coordinates (the field at zoom 1). The zoom and pan
+// view is kept here, so page-side methods take and return screen (CSS pixel)
+// coordinates relative to the container.
+
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 8;
+const IDENTITY_VIEW = { x: 0, y: 0, scale: 1 };
+
+const supportsWorkerCanvas = () => (
+    typeof Worker !== 'undefined'
+    && typeof OffscreenCanvas !== 'undefined'
+    && typeof HTMLCanvasElement.prototype.transferControlToOffscreen === 'function'
+);
+
+const createCanvas = (container) => {
+    const canvas = document.createElement('canvas');
+    canvas.style.width = '100%';
+    canvas.style.height = '100%';
+    canvas.style.display = 'block';
+    // Screen readers get the market layer rendered over the canvas instead
+    canvas.setAttribute('aria-hidden', 'true');
+    container.appendChild(canvas);
+    return canvas;
+};
+
+// Runs the engine with requestAnimationFrame on this thread
+const startMainThread = (canvas) => {
+    const engine = createEngine(canvas, 'main');
+    const loop = (time) => {
+        engine.frame(time);
+        frameId = requestAnimationFrame(loop);
+    };
+    let frameId = requestAnimationFrame(loop);
+
+    return {
+        mode: 'main',
+        send(message) {
+            if (message.type === 'resize') engine.resize(message.width, message.height, message.pixelRatio);
+            else if (message.type === 'markets') engine.setMarkets(message.markets, message.radii);
+            else if (message.type === 'prices') engine.setPrices(message.updates);
+            else if (message.type === 'colors') engine.setColors(message.colors);
+            else if (message.type === 'debug') engine.setDebug(message.enabled);
+            else if (message.type === 'view') engine.setView(message.view);
+            else if (message.type === 'hover') engine.setHover(message.id);
+            else if (message.type === 'drag') engine.drag(message.phase, message.id, message.x, message.y, message.vx, message.vy);
+            else if (message.type === 'paused') engine.setPaused(message.paused);
+            else if (message.type === 'motion') engine.setReducedMotion(message.reduced);
+            else if (message.type === 'theme') engine.setTheme(message.isDark);
+            else if (message.type === 'running') {
+                cancelAnimationFrame(frameId);
+                frameId = message.running ? requestAnimationFrame(loop) : null;
+            }
+        },
+        getPositions() {
+            return engine.getBubbles().map(bubble => ({
+                id: bubble.id,
+                x: bubble.x,
+                y: bubble.y,
+                radius: bubble.targetScale === 0 ? 0 : bubble.radius * bubble.scale,
+            }));
+        },
+        stop() {
+            cancelAnimationFrame(frameId);
+        },
+    };
+};
+
+const startWorker = (canvas, size, onError) => {
+    const worker = new Worker(new URL('./bubbleWorker.js', import.meta.url), { type: 'module' });
+    const offscreen = canvas.transferControlToOffscreen();
+    let ids = [];
+    let positions = new Float32Array(0);
+
+    worker.onmessage = ({ data }) => {
+        if (data.type !== 'frame') return;
+        if (data.ids) ids = data.ids;
+        positions = data.positions;
+    };
+    worker.onerror = (event) => {
+        event.preventDefault();
+        onError(event);
+    };
+    worker.postMessage({ type: 'init', canvas: offscreen, ...size }, [offscreen]);
+
+    return {
+        mode: 'worker',
+        send(message) {
+            worker.postMessage(message);
+        },
+        getPositions() {
+            return ids.map((id, i) => ({
+                id,
+                x: positions[i * 3],
+                y: positions[i * 3 + 1],
+                radius: positions[i * 3 + 2],
+            }));
+        },
+        stop() {
+            worker.terminate();
+        },
+    };
+};
+
+export const createBubbleField = (container) => {
+    let canvas = createCanvas(container);
+    let size = { width: container.clientWidth, height: container.clientHeight, pixelRatio: window.devicePixelRatio || 1 };
+    let view = IDENTITY_VIEW;
+    // Latest state, replayed if we have to fall back to the main thread
+    const state = {};
+    let runner;
+
+    const fallBackToMainThread = (event) => {
+        console.error('Bubble worker failed, rendering on the main thread instead:', event.message || event);
+        runner.stop();
+        canvas.remove();
+        canvas = createCanvas(container);
+        runner = startMainThread(canvas);
+        runner.send({ type: 'resize', ...size });
+        Object.values(state).forEach(message => runner.send(message));
+    };
+
+    if (supportsWorkerCanvas()) {
+        try {
+            runner = startWorker(canvas, size, fallBackToMainThread);
+        } catch (err) {
+            console.warn('Bubble worker unavailable:', err);
+        }
+    }
+    if (!runner) {
+        runner = startMainThread(canvas);
+        runner.send({ type: 'resize', ...size });
+    }
+
+    const send = (message) => {
+        // A drag in progress isn't worth replaying; the next pointer move restarts it
+        if (message.type !== 'resize' && message.type !== 'drag') state[message.type] = message;
+        runner.send(message);
+    };
+
+    const toWorld = (x, y) => ({ x: (x - view.x) / view.scale, y: (y - view.y) / view.scale });
+
+    // Keeps the zoom in range and the world covering the whole screen
+    const applyView = (next) => {
+        const scale = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, next.scale));
+        view = {
+            scale,
+            x: Math.min(0, Math.max(size.width * (1 - scale), next.x)),
+            y: Math.min(0, Math.max(size.height * (1 - scale), next.y)),
+        };
+        send({ type: 'view', view });
+    };
+
+    return {
+        get mode() {
+            return runner.mode;
+        },
+
+        resize(width, height, pixelRatio) {
+            size = { width, height, pixelRatio };
+            send({ type: 'resize', ...size });
+            applyView(view);
+        },
+
+        setMarkets(markets, radii) {
+            // The new markets carry current prices, so earlier price updates needn't be replayed
+            delete state.prices;
+            send({ type: 'markets', markets, radii });
+        },
+
+        // Streamed prices between refreshes: [{ id, odds, outcomes, color, ... }]
+        // for just the bubbles that changed, instead of the whole market list
+        setPrices(updates) {
+            const replayed = new Map((state.prices?.updates || []).map(update => [update.id, update]));
+            updates.forEach(update => replayed.set(update.id, update));
+            state.prices = { type: 'prices', updates: [...replayed.values()] };
+            runner.send({ type: 'prices', updates });
+        },
+
+        setColors(colors) {
+            send({ type: 'colors', colors });
+        },
+
+        setDebug(enabled) {
+            send({ type: 'debug', enabled });
+        },
+
+        // Stops the loop entirely, e.g. while another view replaces the canvas
+        setRunning(running) {
+            send({ type: 'running', running });
+        },
+
+        getView() {
+            return view;
+        },
+
+        // Zooms to `scale` keeping the point (x, y) fixed on screen
+        zoomAt(x, y, scale) {
+            const anchor = toWorld(x, y);
+            const nextScale = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, scale));
+            applyView({ scale: nextScale, x: x - anchor.x * nextScale, y: y - anchor.y * nextScale });
+        },
+
+        panBy(dx, dy) {
+            applyView({ ...view, x: view.x + dx, y: view.y + dy });
+        },
+
+        resetView() {
+            applyView(IDENTITY_VIEW);
+        },
+
+        setHover(id) {
+            send({ type: 'hover', id });
+        },
+
+        setPaused(paused) {
+            send({ type: 'paused', paused });
+        },
+
+        setReducedMotion(reduced) {
+            send({ type: 'motion', reduced });
+        },
+
+        setTheme(isDark) {
+            send({ type: 'theme', isDark });
+        },
+
+        // Moves a bubble with the pointer; see engine.drag. Velocities are in
+        // screen pixels per frame.
+        drag(phase, id, x, y, vx = 0, vy = 0) {
+            const point = toWorld(x, y);
+            send({
+                type: 'drag',
+                phase,
+                id,
+                x: Math.min(size.width, Math.max(0, point.x)),
+                y: Math.min(size.height, Math.max(0, point.y)),
+                vx: vx / view.scale,
+                vy: vy / view.scale,
+            });
+        },
+
+        // Latest known bubble positions in world coordinates: [{ id, x, y, radius }]
+        getBubbles() {
+            return runner.getPositions();
+        },
+
+        // A bubble's position and radius on screen, or null if it isn't showing
+        getScreenPosition(id) {
+            const bubble = runner.getPositions().find(b => b.id === id);
+            if (!bubble || !(bubble.radius > 0)) return null;
+            return { x: bubble.x * view.scale + view.x, y: bubble.y * view.scale + view.y, radius: bubble.radius * view.scale };
+        },
+
+        // Id of the topmost bubble under (x, y), in CSS pixels relative to the container
+        hitTest(x, y) {
+            const point = toWorld(x, y);
+            const bubbles = runner.getPositions();
+            for (let i = bubbles.length - 1; i >= 0; i--) {
+                const bubble = bubbles[i];
+                const dx = point.x - bubble.x;
+                const dy = point.y - bubble.y;
+                if (bubble.radius > 0 && dx * dx + dy * dy < bubble.radius * bubble.radius) return bubble.id;
+            }
+            return null;
+        },
+
+        destroy() {
+            runner.stop();
+            canvas.remove();
+        },
+    };
+};
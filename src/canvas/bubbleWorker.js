@@ -0,0 +1,97 @@
+import { createEngine } from './engine';
+
+// Runs the bubble engine off the main thread on a transferred OffscreenCanvas.
+// After every frame it posts bubble positions back so the page can hit-test
+// clicks without asking the worker.
+
+let engine = null;
+let sentVersion = -1;
+let running = true;
+let frameScheduled = false;
+
+const nextFrame = self.requestAnimationFrame
+    ? (callback) => self.requestAnimationFrame(callback)
+    : (callback) => setTimeout(() => callback(performance.now()), 16);
+
+const postPositions = () => {
+    const bubbles = engine.getBubbles();
+    // x, y and effective radius per bubble; exiting bubbles report radius 0
+    const positions = new Float32Array(bubbles.length * 3);
+    bubbles.forEach((bubble, i) => {
+        positions[i * 3] = bubble.x;
+        positions[i * 3 + 1] = bubble.y;
+        positions[i * 3 + 2] = bubble.targetScale === 0 ? 0 : bubble.radius * bubble.scale;
+    });
+
+    const message = { type: 'frame', positions };
+    // Ids only change with the bubble list, so they're sent only then
+    if (engine.getVersion() !== sentVersion) {
+        sentVersion = engine.getVersion();
+        message.ids = bubbles.map(bubble => bubble.id);
+    }
+    self.postMessage(message, [positions.buffer]);
+};
+
+// At most one frame is queued, so pausing and resuming can't start a second loop
+const scheduleFrame = () => {
+    if (frameScheduled || !running) return;
+    frameScheduled = true;
+    nextFrame(loop);
+};
+
+const loop = (time) => {
+    frameScheduled = false;
+    if (!running) return;
+    engine.frame(time);
+    postPositions();
+    scheduleFrame();
+};
+
+self.onmessage = ({ data }) => {
+    switch (data.type) {
+        case 'init':
+            engine = createEngine(data.canvas, 'worker');
+            engine.resize(data.width, data.height, data.pixelRatio);
+            scheduleFrame();
+            break;
+        case 'resize':
+            engine.resize(data.width, data.height, data.pixelRatio);
+            break;
+        case 'markets':
+            engine.setMarkets(data.markets, data.radii);
+            break;
+        case 'prices':
+            engine.setPrices(data.updates);
+            break;
+        case 'colors':
+            engine.setColors(data.colors);
+            break;
+        case 'debug':
+            engine.setDebug(data.enabled);
+            break;
+        case 'view':
+            engine.setView(data.view);
+            break;
+        case 'hover':
+            engine.setHover(data.id);
+            break;
+        case 'drag':
+            engine.drag(data.phase, data.id, data.x, data.y, data.vx, data.vy);
+            break;
+        case 'paused':
+            engine.setPaused(data.paused);
+            break;
+        case 'motion':
+            engine.setReducedMotion(data.reduced);
+            break;
+        case 'theme':
+            engine.setTheme(data.isDark);
+            break;
+        case 'running':
+            running = data.running;
+            scheduleFrame();
+            break;
+        default:
+            console.warn('Unknown bubble worker message:', data.type);
+    }
+};
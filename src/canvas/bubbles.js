@@ -0,0 +1,100 @@
+// Bubble lifecycle: reconciles the bubble list with fresh market data by id
+// so positions and velocities survive refreshes, and tweens size, scale and
+// odds-change flashes each frame.
+
+export const FLASH_DURATION = 900; // ms
+export const FLASH_COLORS = { up: '#22c55e', down: '#ef4444' };
+
+// Fraction of the remaining distance covered per frame
+const RADIUS_EASING = 0.08;
+const SCALE_EASING = 0.12;
+
+// New bubbles start at a random spot, or next to `origin` (another bubble) when given
+export const createBubble = (market, radius, bounds, origin = null) => ({
+    ...market,
+    x: origin ? origin.x + (Math.random() - 0.5) * origin.radius : Math.random() * (bounds.width - radius * 2) + radius,
+    y: origin ? origin.y + (Math.random() - 0.5) * origin.radius : Math.random() * (bounds.height - radius * 2) + radius,
+    vx: (Math.random() - 0.5) * 1.5,
+    vy: (Math.random() - 0.5) * 1.5,
+    radius,
+    targetRadius: radius,
+    // New bubbles grow in from nothing
+    scale: 0,
+    targetScale: 1,
+    flash: null,
+});
+
+const flashOnMove = (bubble, odds, now) => {
+    if (bubble.odds !== odds) {
+        bubble.flash = { color: odds > bubble.odds ? FLASH_COLORS.up : FLASH_COLORS.down, start: now };
+    }
+};
+
+// Returns the next bubble list. Existing bubbles are updated in place,
+// new markets are added (next to the bubble named by their `spawnFrom` id,
+// if it's on the field), and missing ones are marked to shrink out
+// (they're dropped by `tweenBubble` once fully gone).
+export const reconcileBubbles = (bubbles, markets, getRadius, bounds, now = performance.now()) => {
+    const existingById = new Map(bubbles.map(bubble => [bubble.id, bubble]));
+    const seen = new Set();
+
+    const next = markets.map(market => {
+        seen.add(market.id);
+        const radius = getRadius(market);
+        const bubble = existingById.get(market.id);
+        if (!bubble) return createBubble(market, radius, bounds, market.spawnFrom ? existingById.get(market.spawnFrom) : null);
+
+        flashOnMove(bubble, market.odds, now);
+        // Market fields never overlap the physics state, so this keeps position and velocity
+        Object.assign(bubble, market);
+        bubble.targetRadius = radius;
+        bubble.targetScale = 1;
+        return bubble;
+    });
+
+    bubbles.forEach(bubble => {
+        if (seen.has(bubble.id)) return;
+        bubble.targetScale = 0;
+        next.push(bubble);
+    });
+    return next;
+};
+
+// Applies streamed prices between refreshes: `updates` is [{ id, ...fields }]
+// with only the price-derived fields (odds, outcomes, color, ...). The list
+// itself is untouched; unknown ids are ignored.
+export const updateBubblePrices = (bubbles, updates, now = performance.now()) => {
+    const byId = new Map(bubbles.map(bubble => [bubble.id, bubble]));
+    updates.forEach(update => {
+        const bubble = byId.get(update.id);
+        if (!bubble) return;
+        flashOnMove(bubble, update.odds, now);
+        Object.assign(bubble, update);
+    });
+};
+
+// Advances radius and scale toward their targets. Returns false once an
+// exiting bubble has fully shrunk and can be removed.
+export const tweenBubble = (bubble, now = performance.now()) => {
+    bubble.radius += (bubble.targetRadius - bubble.radius) * RADIUS_EASING;
+    bubble.scale += (bubble.targetScale - bubble.scale) * SCALE_EASING;
+    if (Math.abs(bubble.targetScale - bubble.scale) < 0.001) bubble.scale = bubble.targetScale;
+    if (bubble.flash && now - bubble.flash.start > FLASH_DURATION) bubble.flash = null;
+    return !(bubble.targetScale === 0 && bubble.scale === 0);
+};
+
+// 1 at the moment of the change, fading to 0
+export const flashStrength = (bubble, now = performance.now()) => (
+    bubble.flash ? Math.max(0, 1 - (now - bubble.flash.start) / FLASH_DURATION) : 0
+);
+
+// Shrinks all radii by the same factor when the bubbles would cover more than
+// `maxFill` of the available area, so large market counts still fit on screen.
+export const fitRadii = (radii, bounds, maxFill = 0.45) => {
+    const area = Object.values(radii).reduce((sum, radius) => sum + Math.PI * radius * radius, 0);
+    const available = bounds.width * bounds.height * maxFill;
+    if (area <= available || area === 0) return radii;
+
+    const factor = Math.sqrt(available / area);
+    return Object.fromEntries(Object.entries(radii).map(([id, radius]) => [id, radius * factor]));
+};
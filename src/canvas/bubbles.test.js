@@ -0,0 +1,28 @@
+import { describe, expect, it } from 'vitest';
+import { reconcileBubbles, updateBubblePrices, FLASH_COLORS } from './bubbles';
+
+const bounds = { width: 800, height: 600 };
+const market = (id, odds) => ({ id, odds, probability: odds / 100, color: null });
+
+describe('updateBubblePrices', () => {
+    it('re-prices only the named bubbles and keeps their physics state', () => {
+        const bubbles = reconcileBubbles([], [market('a', 40), market('b', 60)], () => 20, bounds);
+        const [a, b] = bubbles;
+        const position = { x: a.x, y: a.y, vx: a.vx, vy: a.vy, radius: a.radius };
+
+        updateBubblePrices(bubbles, [{ id: 'a', odds: 45, probability: 0.45, color: '#ffffff' }, { id: 'gone', odds: 10 }], 1000);
+
+        expect(bubbles).toEqual([a, b]);
+        expect(a).toMatchObject({ ...position, odds: 45, probability: 0.45, color: '#ffffff' });
+        expect(a.flash).toEqual({ color: FLASH_COLORS.up, start: 1000 });
+        expect(b.odds).toBe(60);
+        expect(b.flash).toBeNull();
+    });
+
+    it('flashes down on a fall and not at all when the odds hold', () => {
+        const bubbles = reconcileBubbles([], [market('a', 40), market('b', 60)], () => 20, bounds);
+        updateBubblePrices(bubbles, [{ id: 'a', odds: 30 }, { id: 'b', odds: 60, color: '#000000' }], 1000);
+        expect(bubbles[0].flash.color).toBe(FLASH_COLORS.down);
+        expect(bubbles[1].flash).toBeNull();
+    });
+});
@@ -0,0 +1,155 @@
+import { reconcileBubbles, updateBubblePrices, tweenBubble } from './bubbles';
+import { stepPhysics } from './physics';
+import { createRenderer } from './renderer';
+
+// One simulation + render loop over a canvas. The same engine runs inside
+// the bubble worker (on an OffscreenCanvas) or on the main thread.
+
+const STATS_WINDOW = 60; // frames
+// How much the bubble under the pointer grows
+const HOVER_SCALE = 1.15;
+
+export const createEngine = (canvas, mode) => {
+    const renderer = createRenderer(canvas.getContext('2d'));
+    let bubbles = [];
+    let colors = { default: '#ced4da' };
+    let width = 0;
+    let height = 0;
+    let debug = false;
+    // Canvas zoom and pan: screen = world * view.scale + (view.x, view.y)
+    let view = { x: 0, y: 0, scale: 1 };
+    let hoveredId = null;
+    // The bubble being dragged, pinned to the pointer: { id, x, y, vx, vy }
+    let drag = null;
+    let paused = false;
+    let reducedMotion = false;
+    // Bumped whenever bubbles are added, removed or reordered
+    let version = 0;
+
+    const frameTimes = [];
+    const frameIntervals = [];
+    let lastFrameAt = null;
+
+    const average = (values) => values.reduce((sum, value) => sum + value, 0) / Math.max(values.length, 1);
+
+    const recordTiming = (time, frameTime) => {
+        frameTimes.push(frameTime);
+        if (lastFrameAt !== null) frameIntervals.push(time - lastFrameAt);
+        lastFrameAt = time;
+        if (frameTimes.length > STATS_WINDOW) frameTimes.shift();
+        if (frameIntervals.length > STATS_WINDOW) frameIntervals.shift();
+    };
+
+    return {
+        resize(nextWidth, nextHeight, pixelRatio) {
+            width = nextWidth;
+            height = nextHeight;
+            canvas.width = Math.round(width * pixelRatio);
+            canvas.height = Math.round(height * pixelRatio);
+            renderer.setPixelRatio(pixelRatio);
+        },
+
+        // `radii` maps market id to the bubble's target radius
+        setMarkets(markets, radii) {
+            bubbles = reconcileBubbles(bubbles, markets, market => radii[market.id], { width, height });
+            version++;
+        },
+
+        // Price-only changes between refreshes; see updateBubblePrices
+        setPrices(updates) {
+            updateBubblePrices(bubbles, updates);
+        },
+
+        setColors(nextColors) {
+            colors = nextColors;
+        },
+
+        setDebug(enabled) {
+            debug = enabled;
+        },
+
+        setView(nextView) {
+            view = nextView;
+            renderer.setView(view);
+        },
+
+        setHover(id) {
+            hoveredId = id;
+        },
+
+        // `phase` is 'start', 'move' or 'end'; positions and velocities are in world units.
+        // On 'end' the bubble keeps the pointer's velocity, so a quick release flings it.
+        drag(phase, id, x, y, vx, vy) {
+            const bubble = bubbles.find(b => b.id === id);
+            if (phase === 'end') {
+                if (bubble) {
+                    bubble.vx = vx;
+                    bubble.vy = vy;
+                }
+                drag = null;
+                return;
+            }
+            drag = { id, x, y, vx, vy };
+        },
+
+        // Freezes movement (not tweens or drawing) so bubbles hold still under the pointer
+        setPaused(nextPaused) {
+            paused = nextPaused;
+        },
+
+        // For prefers-reduced-motion: bubbles only move apart when they overlap,
+        // size changes are instant and the glow doesn't pulse
+        setReducedMotion(enabled) {
+            reducedMotion = enabled;
+            renderer.setReducedMotion(enabled);
+        },
+
+        setTheme(isDark) {
+            renderer.setTheme(isDark);
+        },
+
+        frame(time) {
+            const start = performance.now();
+
+            // Tween sizes and drop bubbles that have finished shrinking out
+            const count = bubbles.length;
+            bubbles.forEach(bubble => {
+                if (bubble.targetScale > 0) bubble.targetScale = bubble.id === hoveredId ? HOVER_SCALE : 1;
+                if (reducedMotion) {
+                    bubble.radius = bubble.targetRadius;
+                    bubble.scale = bubble.targetScale;
+                }
+            });
+            bubbles = bubbles.filter(bubble => tweenBubble(bubble, time));
+            if (bubbles.length !== count) version++;
+
+            const dragged = drag && bubbles.find(bubble => bubble.id === drag.id);
+            if (dragged) {
+                // Pinned to the pointer, but carrying its velocity so it knocks others aside
+                Object.assign(dragged, { x: drag.x, y: drag.y, vx: drag.vx, vy: drag.vy });
+            }
+            if (!paused || dragged) stepPhysics(bubbles, width, height);
+            if (dragged) Object.assign(dragged, { x: drag.x, y: drag.y });
+            if (reducedMotion) {
+                bubbles.forEach(bubble => {
+                    bubble.vx = 0;
+                    bubble.vy = 0;
+                });
+            }
+
+            const stats = debug && {
+                fps: 1000 / Math.max(average(frameIntervals), 1),
+                frameTime: average(frameTimes),
+                maxFrameTime: Math.max(0, ...frameTimes),
+                bubbles: bubbles.length,
+                mode,
+            };
+            renderer.draw(bubbles, time, colors, width, height, stats);
+
+            recordTiming(time, performance.now() - start);
+        },
+
+        getBubbles: () => bubbles,
+        getVersion: () => version,
+    };
+};
@@ -0,0 +1,195 @@
+// Pointer, wheel and touch handling for the bubble field's container:
+//   - hover a bubble to highlight it (and show the page's tooltip)
+//   - click a bubble to open it; drag it around and release to fling it
+//   - wheel or pinch to zoom, drag empty space (or one finger) to pan
+//   - double-click to reset the view (so a click only waits to see if it's
+//     the first half of one while the view is zoomed or panned)
+// `onInteract` fires on presses, drags, pinches and wheel zooms (not plain
+// hovering) so the page can pause the simulation.
+
+const DRAG_THRESHOLD = 4; // px before a press turns into a drag
+const WHEEL_ZOOM_SPEED = 0.0015;
+const MAX_FLING_SPEED = 30; // px per frame
+// A release this long after the last move is a drop, not a fling
+const FLING_WINDOW = 80; // ms
+const FRAME_TIME = 1000 / 60;
+// A click waits this long before opening, in case it is the first half of a
+// double-click; a click this soon after an immediate open is that second half
+const DOUBLE_CLICK_WINDOW = 250; // ms
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+const clampSpeed = (speed) => Math.max(-MAX_FLING_SPEED, Math.min(MAX_FLING_SPEED, speed));
+
+export const attachInteractions = (container, field, { onHover, onOpen, onInteract }) => {
+    // Active pointers (mouse buttons held or fingers down), by pointer id
+    const pointers = new Map();
+    // The current press: { id, start, last, lastTime, vx, vy, isDragging }; id is null on empty space
+    let press = null;
+    let pinch = null;
+    let hoveredId = null;
+    let pendingOpen = null;
+    // The last click opened straight away: { id, time }
+    let lastOpen = null;
+
+    const cancelPendingOpen = () => {
+        clearTimeout(pendingOpen);
+        pendingOpen = null;
+    };
+
+    const localPoint = (e) => {
+        const rect = container.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    };
+
+    // Reports every move over a bubble, not just entering it, so the tooltip follows the pointer
+    const setHovered = (id, e) => {
+        container.style.cursor = id !== null ? 'pointer' : '';
+        if (id === null && hoveredId === null) return;
+        if (id !== hoveredId) {
+            hoveredId = id;
+            field.setHover(id);
+        }
+        onHover(id, id !== null && e ? { x: e.clientX, y: e.clientY } : null);
+    };
+
+    const isViewReset = () => {
+        const { x, y, scale } = field.getView();
+        return x === 0 && y === 0 && scale === 1;
+    };
+
+    const openOnClick = (id, time) => {
+        if (!isViewReset()) {
+            pendingOpen = setTimeout(() => {
+                pendingOpen = null;
+                onOpen(id);
+            }, DOUBLE_CLICK_WINDOW);
+            return;
+        }
+        // Nothing for a double-click to do, so no reason to wait
+        if (lastOpen?.id === id && time - lastOpen.time < DOUBLE_CLICK_WINDOW) return;
+        lastOpen = { id, time };
+        onOpen(id);
+    };
+
+    const startPinch = () => {
+        const [a, b] = [...pointers.values()];
+        // A second finger turns any drag into a pinch
+        if (press?.isDragging && press.id !== null) field.drag('end', press.id, press.last.x, press.last.y);
+        press = null;
+        pinch = { distance: Math.max(distance(a, b), 1), scale: field.getView().scale };
+    };
+
+    const handlePointerDown = (e) => {
+        if (e.button !== 0) return;
+        const point = localPoint(e);
+        pointers.set(e.pointerId, point);
+        container.setPointerCapture(e.pointerId);
+        // The second press of a double-click takes back the first click's open
+        cancelPendingOpen();
+        onInteract();
+
+        if (pointers.size === 2) {
+            startPinch();
+            return;
+        }
+        if (pointers.size > 2) return;
+        press = { id: field.hitTest(point.x, point.y), start: point, last: point, lastTime: e.timeStamp, vx: 0, vy: 0, isDragging: false };
+    };
+
+    const handlePointerMove = (e) => {
+        const point = localPoint(e);
+        if (!pointers.has(e.pointerId)) {
+            if (e.pointerType === 'mouse') setHovered(field.hitTest(point.x, point.y), e);
+            return;
+        }
+        pointers.set(e.pointerId, point);
+        onInteract();
+
+        if (pinch) {
+            if (pointers.size < 2) return;
+            const [a, b] = [...pointers.values()];
+            field.zoomAt((a.x + b.x) / 2, (a.y + b.y) / 2, pinch.scale * (distance(a, b) / pinch.distance));
+            return;
+        }
+        if (!press) return;
+        if (!press.isDragging) {
+            if (distance(point, press.start) < DRAG_THRESHOLD) return;
+            press.isDragging = true;
+            setHovered(null);
+            if (press.id !== null) container.style.cursor = 'grabbing';
+        }
+
+        // Pointer velocity in px per frame, smoothed over the last few moves
+        const elapsed = Math.max(e.timeStamp - press.lastTime, 1);
+        press.vx = press.vx * 0.5 + ((point.x - press.last.x) / elapsed) * FRAME_TIME * 0.5;
+        press.vy = press.vy * 0.5 + ((point.y - press.last.y) / elapsed) * FRAME_TIME * 0.5;
+
+        if (press.id !== null) field.drag('move', press.id, point.x, point.y, press.vx, press.vy);
+        else field.panBy(point.x - press.last.x, point.y - press.last.y);
+
+        press.last = point;
+        press.lastTime = e.timeStamp;
+    };
+
+    const endPointer = (e, isCancelled) => {
+        if (!pointers.delete(e.pointerId)) return;
+        onInteract();
+
+        if (pinch) {
+            if (pointers.size < 2) pinch = null;
+            return;
+        }
+        if (!press) return;
+
+        if (press.isDragging && press.id !== null) {
+            const isFling = !isCancelled && e.timeStamp - press.lastTime < FLING_WINDOW;
+            field.drag('end', press.id, press.last.x, press.last.y,
+                isFling ? clampSpeed(press.vx) : 0,
+                isFling ? clampSpeed(press.vy) : 0);
+            container.style.cursor = '';
+        } else if (!press.isDragging && !isCancelled && press.id !== null) {
+            openOnClick(press.id, e.timeStamp);
+        }
+        press = null;
+    };
+
+    const handlePointerUp = (e) => endPointer(e, false);
+    const handlePointerCancel = (e) => endPointer(e, true);
+
+    const handlePointerLeave = (e) => {
+        if (e.pointerType === 'mouse' && !pointers.size) setHovered(null);
+    };
+
+    const handleWheel = (e) => {
+        e.preventDefault();
+        onInteract();
+        const point = localPoint(e);
+        field.zoomAt(point.x, point.y, field.getView().scale * Math.exp(-e.deltaY * WHEEL_ZOOM_SPEED));
+    };
+
+    const handleDoubleClick = () => {
+        cancelPendingOpen();
+        onInteract();
+        field.resetView();
+    };
+
+    container.addEventListener('pointerdown', handlePointerDown);
+    container.addEventListener('pointermove', handlePointerMove);
+    container.addEventListener('pointerup', handlePointerUp);
+    container.addEventListener('pointercancel', handlePointerCancel);
+    container.addEventListener('pointerleave', handlePointerLeave);
+    container.addEventListener('wheel', handleWheel, { passive: false });
+    container.addEventListener('dblclick', handleDoubleClick);
+
+    return () => {
+        container.removeEventListener('pointerdown', handlePointerDown);
+        container.removeEventListener('pointermove', handlePointerMove);
+        container.removeEventListener('pointerup', handlePointerUp);
+        container.removeEventListener('pointercancel', handlePointerCancel);
+        container.removeEventListener('pointerleave', handlePointerLeave);
+        container.removeEventListener('wheel', handleWheel);
+        container.removeEventListener('dblclick', handleDoubleClick);
+        cancelPendingOpen();
+        container.style.cursor = '';
+    };
+};
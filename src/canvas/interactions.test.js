@@ -0,0 +1,122 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { attachInteractions } from './interactions';
+
+// A container and field just real enough for the handlers: one bubble, "b1",
+// covers the left half of a 200×100 field
+const createContainer = () => {
+    const container = new EventTarget();
+    container.style = { cursor: '' };
+    container.getBoundingClientRect = () => ({ left: 0, top: 0 });
+    container.setPointerCapture = () => {};
+    return container;
+};
+
+const createField = () => ({
+    view: { x: 0, y: 0, scale: 1 },
+    hitTest: (x) => (x < 100 ? 'b1' : null),
+    setHover: vi.fn(),
+    drag: vi.fn(),
+    panBy: vi.fn(),
+    zoomAt: vi.fn(),
+    resetView: vi.fn(),
+    getView() {
+        return this.view;
+    },
+});
+
+let timeStamp = 0;
+const dispatch = (target, type, props = {}) => {
+    const event = new Event(type);
+    Object.assign(event, { pointerId: 1, pointerType: 'mouse', button: 0, clientX: 0, clientY: 0, preventDefault: () => {}, ...props });
+    Object.defineProperty(event, 'timeStamp', { value: (timeStamp += 10) });
+    target.dispatchEvent(event);
+};
+
+const click = (target, x, y) => {
+    dispatch(target, 'pointerdown', { clientX: x, clientY: y });
+    dispatch(target, 'pointerup', { clientX: x, clientY: y });
+};
+
+describe('attachInteractions', () => {
+    let container;
+    let field;
+    let handlers;
+    let detach;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        container = createContainer();
+        field = createField();
+        handlers = { onHover: vi.fn(), onOpen: vi.fn(), onInteract: vi.fn() };
+        detach = attachInteractions(container, field, handlers);
+    });
+
+    afterEach(() => {
+        detach();
+        vi.useRealTimers();
+    });
+
+    it('hovers without pausing the simulation', () => {
+        dispatch(container, 'pointermove', { clientX: 50, clientY: 50 });
+        dispatch(container, 'pointermove', { clientX: 150, clientY: 50 });
+        expect(handlers.onHover).toHaveBeenCalledTimes(2);
+        expect(handlers.onInteract).not.toHaveBeenCalled();
+    });
+
+    it('moves the tooltip with the pointer while it stays on a bubble', () => {
+        dispatch(container, 'pointermove', { clientX: 50, clientY: 50 });
+        dispatch(container, 'pointermove', { clientX: 60, clientY: 55 });
+        dispatch(container, 'pointermove', { clientX: 150, clientY: 50 });
+        dispatch(container, 'pointermove', { clientX: 160, clientY: 50 });
+        expect(handlers.onHover.mock.calls).toEqual([['b1', { x: 50, y: 50 }], ['b1', { x: 60, y: 55 }], [null, null]]);
+        expect(field.setHover.mock.calls).toEqual([['b1'], [null]]);
+    });
+
+    it('pauses the simulation for presses, drags and wheel zooms', () => {
+        dispatch(container, 'pointerdown', { clientX: 150, clientY: 50 });
+        dispatch(container, 'pointermove', { clientX: 170, clientY: 50 });
+        dispatch(container, 'pointerup', { clientX: 170, clientY: 50 });
+        dispatch(container, 'wheel', { clientX: 150, clientY: 50, deltaY: 100 });
+        expect(handlers.onInteract).toHaveBeenCalledTimes(4);
+        expect(field.panBy).toHaveBeenCalledWith(20, 0);
+    });
+
+    it('opens a clicked bubble straight away when a double-click has nothing to reset', () => {
+        click(container, 50, 50);
+        expect(handlers.onOpen).toHaveBeenCalledWith('b1');
+
+        // The second half of a double-click doesn't open it again
+        click(container, 50, 50);
+        expect(handlers.onOpen).toHaveBeenCalledOnce();
+        timeStamp += 300;
+        click(container, 50, 50);
+        expect(handlers.onOpen).toHaveBeenCalledTimes(2);
+    });
+
+    it('opens a clicked bubble in a zoomed view once the double-click window has passed', () => {
+        field.view = { x: -50, y: -20, scale: 2 };
+        click(container, 50, 50);
+        expect(handlers.onOpen).not.toHaveBeenCalled();
+        vi.advanceTimersByTime(300);
+        expect(handlers.onOpen).toHaveBeenCalledWith('b1');
+    });
+
+    it('resets the view on a double-click without opening the bubble', () => {
+        field.view = { x: -50, y: -20, scale: 2 };
+        click(container, 50, 50);
+        click(container, 50, 50);
+        dispatch(container, 'dblclick', { clientX: 50, clientY: 50 });
+        vi.advanceTimersByTime(300);
+        expect(field.resetView).toHaveBeenCalledOnce();
+        expect(handlers.onOpen).not.toHaveBeenCalled();
+    });
+
+    it('does not open a bubble after it is dragged', () => {
+        dispatch(container, 'pointerdown', { clientX: 50, clientY: 50 });
+        dispatch(container, 'pointermove', { clientX: 70, clientY: 50 });
+        dispatch(container, 'pointerup', { clientX: 70, clientY: 50 });
+        vi.advanceTimersByTime(300);
+        expect(field.drag).toHaveBeenCalledWith('end', 'b1', 70, 50, expect.any(Number), expect.any(Number));
+        expect(handlers.onOpen).not.toHaveBeenCalled();
+    });
+});
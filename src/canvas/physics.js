@@ -0,0 +1,96 @@
+import { createSpatialHash } from './spatialHash';
+
+// Bubble movement, wall bounces and elastic bubble-to-bubble collisions.
+// Collisions are found through a spatial hash instead of checking every pair.
+// Bubbles sharing a `group` (markets from an expanded event) drift together.
+
+const grid = createSpatialHash();
+// Fraction of the distance to its group's centre added to a bubble's velocity each frame
+const GROUP_PULL = 0.0015;
+
+const effectiveRadius = (bubble) => bubble.radius * bubble.scale;
+
+// Bubbles shrinking out pass through the rest
+const isSolid = (bubble) => bubble.targetScale > 0;
+
+const resolveCollision = (bubble, other) => {
+    const dx = other.x - bubble.x;
+    const dy = other.y - bubble.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    const minDistance = effectiveRadius(bubble) + effectiveRadius(other);
+    if (distance >= minDistance) return;
+
+    // Resolve overlap
+    const angle = Math.atan2(dy, dx);
+    const overlap = (minDistance - distance) / 2;
+    bubble.x -= overlap * Math.cos(angle);
+    bubble.y -= overlap * Math.sin(angle);
+    other.x += overlap * Math.cos(angle);
+    other.y += overlap * Math.sin(angle);
+
+    // Elastic collision response
+    const angleCollision = Math.atan2(other.y - bubble.y, other.x - bubble.x);
+    const speed1 = Math.sqrt(bubble.vx * bubble.vx + bubble.vy * bubble.vy);
+    const speed2 = Math.sqrt(other.vx * other.vx + other.vy * other.vy);
+    const direction1 = Math.atan2(bubble.vy, bubble.vx);
+    const direction2 = Math.atan2(other.vy, other.vx);
+    const newVelX1 = speed2 * Math.cos(direction2 - angleCollision) * Math.cos(angleCollision) + speed1 * Math.sin(direction1 - angleCollision) * Math.cos(angleCollision + Math.PI / 2);
+    const newVelY1 = speed2 * Math.cos(direction2 - angleCollision) * Math.sin(angleCollision) + speed1 * Math.sin(direction1 - angleCollision) * Math.sin(angleCollision + Math.PI / 2);
+    const newVelX2 = speed1 * Math.cos(direction1 - angleCollision) * Math.cos(angleCollision) + speed2 * Math.sin(direction2 - angleCollision) * Math.cos(angleCollision + Math.PI / 2);
+    const newVelY2 = speed1 * Math.cos(direction1 - angleCollision) * Math.sin(angleCollision) + speed2 * Math.sin(direction2 - angleCollision) * Math.sin(angleCollision + Math.PI / 2);
+    bubble.vx = newVelX1 * 0.9; bubble.vy = newVelY1 * 0.9;
+    other.vx = newVelX2 * 0.9; other.vy = newVelY2 * 0.9;
+};
+
+const pullGroups = (bubbles) => {
+    const centres = new Map();
+    bubbles.forEach(bubble => {
+        if (!bubble.group || !isSolid(bubble)) return;
+        const centre = centres.get(bubble.group) || { x: 0, y: 0, count: 0 };
+        centre.x += bubble.x;
+        centre.y += bubble.y;
+        centre.count++;
+        centres.set(bubble.group, centre);
+    });
+    if (!centres.size) return;
+
+    bubbles.forEach(bubble => {
+        const centre = bubble.group && centres.get(bubble.group);
+        if (!centre || centre.count < 2) return;
+        bubble.vx += (centre.x / centre.count - bubble.x) * GROUP_PULL;
+        bubble.vy += (centre.y / centre.count - bubble.y) * GROUP_PULL;
+    });
+};
+
+export const stepPhysics = (bubbles, width, height) => {
+    pullGroups(bubbles);
+
+    let maxRadius = 0;
+
+    bubbles.forEach(bubble => {
+        const radius = effectiveRadius(bubble);
+        maxRadius = Math.max(maxRadius, radius);
+
+        // Movement physics
+        bubble.x += bubble.vx;
+        bubble.y += bubble.vy;
+
+        // Wall collision
+        if (bubble.x - radius < 0 || bubble.x + radius > width) bubble.vx *= -0.9;
+        if (bubble.y - radius < 0 || bubble.y + radius > height) bubble.vy *= -0.9;
+
+        // Keep bubbles within bounds
+        bubble.x = Math.max(radius, Math.min(width - radius, bubble.x));
+        bubble.y = Math.max(radius, Math.min(height - radius, bubble.y));
+    });
+
+    // Bubble-to-bubble collision
+    grid.build(bubbles, maxRadius * 2, width, isSolid);
+    grid.forEachNearbyPair(bubbles, (i, j) => resolveCollision(bubbles[i], bubbles[j]));
+
+    // Slow down bubbles over time
+    bubbles.forEach(bubble => {
+        bubble.vx *= 0.998;
+        bubble.vy *= 0.998;
+    });
+};
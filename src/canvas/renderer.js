@@ -0,0 +1,192 @@
+import { createSpriteCache } from './sprites';
+import { flashStrength } from './bubbles';
+
+// Draws the bubble field. Bodies and glows come from the sprite cache; only
+// text and the short-lived odds flash are drawn directly.
+
+// Below these radii the text would be unreadable, so it's skipped
+const MIN_ODDS_RADIUS = 12;
+const MIN_TITLE_RADIUS = 28;
+const WATCHED_OUTLINE = '#FACC15';
+const DARK_TEXT = '#111827';
+const LIGHT_TEXT = '#FFFFFF';
+// Pale bubbles need an edge to stand out from the light background
+const LIGHT_THEME_OUTLINE = 'rgba(17,24,39,0.25)';
+
+// WCAG relative luminance of a #rrggbb color
+const luminance = (hex) => {
+    const [r, g, b] = [1, 3, 5].map(i => {
+        const channel = parseInt(hex.slice(i, i + 2), 16) / 255;
+        return channel <= 0.03928 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+};
+
+// Dark or white text, whichever contrasts more with the bubble color
+const textColorFor = (hex) => {
+    const l = luminance(hex);
+    return (l + 0.05) / 0.05 > 1.05 / (l + 0.05) ? DARK_TEXT : LIGHT_TEXT;
+};
+
+export const createRenderer = (ctx) => {
+    const sprites = createSpriteCache();
+    let pixelRatio = 1;
+    let view = { x: 0, y: 0, scale: 1 };
+    let isDark = true;
+    let reducedMotion = false;
+    const textColors = new Map();
+
+    // Pie-style segments, one per outcome, starting at 12 o'clock with the
+    // leading outcome at full color and the rest progressively shaded
+    const drawOutcomeSegments = (bubble, radius) => {
+        const total = bubble.outcomes.reduce((sum, outcome) => sum + outcome.price, 0);
+        if (total <= 0) return;
+
+        const ordered = [bubble.leadingOutcome, ...bubble.outcomes.filter(outcome => outcome.name !== bubble.leadingOutcome.name)];
+        let angle = -Math.PI / 2;
+        ordered.forEach((outcome, i) => {
+            const sweep = (outcome.price / total) * Math.PI * 2;
+            ctx.beginPath();
+            ctx.moveTo(bubble.x, bubble.y);
+            ctx.arc(bubble.x, bubble.y, radius, angle, angle + sweep);
+            ctx.closePath();
+            if (i > 0) {
+                ctx.fillStyle = `rgba(0,0,0,${Math.min(0.1 + i * 0.07, 0.45)})`;
+                ctx.fill();
+            }
+            ctx.strokeStyle = 'rgba(255,255,255,0.5)';
+            ctx.lineWidth = 1;
+            ctx.stroke();
+            angle += sweep;
+        });
+    };
+
+    const drawBubble = (bubble, index, time, colors) => {
+        const radius = bubble.radius * bubble.scale;
+        if (radius < 0.5) return;
+
+        // Markets carry their own color when an encoding other than category is active
+        const color = bubble.color || colors[bubble.category] || colors.default;
+        // Faded while growing in or shrinking out
+        ctx.globalAlpha = Math.min(1, bubble.scale);
+
+        // Pulsing glow effect
+        const glowSize = radius * (reducedMotion ? 1.2 : 1.2 + Math.sin(time / 500 + index) * 0.1);
+        sprites.draw(ctx, 'glow', color, bubble.x, bubble.y, glowSize);
+        sprites.draw(ctx, 'body', color, bubble.x, bubble.y, radius);
+
+        if (!isDark) {
+            ctx.beginPath();
+            ctx.arc(bubble.x, bubble.y, radius, 0, Math.PI * 2);
+            ctx.strokeStyle = LIGHT_THEME_OUTLINE;
+            ctx.lineWidth = 1;
+            ctx.stroke();
+        }
+
+        if (bubble.isMultiOutcome) drawOutcomeSegments(bubble, radius);
+
+        // Event clusters get a dashed ring to show they open up into their markets
+        if (bubble.isCluster) {
+            ctx.beginPath();
+            ctx.arc(bubble.x, bubble.y, radius + 5, 0, Math.PI * 2);
+            ctx.setLineDash([4, 4]);
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        // Watched markets get an outline
+        if (bubble.isWatched) {
+            ctx.beginPath();
+            ctx.arc(bubble.x, bubble.y, radius + 2, 0, Math.PI * 2);
+            ctx.strokeStyle = WATCHED_OUTLINE;
+            ctx.lineWidth = 2.5;
+            ctx.stroke();
+        }
+
+        // Green/red flash when the odds moved on the last refresh
+        const flash = flashStrength(bubble, time);
+        if (flash > 0) {
+            ctx.globalAlpha = Math.min(1, bubble.scale) * flash;
+            ctx.beginPath();
+            ctx.arc(bubble.x, bubble.y, radius, 0, Math.PI * 2);
+            ctx.fillStyle = bubble.flash.color + '66';
+            ctx.fill();
+            ctx.beginPath();
+            ctx.arc(bubble.x, bubble.y, radius + 3, 0, Math.PI * 2);
+            ctx.strokeStyle = bubble.flash.color;
+            ctx.lineWidth = 4;
+            ctx.stroke();
+            ctx.globalAlpha = Math.min(1, bubble.scale);
+        }
+
+        // Text inside the bubble
+        if (radius < MIN_ODDS_RADIUS) return;
+        if (!textColors.has(color)) textColors.set(color, textColorFor(color));
+        ctx.fillStyle = textColors.get(color);
+        const fontSize = Math.max(radius / 2.2, radius < MIN_TITLE_RADIUS ? 8 : 16);
+        ctx.font = `bold ${fontSize}px 'Inter', sans-serif`;
+        ctx.fillText(`${bubble.odds}%`, bubble.x, radius < MIN_TITLE_RADIUS ? bubble.y : bubble.y - radius * 0.15);
+
+        if (radius < MIN_TITLE_RADIUS) return;
+        const titleFontSize = Math.max(radius / 7, 10);
+        ctx.font = `${titleFontSize}px 'Inter', sans-serif`;
+        // Multi-outcome bubbles are labelled with the outcome the odds belong to
+        const label = bubble.isMultiOutcome ? bubble.leadingOutcome.name : bubble.title;
+        const title = label.length > 20 ? label.substring(0, 20) + '...' : label;
+        ctx.fillText(title, bubble.x, bubble.y + radius * 0.35);
+    };
+
+    const drawStats = (stats, height) => {
+        const lines = [
+            `${stats.fps.toFixed(0)} fps`,
+            `${stats.frameTime.toFixed(2)} ms/frame (max ${stats.maxFrameTime.toFixed(1)})`,
+            `${stats.bubbles} bubbles · ${stats.mode}`,
+        ];
+        const boxHeight = lines.length * 16 + 8;
+        const boxTop = height - 8 - boxHeight;
+        ctx.globalAlpha = 1;
+        ctx.fillStyle = 'rgba(0,0,0,0.6)';
+        ctx.fillRect(8, boxTop, 230, boxHeight);
+        ctx.fillStyle = '#42E695';
+        ctx.font = '12px ui-monospace, monospace';
+        ctx.textAlign = 'left';
+        lines.forEach((line, i) => ctx.fillText(line, 16, boxTop + 12 + i * 16));
+    };
+
+    return {
+        setPixelRatio(ratio) {
+            pixelRatio = ratio;
+            sprites.setPixelRatio(pixelRatio * view.scale);
+        },
+
+        setTheme(nextIsDark) {
+            isDark = nextIsDark;
+        },
+
+        setReducedMotion(enabled) {
+            reducedMotion = enabled;
+        },
+
+        // Zoomed-in sprites are rendered at the zoomed size so they stay sharp
+        setView(nextView) {
+            view = nextView;
+            sprites.setPixelRatio(pixelRatio * view.scale);
+        },
+
+        draw(bubbles, time, colors, width, height, stats) {
+            ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+            ctx.clearRect(0, 0, width, height);
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+
+            ctx.setTransform(pixelRatio * view.scale, 0, 0, pixelRatio * view.scale, pixelRatio * view.x, pixelRatio * view.y);
+            bubbles.forEach((bubble, i) => drawBubble(bubble, i, time, colors));
+            ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+
+            if (stats) drawStats(stats, height);
+            ctx.globalAlpha = 1;
+        },
+    };
+};
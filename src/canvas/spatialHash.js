@@ -0,0 +1,47 @@
+// Uniform-grid broad phase. Each item is bucketed by its center; with a cell
+// size of at least twice the largest radius, any two overlapping circles sit
+// in the same or adjacent cells, so only the 3x3 neighbourhood is checked.
+
+export const createSpatialHash = () => {
+    const cells = new Map();
+    let cellSize = 1;
+    let columns = 1;
+
+    const keyFor = (cx, cy) => cx + cy * columns;
+
+    return {
+        // Rebuilds the grid for this frame. `include` can skip items (e.g. exiting bubbles).
+        build(items, size, width, include = () => true) {
+            cells.clear();
+            cellSize = Math.max(size, 1);
+            // One spare column so items pushed slightly past the right edge don't wrap
+            columns = Math.ceil(width / cellSize) + 2;
+            items.forEach((item, index) => {
+                if (!include(item)) return;
+                const key = keyFor(Math.floor(item.x / cellSize), Math.floor(item.y / cellSize));
+                const cell = cells.get(key);
+                if (cell) cell.push(index);
+                else cells.set(key, [index]);
+            });
+        },
+
+        // Calls `visit(i, j)` once for every nearby pair with i < j
+        forEachNearbyPair(items, visit) {
+            cells.forEach((cell, key) => {
+                const cx = key % columns;
+                const cy = (key - cx) / columns;
+                cell.forEach(i => {
+                    for (let dy = -1; dy <= 1; dy++) {
+                        for (let dx = -1; dx <= 1; dx++) {
+                            const neighbour = cells.get(keyFor(cx + dx, cy + dy));
+                            if (!neighbour) continue;
+                            neighbour.forEach(j => {
+                                if (j > i) visit(i, j);
+                            });
+                        }
+                    }
+                });
+            });
+        },
+    };
+};
@@ -0,0 +1,91 @@
+// Pre-rendered bubble sprites. Gradients and shadows are expensive to build
+// every frame, so each (kind, color, size bucket) is drawn once to an
+// offscreen canvas and then scaled into place with drawImage.
+
+// Sprite radii in device pixels; a bubble uses the smallest bucket that covers it
+const RADIUS_BUCKETS = [8, 16, 24, 32, 48, 64, 96, 128, 192, 256];
+const MAX_SPRITES = 400;
+
+export const createCanvasElement = (width, height) => {
+    if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+};
+
+const bucketFor = (radius) => RADIUS_BUCKETS.find(bucket => bucket >= radius) || RADIUS_BUCKETS[RADIUS_BUCKETS.length - 1];
+
+// Padding around the body leaves room for the drop shadow
+const bodyPadding = (radius) => Math.ceil(radius * 0.35) + 2;
+
+const renderBody = (color, radius) => {
+    const padding = bodyPadding(radius);
+    const size = (radius + padding) * 2;
+    const canvas = createCanvasElement(size, size);
+    const ctx = canvas.getContext('2d');
+    const center = radius + padding;
+
+    // Main bubble body with gradient
+    const gradient = ctx.createRadialGradient(center - radius * 0.3, center - radius * 0.3, 0, center, center, radius);
+    gradient.addColorStop(0, `${color}ff`);
+    gradient.addColorStop(1, `${color}cc`);
+    ctx.fillStyle = gradient;
+    ctx.shadowColor = 'rgba(0,0,0,0.2)';
+    ctx.shadowBlur = radius * 0.2;
+    ctx.shadowOffsetY = radius * 0.07;
+    ctx.beginPath();
+    ctx.arc(center, center, radius, 0, Math.PI * 2);
+    ctx.fill();
+    return { canvas, radius, center };
+};
+
+const renderGlow = (color, radius) => {
+    const canvas = createCanvasElement(radius * 2, radius * 2);
+    const ctx = canvas.getContext('2d');
+    const gradient = ctx.createRadialGradient(radius, radius, 0, radius, radius, radius);
+    gradient.addColorStop(0, color + '33');
+    gradient.addColorStop(1, color + '00');
+    ctx.fillStyle = gradient;
+    ctx.beginPath();
+    ctx.arc(radius, radius, radius, 0, Math.PI * 2);
+    ctx.fill();
+    return { canvas, radius, center: radius };
+};
+
+const RENDERERS = { body: renderBody, glow: renderGlow };
+
+export const createSpriteCache = () => {
+    const sprites = new Map();
+    let pixelRatio = 1;
+
+    const get = (kind, color, radius) => {
+        const bucket = bucketFor(radius * pixelRatio);
+        const key = `${kind}:${color}:${bucket}`;
+        let sprite = sprites.get(key);
+        if (!sprite) {
+            // Colors rarely change, so a full reset is simpler than LRU bookkeeping
+            if (sprites.size >= MAX_SPRITES) sprites.clear();
+            sprite = RENDERERS[kind](color, bucket);
+            sprites.set(key, sprite);
+        }
+        return sprite;
+    };
+
+    // Draws a sprite centered at (x, y) so its circle has the given CSS-pixel radius
+    const draw = (ctx, kind, color, x, y, radius) => {
+        const sprite = get(kind, color, radius);
+        const scale = radius / sprite.radius;
+        const offset = sprite.center * scale;
+        const size = sprite.canvas.width * scale;
+        ctx.drawImage(sprite.canvas, x - offset, y - offset, size, size);
+    };
+
+    return {
+        draw,
+        setPixelRatio(ratio) {
+            if (ratio !== pixelRatio) sprites.clear();
+            pixelRatio = ratio;
+        },
+    };
+};
@@ -0,0 +1,49 @@
+import React from 'react';
+import { Bell, Plus, Trash2 } from 'lucide-react';
+import { ALERT_TYPES, alertTypesFor, createAlertRule } from '../data/watchlist';
+
+// Per-market alert rules, shown in the detail panel for watched markets
+const AlertRulesEditor = ({ market, rules, onChange, isDark }) => {
+    const types = alertTypesFor(market);
+    const inputClass = `px-2 py-1 rounded-md text-sm ${isDark ? 'bg-gray-800 text-white' : 'bg-white text-gray-900'}`;
+
+    const updateRule = (id, changes) => onChange(rules.map(rule => (rule.id === id ? { ...rule, ...changes } : rule)));
+
+    return (
+        <div>
+            <h3 className={`flex items-center gap-2 text-sm mb-3 ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>
+                <Bell className="w-4 h-4" /> Alerts
+            </h3>
+            {rules.length === 0 && (
+                <p className={`text-sm mb-2 ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>No alerts yet. Rules are checked on every refresh.</p>
+            )}
+            <ul className="space-y-2 mb-3">
+                {rules.map(rule => (
+                    <li key={rule.id} className="flex items-center gap-2">
+                        <select value={rule.type} onChange={e => updateRule(rule.id, { type: e.target.value, threshold: ALERT_TYPES[e.target.value].defaultThreshold })} className={`${inputClass} flex-1`} aria-label="Alert type">
+                            {/* A rule saved before its type was ruled out for this market stays listed */}
+                            {(types.includes(rule.type) ? types : [rule.type, ...types]).map(type => <option key={type} value={type}>{ALERT_TYPES[type].label}</option>)}
+                        </select>
+                        <input
+                            type="number"
+                            min="0"
+                            value={rule.threshold}
+                            onChange={e => updateRule(rule.id, { threshold: Number(e.target.value) })}
+                            className={`${inputClass} w-20`}
+                            aria-label="Threshold"
+                        />
+                        <span className={`text-sm w-8 ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>{ALERT_TYPES[rule.type].unit}</span>
+                        <button onClick={() => onChange(rules.filter(r => r.id !== rule.id))} className={`p-2 rounded-md ${isDark ? 'hover:bg-gray-600' : 'hover:bg-gray-200'}`} aria-label="Remove alert">
+                            <Trash2 className="w-4 h-4" />
+                        </button>
+                    </li>
+                ))}
+            </ul>
+            <button onClick={() => onChange([...rules, createAlertRule(types[0])])} className="flex items-center gap-1 text-sm font-semibold text-[var(--accent-color)]">
+                <Plus className="w-4 h-4" /> Add alert
+            </button>
+        </div>
+    );
+};
+
+export default AlertRulesEditor;
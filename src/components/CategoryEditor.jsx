@@ -0,0 +1,213 @@
+import React from 'react';
+import { X, Plus, Trash2, RotateCcw } from 'lucide-react';
+import { validateCategoryConfig, DEFAULT_CATEGORY_CONFIG } from '../data/categories';
+
+// Editing works on a flattened copy of the config: categories become an
+// ordered array and rule lists become plain strings, converted back on save.
+const splitList = (text) => text.split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+
+const toDraft = (config) => ({
+    ...config,
+    categories: Object.entries(config.categories).map(([key, category]) => ({ key, ...category })),
+    rules: config.rules.map(rule => ({
+        ...rule,
+        tags: (rule.tags || []).join(', '),
+        keywords: (rule.keywords || []).join(', '),
+        patterns: (rule.patterns || []).join('\n'),
+    })),
+});
+
+const toConfig = (draft) => ({
+    ...draft,
+    categories: Object.fromEntries(draft.categories.map(({ key, ...category }) => [key.trim(), category])),
+    rules: draft.rules.map(rule => ({
+        ...rule,
+        id: rule.id.trim(),
+        // Left blank, Number() would quietly make it 0
+        priority: String(rule.priority).trim() === '' ? null : Number(rule.priority),
+        tags: splitList(rule.tags),
+        keywords: splitList(rule.keywords),
+        patterns: rule.patterns.split('\n').map(pattern => pattern.trim()).filter(Boolean),
+    })),
+});
+
+// Modal editor for categories (label, color) and the rules that assign them
+const CategoryEditor = ({ config, onSave, onClose, isDark }) => {
+    const [draft, setDraft] = React.useState(() => toDraft(config));
+    const [errors, setErrors] = React.useState([]);
+
+    const inputClass = `w-full px-2 py-1 rounded-md text-sm ${isDark ? 'bg-gray-700 text-white' : 'bg-gray-100 text-gray-900'}`;
+    const labelClass = `block text-xs mb-1 ${isDark ? 'text-gray-400' : 'text-gray-600'}`;
+
+    const updateCategory = (index, changes) => setDraft(prev => {
+        const previousKey = prev.categories[index].key;
+        const categories = prev.categories.map((category, i) => (i === index ? { ...category, ...changes } : category));
+        // Keep rules and the fallback pointing at a renamed category
+        if (changes.key === undefined) return { ...prev, categories };
+        return {
+            ...prev,
+            categories,
+            fallbackCategory: prev.fallbackCategory === previousKey ? changes.key : prev.fallbackCategory,
+            rules: prev.rules.map(rule => (rule.category === previousKey ? { ...rule, category: changes.key } : rule)),
+        };
+    });
+
+    const addCategory = () => setDraft(prev => ({
+        ...prev,
+        categories: [...prev.categories, { key: `category-${prev.categories.length + 1}`, label: 'New category', color: '#8d99ae' }],
+    }));
+
+    const removeCategory = (index) => setDraft(prev => ({
+        ...prev,
+        categories: prev.categories.filter((_, i) => i !== index),
+    }));
+
+    const updateRule = (index, changes) => setDraft(prev => ({
+        ...prev,
+        rules: prev.rules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)),
+    }));
+
+    const addRule = () => setDraft(prev => ({
+        ...prev,
+        rules: [...prev.rules, {
+            id: `rule-${prev.rules.length + 1}`,
+            category: prev.categories[0]?.key || '',
+            priority: 10,
+            tags: '',
+            keywords: '',
+            patterns: '',
+        }],
+    }));
+
+    const removeRule = (index) => setDraft(prev => ({
+        ...prev,
+        rules: prev.rules.filter((_, i) => i !== index),
+    }));
+
+    const handleSave = () => {
+        const config = toConfig(draft);
+        const problems = validateCategoryConfig(config, draft.categories.map(category => category.key.trim()));
+        setErrors(problems);
+        if (problems.length === 0) onSave(config);
+    };
+
+    // Only replaces the draft; nothing is stored until Save
+    const handleReset = () => {
+        setDraft(toDraft(DEFAULT_CATEGORY_CONFIG));
+        setErrors([]);
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+            <div className={`absolute inset-0 ${isDark ? 'bg-black/70' : 'bg-gray-900/70'} backdrop-blur-sm`} onClick={onClose} />
+            <div className={`relative w-full max-w-3xl max-h-[90vh] flex flex-col rounded-2xl shadow-2xl ${isDark ? 'bg-gray-800 text-white' : 'bg-white text-gray-900'}`}>
+                <div className={`flex items-center justify-between px-5 py-4 border-b ${isDark ? 'border-gray-700' : 'border-gray-200'}`}>
+                    <h2 className="text-lg font-bold">Categories &amp; Rules</h2>
+                    <button onClick={onClose} className={`p-2 rounded-full ${isDark ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'}`}>
+                        <X className="w-5 h-5" />
+                    </button>
+                </div>
+
+                <div className="p-5 overflow-y-auto space-y-6">
+                    {/* Categories */}
+                    <section>
+                        <h3 className="text-sm font-semibold mb-3">Categories</h3>
+                        <div className="space-y-2">
+                            {draft.categories.map((category, i) => (
+                                <div key={i} className="flex items-center gap-2">
+                                    <input type="color" value={category.color} onChange={e => updateCategory(i, { color: e.target.value })} className="w-9 h-9 p-0 border-0 bg-transparent cursor-pointer" aria-label="Color" />
+                                    <input value={category.key} onChange={e => updateCategory(i, { key: e.target.value })} className={`${inputClass} max-w-[10rem] font-mono`} aria-label="Key" />
+                                    <input value={category.label} onChange={e => updateCategory(i, { label: e.target.value })} className={inputClass} aria-label="Label" />
+                                    <button onClick={() => removeCategory(i)} disabled={category.key === draft.fallbackCategory} className={`p-2 rounded-md disabled:opacity-30 ${isDark ? 'hover:bg-gray-700' : 'hover:bg-gray-200'}`} aria-label="Remove category">
+                                        <Trash2 className="w-4 h-4" />
+                                    </button>
+                                </div>
+                            ))}
+                        </div>
+                        <div className="flex items-center justify-between mt-3">
+                            <button onClick={addCategory} className="flex items-center gap-1 text-sm font-semibold text-purple-400 hover:text-purple-300">
+                                <Plus className="w-4 h-4" /> Add category
+                            </button>
+                            <label className="flex items-center gap-2 text-sm">
+                                <span className={isDark ? 'text-gray-400' : 'text-gray-600'}>Unmatched markets go to</span>
+                                <select value={draft.fallbackCategory} onChange={e => setDraft(prev => ({ ...prev, fallbackCategory: e.target.value }))} className={`${inputClass} w-auto`}>
+                                    {draft.categories.map(category => <option key={category.key} value={category.key}>{category.label}</option>)}
+                                </select>
+                            </label>
+                        </div>
+                    </section>
+
+                    {/* Rules */}
+                    <section>
+                        <h3 className="text-sm font-semibold mb-1">Rules</h3>
+                        <p className={`text-xs mb-3 ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                            Higher priority rules are tried first. Tags and keywords are comma-separated; keywords match whole words in the title. Enter one regex per line.
+                        </p>
+                        <div className="space-y-3">
+                            {draft.rules.map((rule, i) => (
+                                <div key={i} className={`p-3 rounded-xl ${isDark ? 'bg-gray-700/50' : 'bg-gray-100'}`}>
+                                    <div className="grid grid-cols-[1fr_1fr_6rem_auto] gap-2 items-end mb-2">
+                                        <label>
+                                            <span className={labelClass}>Rule id</span>
+                                            <input value={rule.id} onChange={e => updateRule(i, { id: e.target.value })} className={`${inputClass} font-mono`} />
+                                        </label>
+                                        <label>
+                                            <span className={labelClass}>Category</span>
+                                            <select value={rule.category} onChange={e => updateRule(i, { category: e.target.value })} className={inputClass}>
+                                                {draft.categories.map(category => <option key={category.key} value={category.key}>{category.label}</option>)}
+                                            </select>
+                                        </label>
+                                        <label>
+                                            <span className={labelClass}>Priority</span>
+                                            <input type="number" value={rule.priority} onChange={e => updateRule(i, { priority: e.target.value })} className={inputClass} />
+                                        </label>
+                                        <button onClick={() => removeRule(i)} className={`p-2 rounded-md ${isDark ? 'hover:bg-gray-600' : 'hover:bg-gray-200'}`} aria-label="Remove rule">
+                                            <Trash2 className="w-4 h-4" />
+                                        </button>
+                                    </div>
+                                    <label className="block mb-2">
+                                        <span className={labelClass}>Tags</span>
+                                        <input value={rule.tags} onChange={e => updateRule(i, { tags: e.target.value })} className={inputClass} />
+                                    </label>
+                                    <label className="block mb-2">
+                                        <span className={labelClass}>Keywords</span>
+                                        <input value={rule.keywords} onChange={e => updateRule(i, { keywords: e.target.value })} className={inputClass} />
+                                    </label>
+                                    <label className="block">
+                                        <span className={labelClass}>Regex patterns</span>
+                                        <textarea value={rule.patterns} onChange={e => updateRule(i, { patterns: e.target.value })} rows={2} className={`${inputClass} font-mono`} />
+                                    </label>
+                                </div>
+                            ))}
+                        </div>
+                        <button onClick={addRule} className="flex items-center gap-1 mt-3 text-sm font-semibold text-purple-400 hover:text-purple-300">
+                            <Plus className="w-4 h-4" /> Add rule
+                        </button>
+                    </section>
+
+                    {errors.length > 0 && (
+                        <ul className="p-3 rounded-xl bg-red-500/10 text-sm text-red-400 list-disc list-inside">
+                            {errors.map(error => <li key={error}>{error}</li>)}
+                        </ul>
+                    )}
+                </div>
+
+                <div className={`flex items-center justify-between px-5 py-4 border-t ${isDark ? 'border-gray-700' : 'border-gray-200'}`}>
+                    <button onClick={handleReset} className={`flex items-center gap-1 text-sm ${isDark ? 'text-gray-400 hover:text-white' : 'text-gray-600 hover:text-black'}`}>
+                        <RotateCcw className="w-4 h-4" /> Reset to defaults
+                    </button>
+                    <div className="flex gap-2">
+                        <button onClick={onClose} className={`px-4 py-2 rounded-lg text-sm font-semibold ${isDark ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'}`}>
+                            Cancel
+                        </button>
+                        <button onClick={handleSave} className="px-4 py-2 bg-purple-600 hover:bg-purple-700 rounded-lg text-sm font-semibold text-white transition-colors">
+                            Save
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default CategoryEditor;
@@ -0,0 +1,42 @@
+import React from 'react';
+import { RefreshCw, CloudOff } from 'lucide-react';
+
+const formatTime = (time) => new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// Header badge for the state of the market data: streaming live, loading for
+// the first time, or stale (cached or failing to refresh) with a retry button.
+// Stays quiet while fresh data is polled.
+const DataStatus = ({ streamStatus, isLoading, isStale, updatedAt, onRetry, isDark }) => {
+    if (isStale || (isLoading && !updatedAt)) {
+        const label = !isStale
+            ? 'Loading markets…'
+            : updatedAt ? `Stale since ${formatTime(updatedAt)}` : 'Offline';
+        return (
+            <span role="status" className={`flex items-center gap-1.5 pl-2.5 pr-1 py-0.5 rounded-full text-xs font-semibold ${isStale ? (isDark ? 'bg-amber-500/20 text-amber-300' : 'bg-amber-100 text-amber-800') : isDark ? 'bg-gray-800 text-gray-300' : 'bg-gray-200 text-gray-700'}`}>
+                {isStale && <CloudOff className="w-3.5 h-3.5" />}
+                {label}
+                <button
+                    onClick={onRetry}
+                    disabled={isLoading}
+                    title={isLoading ? 'Refreshing' : 'Retry now'}
+                    aria-label={isLoading ? 'Refreshing' : 'Retry now'}
+                    className={`p-1 rounded-full ${isDark ? 'hover:bg-white/10' : 'hover:bg-black/10'}`}
+                >
+                    <RefreshCw className={`w-3.5 h-3.5 ${isLoading ? 'animate-spin motion-reduce:animate-none' : ''}`} />
+                </button>
+            </span>
+        );
+    }
+
+    if (streamStatus === 'live') {
+        return (
+            <span title="Prices are streaming live" className={`flex items-center gap-1.5 text-xs font-semibold ${isDark ? 'text-green-400' : 'text-green-600'}`}>
+                <span className="w-2 h-2 rounded-full bg-green-500 animate-pulse motion-reduce:animate-none" />
+                Live
+            </span>
+        );
+    }
+    return null;
+};
+
+export default DataStatus;
@@ -0,0 +1,75 @@
+import React from 'react';
+import { Settings2, X } from 'lucide-react';
+import { SIZE_ENCODINGS, SIZE_SCALES, COLOR_ENCODINGS, colorLegend } from '../data/encodings';
+
+// Legend for the bubble field's size and color encodings, with the controls
+// to change them tucked behind the settings button
+const EncodingLegend = ({ preferences, onChange, categories, categoryColors, isDark }) => {
+    const [isEditing, setIsEditing] = React.useState(false);
+    const { sizeBy, sizeScale, colorBy } = preferences;
+    const legend = React.useMemo(() => colorLegend(colorBy, categories, categoryColors), [colorBy, categories, categoryColors]);
+
+    const mutedText = isDark ? 'text-gray-400' : 'text-gray-600';
+    const selectClass = `w-full px-2 py-1 rounded-md text-sm ${isDark ? 'bg-gray-700 text-white' : 'bg-gray-100 text-gray-900'}`;
+
+    const renderSelect = (key, label, options) => (
+        <label className="block">
+            <span className={`block text-xs mb-1 ${mutedText}`}>{label}</span>
+            <select value={preferences[key]} onChange={e => onChange(key, e.target.value)} className={selectClass}>
+                {Object.entries(options).map(([value, option]) => <option key={value} value={value}>{option.label}</option>)}
+            </select>
+        </label>
+    );
+
+    return (
+        <div className={`fixed bottom-4 right-4 z-30 w-64 p-3 rounded-xl shadow-xl text-sm backdrop-blur-lg ${isDark ? 'bg-gray-800/80 text-white' : 'bg-white/80 text-gray-900'}`}>
+            <div className="flex items-center justify-between mb-2">
+                <p className="font-semibold">Legend</p>
+                <button
+                    onClick={() => setIsEditing(!isEditing)}
+                    title={isEditing ? 'Close encoding settings' : 'Change encodings'}
+                    aria-expanded={isEditing}
+                    className={`p-1 rounded-md ${isDark ? 'hover:bg-gray-700' : 'hover:bg-gray-200'}`}
+                >
+                    {isEditing ? <X className="w-4 h-4" /> : <Settings2 className="w-4 h-4" />}
+                </button>
+            </div>
+
+            {isEditing && (
+                <div className="space-y-2 mb-3">
+                    {renderSelect('sizeBy', 'Size by', SIZE_ENCODINGS)}
+                    {renderSelect('sizeScale', 'Size relative to', SIZE_SCALES)}
+                    {renderSelect('colorBy', 'Color by', COLOR_ENCODINGS)}
+                </div>
+            )}
+
+            <p className={`text-xs mb-2 ${mutedText}`}>
+                Size: {SIZE_ENCODINGS[sizeBy].label.toLowerCase()}
+                {SIZE_ENCODINGS[sizeBy].log ? ' (log scale)' : ''}, relative to {sizeScale === 'category' ? 'the largest in its category' : 'the largest market'}
+            </p>
+
+            <p className={`text-xs mb-1 ${mutedText}`}>Color: {COLOR_ENCODINGS[colorBy].label.toLowerCase()}</p>
+            {legend.type === 'swatches' ? (
+                <ul className="grid grid-cols-2 gap-x-3 gap-y-1">
+                    {legend.items.map(item => (
+                        <li key={item.label} className="flex items-center gap-2 min-w-0">
+                            <span className="w-2.5 h-2.5 rounded-full shrink-0" style={{ backgroundColor: item.color }} />
+                            <span className="text-xs truncate">{item.label}</span>
+                        </li>
+                    ))}
+                </ul>
+            ) : (
+                <div>
+                    <div className="flex h-2.5 rounded-full overflow-hidden">
+                        {legend.colors.map((color, i) => <span key={i} className="flex-1" style={{ backgroundColor: color }} />)}
+                    </div>
+                    <div className={`flex justify-between text-xs mt-1 ${mutedText}`}>
+                        {legend.labels.map(label => <span key={label}>{label}</span>)}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default EncodingLegend;
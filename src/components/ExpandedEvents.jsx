@@ -0,0 +1,28 @@
+import React from 'react';
+import { X } from 'lucide-react';
+
+// Chips for the event clusters currently opened up on the canvas; each one
+// folds its event's markets back into a single bubble
+const ExpandedEvents = ({ events, onCollapse, isDark }) => {
+    if (events.length === 0) return null;
+
+    return (
+        <div className="fixed bottom-4 left-4 z-30 flex flex-wrap gap-2 max-w-[calc(100vw-19rem)]">
+            {events.map(event => (
+                <span key={event.id} className={`flex items-center gap-1 pl-3 pr-1 py-1 rounded-full shadow-lg text-xs font-semibold backdrop-blur-lg ${isDark ? 'bg-gray-800/80 text-white' : 'bg-white/80 text-gray-900'}`}>
+                    {event.title}
+                    <button
+                        onClick={() => onCollapse(event.id)}
+                        aria-label={`Group ${event.title} back together`}
+                        title="Group back together"
+                        className={`p-1 rounded-full ${isDark ? 'hover:bg-gray-700' : 'hover:bg-gray-200'}`}
+                    >
+                        <X className="w-3 h-3" />
+                    </button>
+                </span>
+            ))}
+        </div>
+    );
+};
+
+export default ExpandedEvents;
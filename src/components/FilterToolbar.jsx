@@ -0,0 +1,109 @@
+import React from 'react';
+import { RotateCcw } from 'lucide-react';
+import { DEFAULT_FILTERS, SORT_FIELDS, TOP_N_OPTIONS, isDefaultFilters } from '../data/filters';
+
+// Volume and trader counts span several orders of magnitude, so their
+// sliders move along a log10 scale (slider value 0 means "no minimum").
+const toSlider = (value) => (value > 0 ? Math.log10(value) : 0);
+const fromSlider = (position) => {
+    if (position <= 0) return 0;
+    const value = 10 ** position;
+    // Round to two significant digits so URLs stay readable
+    const magnitude = 10 ** Math.floor(Math.log10(value) - 1);
+    return Math.round(value / magnitude) * magnitude;
+};
+
+const formatCompact = (value) => new Intl.NumberFormat('en-US', { notation: 'compact', maximumFractionDigits: 1 }).format(value);
+
+// Filter, search and sort controls shown under the header
+const FilterToolbar = ({ filters, onChange, categories, categoryColors, visibleCount, totalCount, isDark }) => {
+    const update = (changes) => onChange(prev => ({ ...prev, ...changes }));
+    const categoryKeys = Object.keys(categories);
+
+    const toggleCategory = (key) => onChange(prev => {
+        const active = new Set(prev.categories || categoryKeys);
+        if (active.has(key)) active.delete(key);
+        else active.add(key);
+        const next = categoryKeys.filter(category => active.has(category));
+        return { ...prev, categories: next.length === categoryKeys.length ? null : next };
+    });
+
+    const labelClass = `text-xs ${isDark ? 'text-gray-400' : 'text-gray-600'}`;
+    const selectClass = `px-2 py-1 rounded-md text-sm ${isDark ? 'bg-gray-800 text-white' : 'bg-white text-gray-900'}`;
+
+    return (
+        <div className={`px-5 py-3 max-w-7xl mx-auto border-t ${isDark ? 'border-gray-700' : 'border-gray-200'}`}>
+            {/* The header search is hidden on narrow screens */}
+            <input
+                type="search"
+                value={filters.search}
+                onChange={e => update({ search: e.target.value })}
+                placeholder="Search markets"
+                aria-label="Search markets"
+                className={`sm:hidden w-full mb-3 px-3 py-1.5 rounded-full text-sm outline-none ${isDark ? 'bg-gray-800 text-white' : 'bg-white text-gray-900'}`}
+            />
+
+            {/* Category toggles */}
+            <div className="flex flex-wrap gap-2 mb-3">
+                {categoryKeys.map(key => {
+                    const isActive = !filters.categories || filters.categories.includes(key);
+                    return (
+                        <button
+                            key={key}
+                            onClick={() => toggleCategory(key)}
+                            aria-pressed={isActive}
+                            className={`flex items-center gap-1.5 px-3 py-1 rounded-full text-xs font-semibold transition-opacity ${isDark ? 'bg-gray-800' : 'bg-white'} ${isActive ? '' : 'opacity-40'}`}
+                        >
+                            <span className="w-2.5 h-2.5 rounded-full" style={{ backgroundColor: categoryColors[key] }} />
+                            {categories[key].label}
+                        </button>
+                    );
+                })}
+            </div>
+
+            <div className="flex flex-wrap items-end gap-x-6 gap-y-3">
+                <label className="flex flex-col gap-1">
+                    <span className={labelClass}>Min volume: ${formatCompact(filters.minVolume)}</span>
+                    <input type="range" min="0" max="8" step="0.1" value={toSlider(filters.minVolume)} onChange={e => update({ minVolume: fromSlider(Number(e.target.value)) })} />
+                </label>
+                <label className="flex flex-col gap-1">
+                    <span className={labelClass}>Min traders: {formatCompact(filters.minTraders)}</span>
+                    <input type="range" min="0" max="5" step="0.1" value={toSlider(filters.minTraders)} onChange={e => update({ minTraders: fromSlider(Number(e.target.value)) })} />
+                </label>
+                <div className="flex flex-col gap-1">
+                    <span className={labelClass}>Odds: {filters.oddsMin}% – {filters.oddsMax}%</span>
+                    <div className="flex items-center gap-2">
+                        <input type="range" min="0" max="100" value={filters.oddsMin} aria-label="Minimum odds" onChange={e => update({ oddsMin: Math.min(Number(e.target.value), filters.oddsMax) })} />
+                        <input type="range" min="0" max="100" value={filters.oddsMax} aria-label="Maximum odds" onChange={e => update({ oddsMax: Math.max(Number(e.target.value), filters.oddsMin) })} />
+                    </div>
+                </div>
+                <div className="flex flex-col gap-1">
+                    <span className={labelClass}>Show</span>
+                    <div className="flex items-center gap-2">
+                        <select value={filters.topN || ''} onChange={e => update({ topN: e.target.value ? Number(e.target.value) : null })} className={selectClass} aria-label="Number of markets">
+                            <option value="">All</option>
+                            {TOP_N_OPTIONS.map(n => <option key={n} value={n}>Top {n}</option>)}
+                        </select>
+                        <span className={labelClass}>by</span>
+                        <select value={filters.sortBy} onChange={e => update({ sortBy: e.target.value })} className={selectClass} aria-label="Rank by">
+                            {Object.entries(SORT_FIELDS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+                        </select>
+                    </div>
+                </div>
+
+                <div className="flex items-center gap-3 ml-auto">
+                    <span className={labelClass}>{visibleCount} of {totalCount} markets</span>
+                    <button
+                        onClick={() => onChange(DEFAULT_FILTERS)}
+                        disabled={isDefaultFilters(filters)}
+                        className={`flex items-center gap-1 text-sm disabled:opacity-30 ${isDark ? 'text-gray-300 hover:text-white' : 'text-gray-600 hover:text-black'}`}
+                    >
+                        <RotateCcw className="w-4 h-4" /> Reset
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default FilterToolbar;
@@ -0,0 +1,41 @@
+import React from 'react';
+import { SORT_FIELDS } from '../data/filters';
+import { formatChange, formatVolume, changeClass } from './format';
+
+// Market cards, ordered by the toolbar's "top N by" field
+const GridView = ({ markets, sortBy, categories, categoryColors, onOpenMarket, isDark }) => {
+    const sorted = React.useMemo(() => {
+        const value = SORT_FIELDS[sortBy].value;
+        return [...markets].sort((a, b) => value(b) - value(a));
+    }, [markets, sortBy]);
+
+    const mutedText = isDark ? 'text-gray-400' : 'text-gray-500';
+
+    return (
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-3 p-4 max-w-7xl mx-auto">
+            {sorted.map(market => (
+                <button
+                    key={market.id}
+                    onClick={() => onOpenMarket(market)}
+                    className={`text-left p-4 rounded-xl border-l-4 transition-colors ${isDark ? 'bg-gray-800 hover:bg-gray-700' : 'bg-white hover:bg-gray-50 shadow-sm'}`}
+                    style={{ borderLeftColor: categoryColors[market.category] || categoryColors.default }}
+                >
+                    <p className={`text-xs uppercase tracking-wider mb-1 ${mutedText}`}>{categories[market.category]?.label || market.category}</p>
+                    <p className="text-sm font-semibold line-clamp-2 min-h-[2.5rem]">{market.title}</p>
+                    <div className="flex items-end justify-between gap-2 mt-3">
+                        <div className="min-w-0">
+                            <p className="text-2xl font-bold tabular-nums">{market.odds}%</p>
+                            {market.isMultiOutcome && <p className={`text-xs truncate ${mutedText}`}>{market.leadingOutcome.name}</p>}
+                        </div>
+                        <div className="text-right text-xs tabular-nums shrink-0">
+                            <p className={changeClass(market.change)}>{formatChange(market.change)}</p>
+                            <p className={mutedText}>{formatVolume(market.volume)} vol</p>
+                        </div>
+                    </div>
+                </button>
+            ))}
+        </div>
+    );
+};
+
+export default GridView;
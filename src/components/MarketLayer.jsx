@@ -0,0 +1,149 @@
+import React from 'react';
+import { formatChange, formatVolume } from './format';
+
+// Unit vectors for the arrow keys
+const DIRECTIONS = {
+    ArrowRight: { x: 1, y: 0 },
+    ArrowLeft: { x: -1, y: 0 },
+    ArrowDown: { x: 0, y: 1 },
+    ArrowUp: { x: 0, y: -1 },
+};
+
+// Nearest bubble in the given direction, favouring ones straight ahead over
+// ones off to the side. Null when nothing lies that way.
+const findNeighbor = (bubbles, fromId, direction) => {
+    const from = bubbles.find(bubble => bubble.id === fromId);
+    if (!from) return null;
+
+    let best = null;
+    let bestScore = Infinity;
+    bubbles.forEach(bubble => {
+        if (bubble.id === fromId || !(bubble.radius > 0)) return;
+        const dx = bubble.x - from.x;
+        const dy = bubble.y - from.y;
+        const ahead = dx * direction.x + dy * direction.y;
+        if (ahead <= 0) return;
+        const aside = Math.abs(dx * direction.y - dy * direction.x);
+        const score = ahead + aside * 2;
+        if (score < bestScore) {
+            bestScore = score;
+            best = bubble.id;
+        }
+    });
+    return best;
+};
+
+const describeMarket = (market, categories, isWatched) => [
+    market.isCluster ? `${market.title}, group of ${market.markets.length} markets, press Enter to expand` : market.title,
+    market.isMultiOutcome ? `${market.leadingOutcome.name} leading at ${market.odds}%` : `${market.odds}% chance`,
+    `${formatVolume(market.volume)} volume`,
+    market.change !== null && market.change !== undefined ? `${formatChange(market.change)} in 24 hours` : null,
+    categories[market.category]?.label || market.category,
+    isWatched ? 'watched' : null,
+].filter(Boolean).join(', ');
+
+// Keyboard and screen-reader access to the bubble canvas: one focusable item
+// per bubble, with a roving tab stop so Tab enters and leaves the field in
+// one step. Arrow keys move to the nearest bubble in that direction,
+// Home/End jump to the largest and smallest market and Enter opens one.
+// A ring drawn over the canvas follows the focused bubble as it drifts.
+const MarketLayer = ({ markets, fieldRef, categories, watchlist, onOpenMarket, isDark }) => {
+    const ordered = React.useMemo(() => [...markets].sort((a, b) => b.volume - a.volume), [markets]);
+    const [activeId, setActiveId] = React.useState(null);
+    const [focusedId, setFocusedId] = React.useState(null);
+    const itemRefs = React.useRef(new Map());
+    const ringRef = React.useRef(null);
+
+    // The tab stop falls back to the largest market when the active one is filtered out
+    const tabStopId = ordered.some(market => market.id === activeId) ? activeId : ordered[0]?.id;
+
+    React.useEffect(() => {
+        if (focusedId === null) return;
+        const field = fieldRef.current;
+        field.setHover(focusedId);
+
+        let frameId = requestAnimationFrame(function follow() {
+            const position = field.getScreenPosition(focusedId);
+            const ring = ringRef.current;
+            if (ring) {
+                ring.style.display = position ? 'block' : 'none';
+                if (position) {
+                    const size = position.radius * 2 + 8;
+                    ring.style.width = `${size}px`;
+                    ring.style.height = `${size}px`;
+                    ring.style.transform = `translate(${position.x - size / 2}px, ${position.y - size / 2}px)`;
+                }
+            }
+            frameId = requestAnimationFrame(follow);
+        });
+        return () => {
+            cancelAnimationFrame(frameId);
+            field.setHover(null);
+        };
+    }, [focusedId, fieldRef]);
+
+    const moveTo = (id) => {
+        if (id === null || id === undefined) return;
+        setActiveId(id);
+        itemRefs.current.get(id)?.focus();
+    };
+
+    const handleKeyDown = (e) => {
+        const index = ordered.findIndex(market => market.id === focusedId);
+        if (DIRECTIONS[e.key]) {
+            e.preventDefault();
+            const neighbor = findNeighbor(fieldRef.current.getBubbles(), focusedId, DIRECTIONS[e.key]);
+            // Without positions yet, step through the list instead
+            const fallback = ordered[index + (e.key === 'ArrowRight' || e.key === 'ArrowDown' ? 1 : -1)]?.id;
+            moveTo(neighbor ?? fallback);
+        } else if (e.key === 'Home') {
+            e.preventDefault();
+            moveTo(ordered[0]?.id);
+        } else if (e.key === 'End') {
+            e.preventDefault();
+            moveTo(ordered[ordered.length - 1]?.id);
+        }
+    };
+
+    return (
+        <>
+            <div
+                ref={ringRef}
+                aria-hidden="true"
+                className={`fixed top-0 left-0 z-10 rounded-full pointer-events-none ring-4 ${isDark ? 'ring-white' : 'ring-gray-900'}`}
+                style={{ display: 'none' }}
+            />
+            <p id="market-layer-help" className="sr-only">
+                Use the arrow keys to move between markets, Home and End to jump to the largest and smallest, and Enter to open one.
+            </p>
+            <ul
+                aria-label={`Markets (${ordered.length})`}
+                aria-describedby="market-layer-help"
+                onKeyDown={handleKeyDown}
+                className="sr-only"
+            >
+                {ordered.map(market => (
+                    <li key={market.id}>
+                        <button
+                            ref={node => {
+                                if (node) itemRefs.current.set(market.id, node);
+                                else itemRefs.current.delete(market.id);
+                            }}
+                            tabIndex={market.id === tabStopId ? 0 : -1}
+                            onFocus={() => {
+                                setActiveId(market.id);
+                                setFocusedId(market.id);
+                            }}
+                            onBlur={() => setFocusedId(null)}
+                            onClick={() => onOpenMarket(market)}
+                        >
+                            {describeMarket(market, categories, Boolean(watchlist[market.id]))}
+                        </button>
+                    </li>
+                ))}
+            </ul>
+        </>
+    );
+};
+
+export default MarketLayer;
@@ -0,0 +1,31 @@
+import React from 'react';
+
+// Every outcome of a market with its probability bar, leading outcome first
+const OutcomeList = ({ outcomes, leadingOutcome, isDark }) => {
+    const sorted = [...outcomes].sort((a, b) => b.price - a.price);
+
+    return (
+        <ul className="space-y-2">
+            {sorted.map(outcome => {
+                const percent = Math.round(outcome.price * 100);
+                const isLeader = leadingOutcome && outcome.name === leadingOutcome.name;
+                return (
+                    <li key={outcome.name}>
+                        <div className="flex items-center justify-between text-sm mb-1">
+                            <span className={isLeader ? 'font-semibold' : isDark ? 'text-gray-300' : 'text-gray-700'}>{outcome.name}</span>
+                            <span className="font-semibold tabular-nums">{percent}%</span>
+                        </div>
+                        <div className={`h-2 rounded-full overflow-hidden ${isDark ? 'bg-gray-600' : 'bg-gray-200'}`}>
+                            <div
+                                className={`h-full rounded-full bg-[var(--accent-color)] ${isLeader ? '' : 'opacity-50'}`}
+                                style={{ width: `${percent}%` }}
+                            />
+                        </div>
+                    </li>
+                );
+            })}
+        </ul>
+    );
+};
+
+export default OutcomeList;
@@ -0,0 +1,123 @@
+import React from 'react';
+import { X, Download, RotateCcw } from 'lucide-react';
+import { summarizePortfolio, tradesToCsv, STARTING_CASH } from '../data/portfolio';
+import { formatCents, formatMoney, formatPnl, changeClass } from './format';
+
+const ACTION_LABELS = { buy: 'Bought', sell: 'Sold', settle: 'Settled' };
+
+const downloadCsv = (trades) => {
+    const url = URL.createObjectURL(new Blob([tradesToCsv(trades)], { type: 'text/csv' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `polyfutures-trades-${new Date().toISOString().slice(0, 10)}.csv`;
+    link.click();
+    // Revoking straight away can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+const Stat = ({ label, value, className = '', isDark }) => (
+    <div>
+        <p className={`text-xs ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>{label}</p>
+        <p className={`font-bold tabular-nums ${className}`}>{value}</p>
+    </div>
+);
+
+// Side drawer with the paper-trading account: balances, open positions
+// (marked at the latest prices) and the trade history
+const PortfolioDrawer = ({ portfolio, marketsById, onOpenMarket, onSell, onReset, onClose, isDark }) => {
+    const summary = summarizePortfolio(portfolio);
+    const trades = [...portfolio.trades].reverse();
+
+    const handleReset = () => {
+        if (window.confirm(`Close all positions, clear the history and start again with ${formatMoney(STARTING_CASH)}?`)) onReset();
+    };
+
+    return (
+        <div className="fixed inset-0 z-50">
+            <div className={`absolute inset-0 ${isDark ? 'bg-black/50' : 'bg-gray-900/50'}`} onClick={onClose} />
+            <aside className={`absolute top-0 right-0 bottom-0 w-full max-w-sm flex flex-col shadow-2xl ${isDark ? 'bg-gray-800 text-white' : 'bg-white text-gray-900'}`}>
+                <div className={`flex items-center justify-between px-5 py-4 border-b ${isDark ? 'border-gray-700' : 'border-gray-200'}`}>
+                    <h2 className="text-lg font-bold">Paper portfolio</h2>
+                    <button onClick={onClose} className={`p-2 rounded-full ${isDark ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'}`}>
+                        <X className="w-5 h-5" />
+                    </button>
+                </div>
+                <div className="flex-1 overflow-y-auto p-3 space-y-4">
+                    <div className={`grid grid-cols-2 gap-3 p-3 rounded-xl text-sm ${isDark ? 'bg-gray-700/50' : 'bg-gray-100'}`}>
+                        <Stat label="Equity" value={formatMoney(summary.equity)} isDark={isDark} />
+                        <Stat label="Cash" value={formatMoney(summary.cash)} isDark={isDark} />
+                        <Stat label="Unrealized P&L" value={formatPnl(summary.unrealizedPnl)} className={changeClass(summary.unrealizedPnl)} isDark={isDark} />
+                        <Stat label="Realized P&L" value={formatPnl(summary.realizedPnl)} className={changeClass(summary.realizedPnl)} isDark={isDark} />
+                    </div>
+
+                    <section>
+                        <h3 className={`px-1 mb-2 text-xs font-semibold uppercase tracking-wider ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>Positions</h3>
+                        {portfolio.positions.length === 0 && (
+                            <p className={`p-4 text-sm text-center ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                                Open a market and buy Yes or No to start paper trading.
+                            </p>
+                        )}
+                        <ul className="space-y-2">
+                            {portfolio.positions.map(position => {
+                                const market = marketsById.get(position.marketId);
+                                const value = position.shares * position.lastPrice;
+                                const pnl = value - position.cost;
+                                return (
+                                    <li key={position.id} className={`flex items-center gap-3 p-3 rounded-xl ${isDark ? 'bg-gray-700/50' : 'bg-gray-100'}`}>
+                                        <button onClick={() => onOpenMarket(market || { id: position.marketId, slug: position.slug })} className="flex-1 min-w-0 text-left">
+                                            <p className="text-sm font-semibold truncate">{position.title}</p>
+                                            <p className={`text-xs tabular-nums ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                                                {position.side === 'yes' ? 'Yes' : 'No'} · {position.outcome} · {position.shares.toFixed(1)} @ {formatCents(position.lastPrice)}
+                                                {!market && ' · awaiting settlement'}
+                                            </p>
+                                            <p className={`text-xs font-semibold tabular-nums ${changeClass(pnl)}`}>{formatMoney(value)} ({formatPnl(pnl)})</p>
+                                        </button>
+                                        <button
+                                            onClick={() => onSell(position.id, market)}
+                                            disabled={!market}
+                                            className={`px-2.5 py-1.5 rounded-md text-xs font-semibold disabled:opacity-50 ${isDark ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'}`}
+                                        >
+                                            Sell
+                                        </button>
+                                    </li>
+                                );
+                            })}
+                        </ul>
+                    </section>
+
+                    <section>
+                        <div className="flex items-center justify-between px-1 mb-2">
+                            <h3 className={`text-xs font-semibold uppercase tracking-wider ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>History</h3>
+                            <button onClick={() => downloadCsv(portfolio.trades)} disabled={trades.length === 0} className={`flex items-center gap-1 px-2 py-1 rounded-md text-xs font-semibold disabled:opacity-50 ${isDark ? 'hover:bg-gray-700' : 'hover:bg-gray-200'}`}>
+                                <Download className="w-3.5 h-3.5" /> Export CSV
+                            </button>
+                        </div>
+                        {trades.length === 0 && (
+                            <p className={`p-4 text-sm text-center ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>No trades yet.</p>
+                        )}
+                        <ul className={`divide-y text-sm ${isDark ? 'divide-gray-700' : 'divide-gray-200'}`}>
+                            {trades.map(trade => (
+                                <li key={trade.id} className="px-1 py-2">
+                                    <p className="truncate">{trade.title}</p>
+                                    <p className={`flex justify-between gap-2 text-xs tabular-nums ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                                        <span>
+                                            {ACTION_LABELS[trade.action]} {trade.shares.toFixed(1)} {trade.side === 'yes' ? 'Yes' : 'No'} @ {formatCents(trade.price)} · {new Date(trade.time).toLocaleDateString()}
+                                        </span>
+                                        {trade.pnl !== null && <span className={changeClass(trade.pnl)}>{formatPnl(trade.pnl)}</span>}
+                                    </p>
+                                </li>
+                            ))}
+                        </ul>
+                    </section>
+                </div>
+                <div className={`px-5 py-3 border-t ${isDark ? 'border-gray-700' : 'border-gray-200'}`}>
+                    <button onClick={handleReset} className={`flex items-center gap-1.5 text-sm ${isDark ? 'text-gray-400 hover:text-white' : 'text-gray-600 hover:text-gray-900'}`}>
+                        <RotateCcw className="w-4 h-4" /> Reset portfolio
+                    </button>
+                </div>
+            </aside>
+        </div>
+    );
+};
+
+export default PortfolioDrawer;
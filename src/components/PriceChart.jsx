@@ -0,0 +1,194 @@
+import React from 'react';
+import { CHART_RANGES, loadChartSeries } from '../data/priceHistory';
+
+const HEIGHT = 168;
+const PRICE_HEIGHT = 120;
+const VOLUME_TOP = 132;
+// Room on the right for the odds axis labels
+const AXIS_WIDTH = 36;
+
+const formatTime = (t, range) => new Date(t).toLocaleString([], range === '1D'
+    ? { hour: '2-digit', minute: '2-digit' }
+    : { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+const formatPercent = (p) => `${(p * 100).toFixed(1)}%`;
+
+// Scales and paths for the current series and container width
+const layoutChart = (series, width) => {
+    const { points, volume } = series;
+    const plotWidth = width - AXIS_WIDTH;
+    const start = points[0].t;
+    const end = points[points.length - 1].t;
+    const prices = points.map(point => point.p);
+    const min = Math.min(...prices);
+    const max = Math.max(...prices);
+    // Keep a minimum span so a nearly flat market doesn't look like it's swinging wildly
+    const half = Math.max(((max - min) / 2) * 1.15, 0.025);
+    const low = Math.max(0, (min + max) / 2 - half);
+    const high = Math.min(1, (min + max) / 2 + half);
+
+    const x = t => ((t - start) / (end - start || 1)) * plotWidth;
+    const y = p => PRICE_HEIGHT - ((p - low) / (high - low || 1)) * PRICE_HEIGHT;
+    const line = points.map((point, i) => `${i ? 'L' : 'M'}${x(point.t).toFixed(1)},${y(point.p).toFixed(1)}`).join('');
+    const maxVolume = Math.max(0, ...volume.map(bucket => bucket.v));
+
+    return {
+        plotWidth, start, end, low, high, x, y, line,
+        area: `${line}L${plotWidth.toFixed(1)},${PRICE_HEIGHT}L0,${PRICE_HEIGHT}Z`,
+        bars: maxVolume > 0 ? volume.map(bucket => ({
+            x: x(bucket.t),
+            width: Math.max(1, plotWidth / volume.length - 1),
+            height: (bucket.v / maxVolume) * (HEIGHT - VOLUME_TOP),
+        })) : [],
+    };
+};
+
+// Odds over time for the selected market, with range tabs, a hover
+// crosshair and traded volume underneath
+const PriceChart = ({ market, updatedAt, fetchHistory, isDark }) => {
+    const [range, setRange] = React.useState('1W');
+    const [series, setSeries] = React.useState(null);
+    const [hasFailed, setHasFailed] = React.useState(false);
+    const [hoverIndex, setHoverIndex] = React.useState(null);
+    const [width, setWidth] = React.useState(0);
+    const containerRef = React.useRef(null);
+
+    React.useEffect(() => {
+        const observer = new ResizeObserver(([entry]) => setWidth(entry.contentRect.width));
+        observer.observe(containerRef.current);
+        return () => observer.disconnect();
+    }, []);
+
+    // Reloads on every full refresh (`updatedAt`) too, so the line keeps up
+    // with the odds; streamed price ticks don't reload the history
+    const marketRef = React.useRef(market);
+    React.useEffect(() => {
+        marketRef.current = market;
+    }, [market]);
+
+    React.useEffect(() => {
+        let cancelled = false;
+        loadChartSeries(marketRef.current, range, fetchHistory)
+            .then(result => {
+                if (cancelled) return;
+                // The pointer may still be over the chart, indexing into the old series
+                setHoverIndex(null);
+                setSeries({ ...result, range });
+                setHasFailed(false);
+            })
+            .catch(err => {
+                console.warn('Failed to load chart series:', err);
+                if (cancelled) return;
+                setHoverIndex(null);
+                setSeries(null);
+                setHasFailed(true);
+            });
+        return () => { cancelled = true; };
+    }, [market.id, updatedAt, range, fetchHistory]);
+
+    const chart = React.useMemo(() => {
+        if (!series || series.points.length < 2 || width <= AXIS_WIDTH) return null;
+        return layoutChart(series, width);
+    }, [series, width]);
+
+    const handlePointerMove = (e) => {
+        if (!chart) return;
+        const rect = e.currentTarget.getBoundingClientRect();
+        const ratio = Math.min(1, Math.max(0, (e.clientX - rect.left) / chart.plotWidth));
+        const t = chart.start + ratio * (chart.end - chart.start);
+        let nearest = 0;
+        series.points.forEach((point, i) => {
+            if (Math.abs(point.t - t) < Math.abs(series.points[nearest].t - t)) nearest = i;
+        });
+        setHoverIndex(nearest);
+    };
+
+    const mutedText = isDark ? 'text-gray-400' : 'text-gray-500';
+    const axisColor = isDark ? '#9ca3af' : '#6b7280';
+    const gridColor = isDark ? '#4b5563' : '#d1d5db';
+    const hovered = chart && hoverIndex !== null ? series.points[hoverIndex] ?? null : null;
+    const first = series?.points[0];
+    const last = series?.points[series.points.length - 1];
+    const rangeChange = first && last ? (last.p - first.p) * 100 : 0;
+
+    return (
+        <div>
+            <div className="flex items-center justify-between mb-2">
+                <div className="text-sm tabular-nums min-h-[1.25rem]">
+                    {hovered ? (
+                        <span>
+                            <span className="font-semibold">{formatPercent(hovered.p)}</span>
+                            <span className={`ml-2 ${mutedText}`}>{formatTime(hovered.t, series.range)}</span>
+                        </span>
+                    ) : chart && (
+                        <span className={rangeChange > 0 ? 'text-green-400' : rangeChange < 0 ? 'text-red-400' : mutedText}>
+                            {`${rangeChange > 0 ? '+' : ''}${rangeChange.toFixed(1)} pts`}
+                            <span className={`ml-2 ${mutedText}`}>{series.range === 'All' ? 'all time' : `past ${series.range}`}</span>
+                        </span>
+                    )}
+                </div>
+                <div className="flex gap-1" role="tablist" aria-label="Chart range">
+                    {Object.keys(CHART_RANGES).map(key => (
+                        <button
+                            key={key}
+                            role="tab"
+                            aria-selected={range === key}
+                            onClick={() => setRange(key)}
+                            className={`px-2 py-0.5 rounded-md text-xs font-semibold ${range === key ? 'text-white bg-[var(--accent-color)]' : isDark ? 'text-gray-400 hover:bg-gray-600' : 'text-gray-500 hover:bg-gray-200'}`}
+                        >
+                            {key}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            <div ref={containerRef} className="relative" style={{ height: HEIGHT }}>
+                {chart ? (
+                    <svg
+                        width={width}
+                        height={HEIGHT}
+                        onPointerMove={handlePointerMove}
+                        onPointerLeave={() => setHoverIndex(null)}
+                        style={{ touchAction: 'pan-y' }}
+                        role="img"
+                        aria-label={`Odds from ${formatPercent(first.p)} to ${formatPercent(last.p)}`}
+                    >
+                        {[chart.high, chart.low].map(p => (
+                            <g key={p}>
+                                <line x1={0} x2={chart.plotWidth} y1={chart.y(p)} y2={chart.y(p)} stroke={gridColor} strokeDasharray="2 4" />
+                                <text x={width - 2} y={chart.y(p)} dy={p === chart.high ? 10 : -3} textAnchor="end" fontSize="10" fill={axisColor}>
+                                    {Math.round(p * 100)}%
+                                </text>
+                            </g>
+                        ))}
+                        <path d={chart.area} style={{ fill: 'var(--accent-color)' }} opacity={0.15} />
+                        <path d={chart.line} fill="none" strokeWidth={2} strokeLinejoin="round" style={{ stroke: 'var(--accent-color)' }} />
+                        {chart.bars.map((bar, i) => (
+                            <rect key={i} x={bar.x} y={HEIGHT - bar.height} width={bar.width} height={bar.height} fill={axisColor} opacity={0.5} />
+                        ))}
+                        {hovered && (
+                            <g pointerEvents="none">
+                                <line x1={chart.x(hovered.t)} x2={chart.x(hovered.t)} y1={0} y2={HEIGHT} stroke={axisColor} strokeWidth={1} />
+                                <line x1={0} x2={chart.plotWidth} y1={chart.y(hovered.p)} y2={chart.y(hovered.p)} stroke={axisColor} strokeDasharray="3 3" />
+                                <circle cx={chart.x(hovered.t)} cy={chart.y(hovered.p)} r={4} stroke={isDark ? '#1f2937' : '#ffffff'} strokeWidth={2} style={{ fill: 'var(--accent-color)' }} />
+                            </g>
+                        )}
+                    </svg>
+                ) : (
+                    <p className={`absolute inset-0 flex items-center justify-center text-sm ${mutedText}`}>
+                        {series ? 'Not enough price history yet' : hasFailed ? 'Price history is unavailable right now' : 'Loading price history…'}
+                    </p>
+                )}
+            </div>
+
+            {series && (
+                <p className={`text-xs mt-2 ${mutedText}`}>
+                    {series.source === 'remote' ? 'Polymarket price history' : 'Recorded from this browser\'s refreshes'}
+                    {chart && !chart.bars.length && ' · volume bars fill in as refreshes are recorded'}
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default PriceChart;
@@ -0,0 +1,93 @@
+import React from 'react';
+import { ChevronUp, ChevronDown } from 'lucide-react';
+import { formatChange, formatVolume, formatCount, changeClass } from './format';
+
+// `value` returns what the column sorts on; null sorts last either way
+const COLUMNS = [
+    { key: 'title', label: 'Market', value: market => market.title.toLowerCase(), isText: true },
+    { key: 'odds', label: 'Odds', value: market => market.odds },
+    { key: 'change', label: '24h', value: market => market.change },
+    { key: 'volume', label: 'Volume', value: market => market.volume },
+    { key: 'traders', label: 'Traders', value: market => market.traders },
+    { key: 'category', label: 'Category', value: (market, categories) => (categories[market.category]?.label || market.category).toLowerCase(), isText: true },
+];
+
+const compareValues = (a, b) => {
+    if (a === null || a === undefined) return b === null || b === undefined ? 0 : 1;
+    if (b === null || b === undefined) return -1;
+    return a < b ? -1 : a > b ? 1 : 0;
+};
+
+// Dense, sortable market table; click a header to sort, again to flip
+const TableView = ({ markets, categories, categoryColors, onOpenMarket, isDark }) => {
+    const [sort, setSort] = React.useState({ key: 'volume', descending: true });
+
+    const sorted = React.useMemo(() => {
+        const column = COLUMNS.find(c => c.key === sort.key);
+        return [...markets].sort((a, b) => {
+            const va = column.value(a, categories);
+            const vb = column.value(b, categories);
+            // Keep missing values at the bottom regardless of direction
+            if (va === null || vb === null) return compareValues(va, vb);
+            return sort.descending ? compareValues(vb, va) : compareValues(va, vb);
+        });
+    }, [markets, categories, sort]);
+
+    const handleSort = (column) => setSort(prev => (prev.key === column.key
+        ? { key: column.key, descending: !prev.descending }
+        : { key: column.key, descending: !column.isText }));
+
+    const mutedText = isDark ? 'text-gray-400' : 'text-gray-500';
+    const SortIcon = sort.descending ? ChevronDown : ChevronUp;
+
+    return (
+        <div className="p-4 max-w-7xl mx-auto">
+            <table className={`w-full text-sm rounded-xl overflow-hidden ${isDark ? 'bg-gray-800' : 'bg-white shadow-sm'}`}>
+                <thead className={`sticky top-0 ${isDark ? 'bg-gray-800' : 'bg-white'}`}>
+                    <tr className={`border-b ${isDark ? 'border-gray-700' : 'border-gray-200'}`}>
+                        {COLUMNS.map(column => (
+                            <th
+                                key={column.key}
+                                aria-sort={sort.key === column.key ? (sort.descending ? 'descending' : 'ascending') : 'none'}
+                                className={`px-3 py-2 font-semibold ${column.isText ? 'text-left' : 'text-right'} ${mutedText}`}
+                            >
+                                <button onClick={() => handleSort(column)} className={`inline-flex items-center gap-1 ${column.isText ? '' : 'flex-row-reverse'}`}>
+                                    {column.label}
+                                    {sort.key === column.key && <SortIcon className="w-3.5 h-3.5" />}
+                                </button>
+                            </th>
+                        ))}
+                    </tr>
+                </thead>
+                <tbody>
+                    {sorted.map(market => (
+                        <tr
+                            key={market.id}
+                            onClick={() => onOpenMarket(market)}
+                            className={`cursor-pointer border-b last:border-0 ${isDark ? 'border-gray-700/50 hover:bg-gray-700/50' : 'border-gray-100 hover:bg-gray-50'}`}
+                        >
+                            <td className="px-3 py-2 max-w-md">
+                                <button onClick={e => { e.stopPropagation(); onOpenMarket(market); }} className="text-left font-medium hover:underline">
+                                    {market.title}
+                                </button>
+                                {market.isMultiOutcome && <span className={`block text-xs ${mutedText}`}>Leading: {market.leadingOutcome.name}</span>}
+                            </td>
+                            <td className="px-3 py-2 text-right font-semibold tabular-nums">{market.odds}%</td>
+                            <td className={`px-3 py-2 text-right tabular-nums whitespace-nowrap ${changeClass(market.change)}`}>{formatChange(market.change)}</td>
+                            <td className="px-3 py-2 text-right tabular-nums">{formatVolume(market.volume)}</td>
+                            <td className="px-3 py-2 text-right tabular-nums">{formatCount(market.traders)}</td>
+                            <td className="px-3 py-2 whitespace-nowrap">
+                                <span className="inline-flex items-center gap-2">
+                                    <span className="w-2.5 h-2.5 rounded-full shrink-0" style={{ backgroundColor: categoryColors[market.category] || categoryColors.default }} />
+                                    {categories[market.category]?.label || market.category}
+                                </span>
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+export default TableView;
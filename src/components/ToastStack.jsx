@@ -0,0 +1,28 @@
+import React from 'react';
+import { X } from 'lucide-react';
+
+// Stack of in-app notifications in the bottom-right corner
+const ToastStack = ({ toasts, onDismiss, isDark }) => (
+    <div className="fixed bottom-4 right-4 z-[60] flex flex-col gap-2 w-80 max-w-[calc(100vw-2rem)]" aria-live="polite">
+        {toasts.map(toast => (
+            <div key={toast.id} className={`flex items-start gap-3 p-3 rounded-xl shadow-2xl ${isDark ? 'bg-gray-800 text-white' : 'bg-white text-gray-900'}`}>
+                <button
+                    onClick={() => {
+                        toast.onClick?.();
+                        onDismiss(toast.id);
+                    }}
+                    className="flex-1 text-left"
+                    disabled={!toast.onClick}
+                >
+                    <p className="text-sm font-semibold">{toast.title}</p>
+                    <p className={`text-sm ${isDark ? 'text-gray-300' : 'text-gray-600'}`}>{toast.message}</p>
+                </button>
+                <button onClick={() => onDismiss(toast.id)} className={`p-1 rounded-full ${isDark ? 'hover:bg-gray-700' : 'hover:bg-gray-200'}`} aria-label="Dismiss">
+                    <X className="w-4 h-4" />
+                </button>
+            </div>
+        ))}
+    </div>
+);
+
+export default ToastStack;
@@ -0,0 +1,101 @@
+import React from 'react';
+import { SIDES, sharePrice, positionPrice } from '../data/portfolio';
+import { formatCents, formatMoney, formatPnl, changeClass } from './format';
+
+const QUICK_AMOUNTS = [10, 50, 100];
+
+// Paper-trading ticket for the detail panel: spend an amount on YES or NO of
+// the market's leading outcome, and close any positions already held in it
+const TradeTicket = ({ market, portfolio, onBuy, onSell, isDark }) => {
+    const [amount, setAmount] = React.useState('');
+    const [error, setError] = React.useState(null);
+
+    const outcome = market.leadingOutcome;
+    const positions = portfolio.positions.filter(position => position.marketId === market.id);
+
+    const handleBuy = (side) => {
+        try {
+            onBuy(market, side, Number(amount));
+            setAmount('');
+            setError(null);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const sideLabel = (side) => {
+        const name = side === 'yes' ? 'Yes' : 'No';
+        return market.isMultiOutcome ? `${name} on ${outcome.name}` : name;
+    };
+
+    return (
+        <div>
+            <div className="flex items-center justify-between mb-3">
+                <h3 className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>Paper trade</h3>
+                <span className={`text-xs tabular-nums ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>{formatMoney(portfolio.cash)} cash</span>
+            </div>
+
+            <div className="flex items-center gap-2 mb-3">
+                <label className={`flex-1 flex items-center gap-1 px-3 py-2 rounded-lg ${isDark ? 'bg-gray-800' : 'bg-white'}`}>
+                    <span className={isDark ? 'text-gray-400' : 'text-gray-500'}>$</span>
+                    <input
+                        type="number"
+                        min="0"
+                        step="1"
+                        inputMode="decimal"
+                        value={amount}
+                        onChange={e => setAmount(e.target.value)}
+                        placeholder="Amount"
+                        aria-label="Amount to spend"
+                        className="w-full bg-transparent text-sm outline-none tabular-nums"
+                    />
+                </label>
+                {QUICK_AMOUNTS.map(quick => (
+                    <button key={quick} onClick={() => setAmount(String(quick))} className={`px-2.5 py-2 rounded-lg text-xs font-semibold ${isDark ? 'bg-gray-800 hover:bg-gray-600' : 'bg-white hover:bg-gray-200'}`}>
+                        ${quick}
+                    </button>
+                ))}
+            </div>
+
+            <div className="grid grid-cols-2 gap-2">
+                {SIDES.map(side => (
+                    <button
+                        key={side}
+                        onClick={() => handleBuy(side)}
+                        disabled={!outcome}
+                        className={`py-2.5 rounded-lg text-sm font-semibold text-white disabled:opacity-50 ${side === 'yes' ? 'bg-green-600 hover:bg-green-500' : 'bg-red-600 hover:bg-red-500'}`}
+                    >
+                        Buy {sideLabel(side)} {outcome ? formatCents(sharePrice(market, outcome.name, side)) : ''}
+                    </button>
+                ))}
+            </div>
+            {error && <p role="alert" className="mt-2 text-xs text-red-400">{error}</p>}
+
+            {positions.length > 0 && (
+                <ul className="mt-3 space-y-2">
+                    {positions.map(position => {
+                        const price = positionPrice(position, market);
+                        const value = position.shares * price;
+                        const pnl = value - position.cost;
+                        return (
+                            <li key={position.id} className={`flex items-center gap-3 p-2 rounded-lg text-sm ${isDark ? 'bg-gray-800' : 'bg-white'}`}>
+                                <div className="flex-1 min-w-0">
+                                    <p className="font-semibold truncate">{position.side === 'yes' ? 'Yes' : 'No'} · {position.outcome}</p>
+                                    <p className={`text-xs tabular-nums ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>
+                                        {position.shares.toFixed(1)} shares · avg {formatCents(position.cost / position.shares)} · now {formatCents(price)}
+                                    </p>
+                                </div>
+                                <span className={`tabular-nums font-semibold ${changeClass(pnl)}`}>{formatPnl(pnl)}</span>
+                                <button onClick={() => onSell(position.id, market)} className={`px-2.5 py-1.5 rounded-md text-xs font-semibold ${isDark ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'}`}>
+                                    Sell {formatMoney(value)}
+                                </button>
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default TradeTicket;
@@ -0,0 +1,88 @@
+import React from 'react';
+import { squarify } from './treemapLayout';
+import { formatVolume } from './format';
+
+const HEADER_HEIGHT = 20;
+const GAP = 2;
+
+// One block per category sized by its total volume, split into tiles sized
+// by each market's volume
+const TreemapView = ({ markets, categories, categoryColors, onOpenMarket, isDark }) => {
+    const containerRef = React.useRef(null);
+    const [size, setSize] = React.useState({ width: 0, height: 0 });
+
+    React.useEffect(() => {
+        const observer = new ResizeObserver(([entry]) => setSize({ width: entry.contentRect.width, height: entry.contentRect.height }));
+        observer.observe(containerRef.current);
+        return () => observer.disconnect();
+    }, []);
+
+    const blocks = React.useMemo(() => {
+        const byCategory = new Map();
+        markets.forEach(market => {
+            if (!byCategory.has(market.category)) byCategory.set(market.category, []);
+            // Zero-volume markets still get a sliver so they stay clickable
+            byCategory.get(market.category).push({ market, value: Math.max(market.volume, 1) });
+        });
+        const groups = [...byCategory].map(([category, items]) => ({
+            category,
+            items,
+            value: items.reduce((sum, item) => sum + item.value, 0),
+        }));
+
+        return squarify(groups, { x: 0, y: 0, width: size.width, height: size.height }).map(block => {
+            const showHeader = block.height > HEADER_HEIGHT * 3 && block.width > 60;
+            const top = showHeader ? HEADER_HEIGHT : 0;
+            return {
+                ...block,
+                showHeader,
+                tiles: squarify(block.item.items, { x: 0, y: top, width: block.width, height: block.height - top }),
+            };
+        });
+    }, [markets, size]);
+
+    return (
+        <div ref={containerRef} className="absolute inset-3">
+            {blocks.map(block => {
+                const { category } = block.item;
+                const color = categoryColors[category] || categoryColors.default;
+                return (
+                    <div
+                        key={category}
+                        className={`absolute overflow-hidden rounded-md ${isDark ? 'bg-gray-800' : 'bg-gray-200'}`}
+                        style={{ left: block.x + GAP / 2, top: block.y + GAP / 2, width: block.width - GAP, height: block.height - GAP }}
+                    >
+                        {block.showHeader && (
+                            <p className="px-2 text-xs font-semibold uppercase tracking-wider truncate" style={{ lineHeight: `${HEADER_HEIGHT}px`, color }}>
+                                {categories[category]?.label || category}
+                            </p>
+                        )}
+                        {block.tiles.map(tile => {
+                            const { market } = tile.item;
+                            const showTitle = tile.width > 70 && tile.height > 36;
+                            const showDetails = tile.width > 90 && tile.height > 64;
+                            return (
+                                <button
+                                    key={market.id}
+                                    onClick={() => onOpenMarket(market)}
+                                    title={`${market.title} · ${market.odds}% · ${formatVolume(market.volume)}`}
+                                    className="absolute overflow-hidden rounded-sm p-1.5 text-left text-gray-900 transition-[filter] hover:brightness-110"
+                                    style={{ left: tile.x + GAP / 2, top: tile.y + GAP / 2, width: Math.max(tile.width - GAP, 1), height: Math.max(tile.height - GAP, 1), backgroundColor: color }}
+                                >
+                                    {showTitle && <p className="text-xs font-semibold leading-tight line-clamp-2">{market.title}</p>}
+                                    {showDetails && (
+                                        <p className="mt-1 text-xs tabular-nums opacity-80">
+                                            {market.odds}%{market.isMultiOutcome ? ` ${market.leadingOutcome.name}` : ''} · {formatVolume(market.volume)}
+                                        </p>
+                                    )}
+                                </button>
+                            );
+                        })}
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
+
+export default TreemapView;
@@ -0,0 +1,112 @@
+import React from 'react';
+import { ExternalLink, Pencil } from 'lucide-react';
+import { rankCandidates } from '../data/matching';
+import { formatChange } from './format';
+
+// Spreads at least this wide (in points) are highlighted
+const SPREAD_HIGHLIGHT = 5;
+const AUTOMATIC = '__automatic';
+const NO_MATCH = '__none';
+
+const percent = (probability) => `${Math.round(probability * 100)}%`;
+
+// The same question's odds on other venues next to Polymarket's, with the
+// spread in points. Matches come from matching.js; each can be corrected by
+// hand, or cleared, from the venue's row. Yes/No markets only.
+const VenueComparison = ({ market, venues, venueMarkets, failedVenues = {}, matches = {}, links = {}, onLink, isDark }) => {
+    const [editingVenue, setEditingVenue] = React.useState(null);
+
+    if (venues.length === 0 || market.isMultiOutcome) return null;
+
+    const mutedClass = isDark ? 'text-gray-400' : 'text-gray-500';
+
+    const handleChange = (venue, value) => {
+        onLink(market.id, venue, value === AUTOMATIC ? undefined : value === NO_MATCH ? null : value);
+        setEditingVenue(null);
+    };
+
+    const renderPicker = (venue, match) => {
+        const candidates = rankCandidates(market, venueMarkets[venue.name] || []);
+        if (match && !candidates.some(candidate => candidate.market.id === match.market.id)) {
+            candidates.unshift({ market: match.market, score: match.score });
+        }
+        const isLinked = links[market.id] && venue.name in links[market.id];
+        return (
+            <select
+                value={match ? match.market.id : isLinked ? NO_MATCH : AUTOMATIC}
+                onChange={e => handleChange(venue.name, e.target.value)}
+                aria-label={`${venue.label} market matching this one`}
+                className={`mt-2 w-full px-2 py-1.5 rounded-lg text-xs outline-none ${isDark ? 'bg-gray-800 text-white' : 'bg-white text-gray-900'}`}
+            >
+                {isLinked && <option value={AUTOMATIC}>Match automatically</option>}
+                {!isLinked && !match && <option value={AUTOMATIC}>No automatic match</option>}
+                {candidates.map(candidate => (
+                    <option key={candidate.market.id} value={candidate.market.id}>
+                        {candidate.market.title} ({percent(candidate.market.probability)})
+                    </option>
+                ))}
+                <option value={NO_MATCH}>Not on {venue.label}</option>
+            </select>
+        );
+    };
+
+    return (
+        <div>
+            <h3 className={`text-sm mb-3 ${mutedClass}`}>Other venues</h3>
+            <ul className="space-y-2">
+                <li className="flex items-center justify-between text-sm">
+                    <span className="font-semibold">Polymarket</span>
+                    <span className="font-semibold tabular-nums">{percent(market.probability)}</span>
+                </li>
+                {venues.map(venue => {
+                    const match = matches[venue.name];
+                    const spread = match ? (match.market.probability - market.probability) * 100 : null;
+                    const isWide = spread !== null && Math.abs(spread) >= SPREAD_HIGHLIGHT;
+                    const isLoading = !venueMarkets[venue.name];
+                    // Failures after a venue first loads keep its last markets up
+                    const isUnavailable = isLoading && failedVenues[venue.name];
+                    return (
+                        <li key={venue.name} className={`text-sm rounded-lg ${isWide ? `-mx-2 px-2 py-1 ${isDark ? 'bg-amber-500/15' : 'bg-amber-100'}` : ''}`}>
+                            <div className="flex items-center justify-between gap-3">
+                                <span className="flex items-center gap-1.5 min-w-0">
+                                    <span className="font-semibold">{venue.label}</span>
+                                    {venue.note && <span className={`text-xs ${mutedClass}`}>({venue.note})</span>}
+                                    <button
+                                        onClick={() => setEditingVenue(editingVenue === venue.name ? null : venue.name)}
+                                        disabled={isLoading}
+                                        aria-expanded={editingVenue === venue.name}
+                                        aria-label={`Change the ${venue.label} match`}
+                                        title="Change match"
+                                        className={`p-1 rounded-md disabled:opacity-50 ${isDark ? 'hover:bg-gray-600' : 'hover:bg-gray-200'}`}
+                                    >
+                                        <Pencil className="w-3 h-3" />
+                                    </button>
+                                </span>
+                                {match ? (
+                                    <span className="flex items-baseline gap-2 tabular-nums">
+                                        <span className={`text-xs ${isWide ? (isDark ? 'text-amber-300 font-semibold' : 'text-amber-800 font-semibold') : mutedClass}`}>
+                                            {formatChange(spread)}
+                                        </span>
+                                        <span className="font-semibold">{percent(match.market.probability)}</span>
+                                    </span>
+                                ) : (
+                                    <span className={`text-xs ${mutedClass}`}>{isUnavailable ? 'Unavailable' : isLoading ? 'Loading…' : 'No match'}</span>
+                                )}
+                            </div>
+                            {match && (
+                                <a href={match.market.url} target="_blank" rel="noopener noreferrer" className={`flex items-center gap-1 text-xs hover:underline ${mutedClass}`}>
+                                    <span className="truncate">{match.market.title}</span>
+                                    <ExternalLink className="w-3 h-3 shrink-0" />
+                                    {match.manual && <span className="shrink-0">· linked by you</span>}
+                                </a>
+                            )}
+                            {editingVenue === venue.name && renderPicker(venue, match)}
+                        </li>
+                    );
+                })}
+            </ul>
+        </div>
+    );
+};
+
+export default VenueComparison;
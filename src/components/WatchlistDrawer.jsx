@@ -0,0 +1,52 @@
+import React from 'react';
+import { X, Star, Bell } from 'lucide-react';
+
+// Side drawer listing watched markets with their latest odds
+const WatchlistDrawer = ({ watchlist, marketsById, categoryColors, onOpenMarket, onUnwatch, onClose, isDark }) => {
+    const entries = Object.values(watchlist).sort((a, b) => b.addedAt - a.addedAt);
+
+    return (
+        <div className="fixed inset-0 z-50">
+            <div className={`absolute inset-0 ${isDark ? 'bg-black/50' : 'bg-gray-900/50'}`} onClick={onClose} />
+            <aside className={`absolute top-0 right-0 bottom-0 w-full max-w-sm flex flex-col shadow-2xl ${isDark ? 'bg-gray-800 text-white' : 'bg-white text-gray-900'}`}>
+                <div className={`flex items-center justify-between px-5 py-4 border-b ${isDark ? 'border-gray-700' : 'border-gray-200'}`}>
+                    <h2 className="text-lg font-bold">Watchlist</h2>
+                    <button onClick={onClose} className={`p-2 rounded-full ${isDark ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'}`}>
+                        <X className="w-5 h-5" />
+                    </button>
+                </div>
+                <div className="flex-1 overflow-y-auto p-3">
+                    {entries.length === 0 && (
+                        <p className={`p-4 text-sm text-center ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                            Open a market and press Watch to pin it here.
+                        </p>
+                    )}
+                    <ul className="space-y-2">
+                        {entries.map(entry => {
+                            const market = marketsById.get(entry.id);
+                            return (
+                                <li key={entry.id} className={`flex items-center gap-3 p-3 rounded-xl ${isDark ? 'bg-gray-700/50' : 'bg-gray-100'}`}>
+                                    <span className="w-2.5 h-2.5 rounded-full shrink-0" style={{ backgroundColor: categoryColors[market?.category] || categoryColors.default }} />
+                                    <button onClick={() => onOpenMarket(market || entry)} className="flex-1 min-w-0 text-left">
+                                        <p className="text-sm font-semibold truncate">{entry.title}</p>
+                                        <p className={`flex items-center gap-2 text-xs ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                                            {market ? `${market.odds}%` : 'Not in current data'}
+                                            {entry.rules.length > 0 && (
+                                                <span className="flex items-center gap-0.5"><Bell className="w-3 h-3" />{entry.rules.length}</span>
+                                            )}
+                                        </p>
+                                    </button>
+                                    <button onClick={() => onUnwatch(market || entry)} className={`p-2 rounded-md ${isDark ? 'hover:bg-gray-600' : 'hover:bg-gray-200'}`} aria-label="Stop watching">
+                                        <Star className="w-4 h-4 fill-yellow-400 text-yellow-400" />
+                                    </button>
+                                </li>
+                            );
+                        })}
+                    </ul>
+                </div>
+            </aside>
+        </div>
+    );
+};
+
+export default WatchlistDrawer;
@@ -0,0 +1,28 @@
+// Display formatting shared by the detail panel and the market views
+
+// Formats a change in percentage points; null means there isn't enough history yet
+export const formatChange = (change) => {
+    if (change === null || change === undefined) return '—';
+    return `${change > 0 ? '+' : ''}${change.toFixed(1)} pts`;
+};
+
+export const formatVolume = (volume) => {
+    if (volume >= 1e9) return `$${(volume / 1e9).toFixed(1)}B`;
+    if (volume >= 1e6) return `$${(volume / 1e6).toFixed(1)}M`;
+    if (volume >= 1e3) return `$${(volume / 1e3).toFixed(0)}K`;
+    return `$${Math.round(volume)}`;
+};
+
+export const formatCount = (count) => (count >= 1000 ? `${(count / 1000).toFixed(1)}K` : String(count));
+
+export const changeClass = (change) => {
+    if (!change) return '';
+    return change > 0 ? 'text-green-400' : 'text-red-400';
+};
+
+// Paper-trading amounts: dollars with cents, and share prices in cents
+export const formatMoney = (amount) => `${amount < 0 ? '−' : ''}$${Math.abs(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+export const formatPnl = (pnl) => `${pnl > 0 ? '+' : ''}${formatMoney(pnl)}`;
+
+export const formatCents = (price) => `${(price * 100).toFixed(price > 0.01 && price < 0.99 ? 0 : 1)}¢`;
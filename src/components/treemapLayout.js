@@ -0,0 +1,66 @@
+// Squarified treemap layout (Bruls, Huizing & van Wijk). Items are placed
+// largest first, and each row grows only while it keeps its rectangles
+// closer to square.
+
+// Worst aspect ratio of a row of areas laid along a side of length `side`
+const worstRatio = (areas, side) => {
+    const sum = areas.reduce((total, area) => total + area, 0);
+    const max = Math.max(...areas);
+    const min = Math.min(...areas);
+    return Math.max((side * side * max) / (sum * sum), (sum * sum) / (side * side * min));
+};
+
+// Lays out `items` ({ value > 0, ... }) inside rect { x, y, width, height }
+// and returns [{ item, x, y, width, height }]
+export const squarify = (items, rect) => {
+    const total = items.reduce((sum, item) => sum + item.value, 0);
+    if (!total || rect.width <= 0 || rect.height <= 0) return [];
+
+    const scale = (rect.width * rect.height) / total;
+    const entries = [...items]
+        .sort((a, b) => b.value - a.value)
+        .map(item => ({ item, area: item.value * scale }));
+
+    const tiles = [];
+    let { x, y, width, height } = rect;
+
+    // Fills a strip along the shorter side of the remaining space
+    const placeRow = (row) => {
+        const sum = row.reduce((total, entry) => total + entry.area, 0);
+        if (width >= height) {
+            const stripWidth = sum / height;
+            let offset = y;
+            row.forEach(entry => {
+                const tileHeight = entry.area / stripWidth;
+                tiles.push({ item: entry.item, x, y: offset, width: stripWidth, height: tileHeight });
+                offset += tileHeight;
+            });
+            x += stripWidth;
+            width -= stripWidth;
+        } else {
+            const stripHeight = sum / width;
+            let offset = x;
+            row.forEach(entry => {
+                const tileWidth = entry.area / stripHeight;
+                tiles.push({ item: entry.item, x: offset, y, width: tileWidth, height: stripHeight });
+                offset += tileWidth;
+            });
+            y += stripHeight;
+            height -= stripHeight;
+        }
+    };
+
+    let row = [];
+    entries.forEach(entry => {
+        const side = Math.min(width, height);
+        const areas = row.map(r => r.area);
+        if (row.length && worstRatio([...areas, entry.area], side) > worstRatio(areas, side)) {
+            placeRow(row);
+            row = [];
+        }
+        row.push(entry);
+    });
+    if (row.length) placeRow(row);
+
+    return tiles;
+};
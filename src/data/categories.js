@@ -0,0 +1,120 @@
+import defaultConfig from './categoryRules.json';
+
+// Declarative market categorization. A config holds the categories (label
+// and color) and an ordered list of rules; each rule matches on the market's
+// tags and on whole-word keywords and regexes in its title. Rules are tried
+// by descending priority (config order breaks ties) and the first one whose
+// confidence reaches `minConfidence` assigns the category. Unmatched markets
+// go to `fallbackCategory`.
+
+const STORAGE_KEY = 'polyfutures:categoryConfig';
+
+export const DEFAULT_CATEGORY_CONFIG = defaultConfig;
+export const FALLBACK_COLOR = '#ced4da';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole-word, case-insensitive match that also works for phrases like "super bowl"
+const keywordToRegExp = (keyword) => new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(keyword.trim())}($|[^\\p{L}\\p{N}])`, 'iu');
+
+// --- Engine ---
+
+export const compileRules = (config) => config.rules
+    .map((rule, index) => ({
+        ...rule,
+        index,
+        tagSet: new Set((rule.tags || []).map(tag => tag.toLowerCase())),
+        keywordRegExps: (rule.keywords || []).filter(k => k.trim()).map(keywordToRegExp),
+        patternRegExps: (rule.patterns || []).map(pattern => new RegExp(pattern, 'i')),
+    }))
+    .sort((a, b) => (b.priority || 0) - (a.priority || 0) || a.index - b.index);
+
+// Combines independent signals: 1 - (1 - w1)(1 - w2)...
+const combine = (weights) => 1 - weights.reduce((miss, weight) => miss * (1 - weight), 1);
+
+const scoreRule = (rule, market, weights) => {
+    const signals = [];
+    if (market.tags.some(tag => rule.tagSet.has(tag))) signals.push(weights.tag);
+    rule.patternRegExps.forEach(regExp => {
+        if (regExp.test(market.title)) signals.push(weights.pattern);
+    });
+    rule.keywordRegExps.forEach(regExp => {
+        if (regExp.test(market.title)) signals.push(weights.keyword);
+    });
+    return combine(signals);
+};
+
+// Returns { category, confidence, ruleId } for a normalized market
+export const categorizeMarket = (market, compiledRules, config) => {
+    for (const rule of compiledRules) {
+        const confidence = scoreRule(rule, market, config.weights);
+        if (confidence >= config.minConfidence) {
+            return { category: rule.category, confidence, ruleId: rule.id };
+        }
+    }
+    return { category: config.fallbackCategory, confidence: 0, ruleId: null };
+};
+
+// Category key -> color, plus the `default` key used for unknown categories
+export const getCategoryColors = (config) => ({
+    ...Object.fromEntries(Object.entries(config.categories).map(([key, { color }]) => [key, color])),
+    default: FALLBACK_COLOR,
+});
+
+// --- Validation and persistence ---
+
+// Returns a list of human-readable problems; empty when the config is usable.
+// `enteredKeys` is the category keys as typed, in order, for editors whose
+// list of categories can hold duplicates that an object would silently merge.
+export const validateCategoryConfig = (config, enteredKeys = Object.keys(config.categories || {})) => {
+    const errors = [];
+    const categoryKeys = Object.keys(config.categories || {});
+
+    if (!categoryKeys.length) errors.push('At least one category is required.');
+    if (!categoryKeys.includes(config.fallbackCategory)) {
+        errors.push(`Fallback category "${config.fallbackCategory}" does not exist.`);
+    }
+    const seenKeys = new Set();
+    enteredKeys.forEach(key => {
+        if (!key) errors.push('Every category needs a key.');
+        else if (seenKeys.has(key)) errors.push(`Category key "${key}" is used more than once.`);
+        seenKeys.add(key);
+    });
+    categoryKeys.forEach(key => {
+        if (key && !/^[a-z0-9-]+$/.test(key)) errors.push(`Category key "${key}" may only use lowercase letters, digits and dashes.`);
+        if (!/^#[0-9a-f]{6}$/i.test(config.categories[key].color)) errors.push(`Category "${key || '(no key)'}" needs a #rrggbb color.`);
+    });
+
+    const ruleIds = new Set();
+    (config.rules || []).forEach((rule, i) => {
+        const name = rule.id || `#${i + 1}`;
+        if (!rule.id) errors.push(`Rule ${name} needs an id.`);
+        else if (ruleIds.has(rule.id)) errors.push(`Rule id "${rule.id}" is used more than once.`);
+        ruleIds.add(rule.id);
+        if (!categoryKeys.includes(rule.category)) errors.push(`Rule ${name} targets unknown category "${rule.category}".`);
+        if (typeof rule.priority !== 'number' || !Number.isFinite(rule.priority)) errors.push(`Rule ${name} needs a numeric priority.`);
+        (rule.patterns || []).forEach(pattern => {
+            try {
+                new RegExp(pattern, 'i');
+            } catch {
+                errors.push(`Rule ${name} has an invalid regex: ${pattern}`);
+            }
+        });
+    });
+    // Several blank keys would otherwise repeat the same line
+    return [...new Set(errors)];
+};
+
+export const loadCategoryConfig = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (stored && validateCategoryConfig(stored).length === 0) return stored;
+    } catch (err) {
+        console.warn('Ignoring stored category config:', err);
+    }
+    return DEFAULT_CATEGORY_CONFIG;
+};
+
+export const saveCategoryConfig = (config) => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(config));
+};
@@ -0,0 +1,84 @@
+import { describe, expect, it } from 'vitest';
+import { categorizeMarket, compileRules, validateCategoryConfig, DEFAULT_CATEGORY_CONFIG } from './categories';
+
+const withRule = (changes) => ({
+    ...DEFAULT_CATEGORY_CONFIG,
+    rules: [{ ...DEFAULT_CATEGORY_CONFIG.rules[0], ...changes }],
+});
+
+describe('validateCategoryConfig', () => {
+    it('accepts the default config', () => {
+        expect(validateCategoryConfig(DEFAULT_CATEGORY_CONFIG)).toEqual([]);
+    });
+
+    it('rejects category keys entered twice', () => {
+        const keys = [...Object.keys(DEFAULT_CATEGORY_CONFIG.categories), 'crypto'];
+        expect(validateCategoryConfig(DEFAULT_CATEGORY_CONFIG, keys)).toEqual(['Category key "crypto" is used more than once.']);
+    });
+
+    it('rejects empty category keys once', () => {
+        const keys = [...Object.keys(DEFAULT_CATEGORY_CONFIG.categories), '', ''];
+        expect(validateCategoryConfig(DEFAULT_CATEGORY_CONFIG, keys)).toEqual(['Every category needs a key.']);
+    });
+
+    it.each([null, NaN, '', '5'])('rejects a rule priority of %j', (priority) => {
+        const [rule] = DEFAULT_CATEGORY_CONFIG.rules;
+        expect(validateCategoryConfig(withRule({ priority }))).toEqual([`Rule ${rule.id} needs a numeric priority.`]);
+    });
+
+    it('accepts a priority of zero', () => {
+        expect(validateCategoryConfig(withRule({ priority: 0 }))).toEqual([]);
+    });
+});
+
+describe('categorizeMarket', () => {
+    const categorize = (title, tags = [], config = DEFAULT_CATEGORY_CONFIG) => (
+        categorizeMarket({ title, tags }, compileRules(config), config)
+    );
+
+    it('matches keywords as whole words only', () => {
+        expect(categorize('Will AI pass the bar exam?').category).toBe('tech');
+        expect(categorize('Will the ai-generated song chart?').category).toBe('tech');
+        expect(categorize('What said the Thailand tourism board?').category).toBe('other');
+        expect(categorize('Will Ethan win the spelling bee?').category).toBe('other');
+        expect(categorize('Who wins the Super Bowl?').category).toBe('sports');
+        expect(categorize('Who buys the superbowl ads?').category).toBe('other');
+    });
+
+    it('matches on tags as well as the title', () => {
+        expect(categorize('Will the Chiefs repeat?', ['nfl'])).toMatchObject({ category: 'sports', ruleId: 'sports', confidence: 0.9 });
+    });
+
+    it('takes the highest-priority rule that matches, not the most confident one', () => {
+        expect(categorize('Will Trump tweet about Bitcoin?').category).toBe('politics');
+        expect(categorize('Will Tesla stock beat Q3 estimates?').category).toBe('earnings');
+        // Crypto scores higher on tag plus keyword, but politics comes first
+        const { category, confidence } = categorize('Will Bitcoin hit $100k before the election?', ['crypto']);
+        expect(category).toBe('politics');
+        expect(confidence).toBeCloseTo(0.6);
+    });
+
+    it('breaks priority ties by config order', () => {
+        const config = {
+            ...DEFAULT_CATEGORY_CONFIG,
+            rules: [
+                { id: 'first', category: 'events', priority: 10, keywords: ['launch'] },
+                { id: 'second', category: 'tech', priority: 10, keywords: ['launch'] },
+            ],
+        };
+        expect(categorize('Will the rocket launch?', [], config).ruleId).toBe('first');
+    });
+
+    it('needs the combined signals to reach minConfidence', () => {
+        const config = { ...DEFAULT_CATEGORY_CONFIG, minConfidence: 0.8 };
+        expect(categorize('Will the Fed cut?', [], config).category).toBe('other');
+        // 1 - 0.4 * 0.4
+        expect(categorize('Will the Fed cut rates?', [], config)).toMatchObject({ category: 'economy', ruleId: 'economy' });
+    });
+
+    it('falls back to the fallback category with no rule and no confidence', () => {
+        expect(categorize('Will it be sunny in Lisbon on Friday?')).toEqual({ category: 'other', confidence: 0, ruleId: null });
+        const config = { ...DEFAULT_CATEGORY_CONFIG, fallbackCategory: 'events' };
+        expect(categorize('Will it be sunny in Lisbon on Friday?', [], config).category).toBe('events');
+    });
+});
@@ -0,0 +1,82 @@
+// Small promise wrapper around the app's IndexedDB database.
+// Resolves to null when IndexedDB is unavailable (private mode, old browsers),
+// or can't be opened in time, so callers can fall back to in-memory storage.
+
+const DB_NAME = 'polyfutures';
+const DB_VERSION = 2;
+// An upgrade waits for every other tab to close its connection; a tab running
+// older code never does, so give up and stay in memory rather than hang
+const OPEN_TIMEOUT = 5000; // ms
+
+// Object stores and their key paths. Bump DB_VERSION when adding a store.
+const STORES = {
+    priceHistory: 'id',
+    marketCache: 'id',
+};
+
+let dbPromise = null;
+
+const fallBackToMemory = (message, detail) => {
+    console.warn(`${message}, using in-memory storage:`, detail);
+    return null;
+};
+
+export const openDb = () => {
+    if (dbPromise) return dbPromise;
+    if (typeof indexedDB === 'undefined') {
+        dbPromise = Promise.resolve(null);
+        return dbPromise;
+    }
+
+    dbPromise = new Promise((resolve) => {
+        let settled = false;
+        const settle = (db) => {
+            settled = true;
+            clearTimeout(timer);
+            resolve(db);
+        };
+        const timer = setTimeout(() => settle(fallBackToMemory('IndexedDB took too long to open', `${OPEN_TIMEOUT} ms`)), OPEN_TIMEOUT);
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            Object.entries(STORES).forEach(([name, keyPath]) => {
+                if (!db.objectStoreNames.contains(name)) {
+                    db.createObjectStore(name, { keyPath });
+                }
+            });
+        };
+        request.onblocked = () => console.warn('IndexedDB upgrade is waiting for other tabs to close');
+        request.onsuccess = () => {
+            const db = request.result;
+            if (settled) {
+                // Opened after the timeout; this session already runs in memory
+                db.close();
+                return;
+            }
+            // Lets a newer version in another tab upgrade; this tab carries on in memory
+            db.onversionchange = () => {
+                db.close();
+                dbPromise = Promise.resolve(fallBackToMemory('IndexedDB is being upgraded by another tab', DB_NAME));
+            };
+            settle(db);
+        };
+        request.onerror = () => {
+            if (!settled) settle(fallBackToMemory('IndexedDB unavailable', request.error));
+        };
+    });
+    return dbPromise;
+};
+
+// Wraps a single IDBRequest in a promise
+export const requestToPromise = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+// Resolves once a transaction has committed
+export const transactionDone = (tx) => new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+});
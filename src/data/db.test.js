@@ -0,0 +1,78 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+// Stands in for indexedDB.open; tests fire the request's events by hand
+const fakeIndexedDb = () => {
+    const requests = [];
+    return {
+        requests,
+        open: vi.fn(() => {
+            const request = { result: { close: vi.fn(), objectStoreNames: { contains: () => false }, createObjectStore: vi.fn() } };
+            requests.push(request);
+            return request;
+        }),
+    };
+};
+
+describe('openDb', () => {
+    let indexedDb;
+    let openDb;
+
+    beforeEach(async () => {
+        vi.useFakeTimers();
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        indexedDb = fakeIndexedDb();
+        vi.stubGlobal('indexedDB', indexedDb);
+        // openDb caches its connection per module instance
+        vi.resetModules();
+        ({ openDb } = await import('./db'));
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+    });
+
+    it('creates the stores on upgrade and shares one connection', async () => {
+        const opened = openDb();
+        const [request] = indexedDb.requests;
+        request.onupgradeneeded();
+        request.onsuccess();
+
+        expect(await opened).toBe(request.result);
+        expect(request.result.createObjectStore).toHaveBeenCalledWith('priceHistory', { keyPath: 'id' });
+        expect(request.result.createObjectStore).toHaveBeenCalledWith('marketCache', { keyPath: 'id' });
+        expect(await openDb()).toBe(request.result);
+        expect(indexedDb.open).toHaveBeenCalledTimes(1);
+    });
+
+    it('falls back to memory when an upgrade stays blocked', async () => {
+        const opened = openDb();
+        const [request] = indexedDb.requests;
+        request.onblocked();
+        vi.advanceTimersByTime(5000);
+        expect(await opened).toBeNull();
+
+        // A late open is closed rather than used
+        request.onsuccess();
+        expect(request.result.close).toHaveBeenCalled();
+        expect(await openDb()).toBeNull();
+    });
+
+    it('falls back to memory when the database can\'t be opened', async () => {
+        const opened = openDb();
+        indexedDb.requests[0].onerror();
+        expect(await opened).toBeNull();
+    });
+
+    it('closes its connection for another tab\'s upgrade and carries on in memory', async () => {
+        const opened = openDb();
+        const [request] = indexedDb.requests;
+        request.onsuccess();
+        const db = await opened;
+
+        db.onversionchange();
+        expect(db.close).toHaveBeenCalled();
+        expect(await openDb()).toBeNull();
+    });
+});
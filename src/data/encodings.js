@@ -0,0 +1,112 @@
+// Visual encodings for the bubble field: what a bubble's size and color
+// stand for. Colors are quantized to a handful of steps so the legend can
+// list them and the sprite cache (one sprite per color) stays small.
+
+const MIN_DIAMETER = 50;
+const MAX_DIAMETER = 150;
+
+export const SIZE_ENCODINGS = {
+    volume: { label: 'Volume', value: market => market.volume, log: true },
+    liquidity: { label: 'Liquidity', value: market => market.liquidity, log: true },
+    traders: { label: 'Traders', value: market => market.traders, log: true },
+    move: { label: '24h move', value: market => Math.abs(market.change ?? 0), log: false },
+};
+
+export const SIZE_SCALES = {
+    global: { label: 'All markets' },
+    category: { label: 'Per category' },
+};
+
+export const COLOR_ENCODINGS = {
+    category: { label: 'Category' },
+    change: { label: '24h change' },
+    odds: { label: 'Odds' },
+};
+
+// --- Size ---
+
+// Diameter relative to the largest value in scope. Heavy-tailed fields are
+// log scaled so one huge market doesn't shrink everything else to a dot.
+const diameterFor = (value, max, log) => {
+    if (max <= 0) return MIN_DIAMETER;
+    const ratio = log ? Math.log10(value + 1) / Math.log10(max + 1) : value / max;
+    return MIN_DIAMETER + ratio * (MAX_DIAMETER - MIN_DIAMETER);
+};
+
+// Radius per market id. The scale's maximum comes from `scaleMarkets` (all
+// loaded markets) so sizes don't jump as filters hide the largest ones.
+export const computeRadii = (markets, sizeBy, sizeScale, scaleMarkets = markets) => {
+    const { value, log } = SIZE_ENCODINGS[sizeBy];
+    const scopeOf = market => (sizeScale === 'category' ? market.category : 'all');
+
+    const maxByScope = {};
+    scaleMarkets.forEach(market => {
+        const scope = scopeOf(market);
+        maxByScope[scope] = Math.max(maxByScope[scope] || 0, value(market) || 0);
+    });
+
+    return Object.fromEntries(markets.map(market => [
+        market.id,
+        diameterFor(value(market) || 0, maxByScope[scopeOf(market)] || 0, log) / 2,
+    ]));
+};
+
+// --- Color ---
+
+const CHANGE_LIMIT = 10; // points; bigger moves get the full color
+const CHANGE_STEP = 2;
+const DIVERGING = { down: '#ef4444', neutral: '#9ca3af', up: '#22c55e' };
+const ODDS_STOPS = ['#3b82f6', '#14b8a6', '#84cc16', '#facc15'];
+const ODDS_STEPS = 10;
+
+const parseHex = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+const toHex = (rgb) => `#${rgb.map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+
+const mix = (from, to, t) => {
+    const end = parseHex(to);
+    return toHex(parseHex(from).map((channel, i) => channel + (end[i] - channel) * t));
+};
+
+const interpolate = (stops, t) => {
+    const scaled = Math.min(Math.max(t, 0), 1) * (stops.length - 1);
+    const i = Math.min(Math.floor(scaled), stops.length - 2);
+    return mix(stops[i], stops[i + 1], scaled - i);
+};
+
+// Red for falling, green for rising, grey when flat or without history
+export const changeColor = (change) => {
+    if (change === null || change === undefined) return DIVERGING.neutral;
+    const step = Math.max(-CHANGE_LIMIT, Math.min(CHANGE_LIMIT, Math.round(change / CHANGE_STEP) * CHANGE_STEP));
+    return mix(DIVERGING.neutral, step < 0 ? DIVERGING.down : DIVERGING.up, Math.abs(step) / CHANGE_LIMIT);
+};
+
+export const oddsColor = (odds) => {
+    const step = Math.min(Math.floor(odds / (100 / ODDS_STEPS)), ODDS_STEPS - 1);
+    return interpolate(ODDS_STOPS, step / (ODDS_STEPS - 1));
+};
+
+// The market's own color, or null to use its category color
+export const encodeColor = (market, colorBy) => {
+    if (colorBy === 'change') return changeColor(market.change);
+    if (colorBy === 'odds') return oddsColor(market.odds);
+    return null;
+};
+
+// What the legend shows for a color encoding: either named swatches
+// ({ type: 'swatches', items: [{ color, label }] }) or a stepped scale
+// ({ type: 'scale', colors, labels: [low, middle, high] })
+export const colorLegend = (colorBy, categories, categoryColors) => {
+    if (colorBy === 'change') {
+        const steps = [];
+        for (let change = -CHANGE_LIMIT; change <= CHANGE_LIMIT; change += CHANGE_STEP) steps.push(changeColor(change));
+        return { type: 'scale', colors: steps, labels: [`−${CHANGE_LIMIT} pts`, 'flat / no data', `+${CHANGE_LIMIT} pts`] };
+    }
+    if (colorBy === 'odds') {
+        const steps = Array.from({ length: ODDS_STEPS }, (_, i) => oddsColor(i * (100 / ODDS_STEPS)));
+        return { type: 'scale', colors: steps, labels: ['0%', '50%', '100%'] };
+    }
+    return {
+        type: 'swatches',
+        items: Object.entries(categories).map(([key, { label }]) => ({ color: categoryColors[key], label })),
+    };
+};
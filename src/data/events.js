@@ -0,0 +1,70 @@
+// Groups sibling markets from the same Polymarket event (say, one market per
+// team for "Super Bowl Champion") into a single cluster bubble. A cluster
+// reads like a multi-outcome market: its outcomes are the member markets'
+// Yes prices, led by the most likely one. Expanded events show their markets
+// individually, tagged with a shared `group` so the field keeps them together.
+
+export const clusterId = (eventId) => `event:${eventId}`;
+
+// The name a member market goes by inside its event
+const memberName = (market) => market.groupTitle || market.title;
+
+const buildCluster = (event, members) => {
+    const ranked = [...members].sort((a, b) => b.probability - a.probability);
+    const leader = ranked[0];
+    const outcomes = ranked.map(market => ({ name: memberName(market), price: market.probability, tokenId: market.tokenId }));
+    const total = (field) => members.reduce((sum, market) => sum + (market[field] || 0), 0);
+
+    return {
+        id: clusterId(event.id),
+        isCluster: true,
+        event,
+        markets: ranked,
+        slug: event.slug,
+        title: event.title,
+        outcomes,
+        isMultiOutcome: true,
+        leadingOutcome: outcomes[0],
+        probability: leader.probability,
+        odds: leader.odds,
+        volume: total('volume'),
+        liquidity: total('liquidity'),
+        traders: total('traders'),
+        // Category and price moves follow the leading market
+        category: leader.category,
+        change: leader.change,
+        changes: leader.changes,
+        trend: leader.trend,
+        group: null,
+        // When it collapses, the cluster grows out of one of its markets
+        spawnFrom: leader.id,
+    };
+};
+
+// Returns the bubbles for `markets`: one cluster per event with two or more
+// markets present, unless that event's id is in `expandedEventIds`. Order
+// follows the first market of each event.
+export const groupByEvent = (markets, expandedEventIds) => {
+    const membersByEvent = new Map();
+    markets.forEach(market => {
+        if (!market.event) return;
+        const members = membersByEvent.get(market.event.id) || [];
+        members.push(market);
+        membersByEvent.set(market.event.id, members);
+    });
+
+    const emitted = new Set();
+    return markets.flatMap(market => {
+        const members = market.event && membersByEvent.get(market.event.id);
+        if (!members || members.length < 2) return [{ ...market, group: null, spawnFrom: null }];
+
+        const eventId = market.event.id;
+        if (expandedEventIds.has(eventId)) {
+            // Expanded markets grow out of the cluster they replace
+            return [{ ...market, group: eventId, spawnFrom: clusterId(eventId) }];
+        }
+        if (emitted.has(eventId)) return [];
+        emitted.add(eventId);
+        return [buildCluster(market.event, members)];
+    });
+};
@@ -0,0 +1,101 @@
+// Market filters and their URL query-string encoding. Only values that
+// differ from the defaults are written to the URL, so a plain link shows
+// the default view.
+
+export const SORT_FIELDS = {
+    volume: { label: 'Volume', value: market => market.volume },
+    traders: { label: 'Traders', value: market => market.traders },
+    liquidity: { label: 'Liquidity', value: market => market.liquidity },
+    odds: { label: 'Odds', value: market => market.odds },
+    change: { label: '24h move', value: market => Math.abs(market.change ?? 0) },
+};
+
+export const TOP_N_OPTIONS = [10, 25, 50, 100, 250, 500];
+
+export const DEFAULT_FILTERS = {
+    categories: null, // null shows every category
+    search: '',
+    minVolume: 0,
+    minTraders: 0,
+    oddsMin: 0,
+    oddsMax: 100,
+    topN: null, // null shows every match
+    sortBy: 'volume',
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const toNonNegative = (value) => {
+    const number = Number(value);
+    return Number.isFinite(number) && number > 0 ? number : 0;
+};
+
+export const parseFilters = (search) => {
+    const params = new URLSearchParams(search);
+    const filters = { ...DEFAULT_FILTERS };
+
+    if (params.has('cat')) filters.categories = params.get('cat').split(',').filter(Boolean);
+    if (params.has('q')) filters.search = params.get('q');
+    if (params.has('minVol')) filters.minVolume = toNonNegative(params.get('minVol'));
+    if (params.has('minTraders')) filters.minTraders = toNonNegative(params.get('minTraders'));
+    if (params.has('odds')) {
+        const [min, max] = params.get('odds').split('-').map(Number);
+        if (Number.isFinite(min) && Number.isFinite(max) && min <= max) {
+            filters.oddsMin = clamp(min, 0, 100);
+            filters.oddsMax = clamp(max, 0, 100);
+        }
+    }
+    if (params.has('top')) {
+        const topN = parseInt(params.get('top'), 10);
+        filters.topN = topN > 0 ? topN : null;
+    }
+    if (SORT_FIELDS[params.get('by')]) filters.sortBy = params.get('by');
+    return filters;
+};
+
+// Writes the filters into `search`, keeping unrelated params (e.g. `debug`)
+export const serializeFilters = (filters, search = '') => {
+    const params = new URLSearchParams(search);
+    ['cat', 'q', 'minVol', 'minTraders', 'odds', 'top', 'by'].forEach(key => params.delete(key));
+
+    if (filters.categories) params.set('cat', filters.categories.join(','));
+    if (filters.search) params.set('q', filters.search);
+    if (filters.minVolume) params.set('minVol', String(filters.minVolume));
+    if (filters.minTraders) params.set('minTraders', String(filters.minTraders));
+    if (filters.oddsMin !== DEFAULT_FILTERS.oddsMin || filters.oddsMax !== DEFAULT_FILTERS.oddsMax) {
+        params.set('odds', `${filters.oddsMin}-${filters.oddsMax}`);
+    }
+    if (filters.topN) params.set('top', String(filters.topN));
+    if (filters.sortBy !== DEFAULT_FILTERS.sortBy) params.set('by', filters.sortBy);
+
+    // Commas are legal in query strings; leaving them unescaped keeps links readable
+    const query = params.toString().replace(/%2C/g, ',');
+    return query ? `?${query}` : '';
+};
+
+export const isDefaultFilters = (filters) => serializeFilters(filters) === '';
+
+const matchesSearch = (market, terms) => {
+    if (!terms.length) return true;
+    const text = `${market.title} ${market.description}`.toLowerCase();
+    return terms.every(term => text.includes(term));
+};
+
+// Returns the markets that pass every filter, limited to the top N by `sortBy`
+export const applyFilters = (markets, filters) => {
+    const terms = filters.search.toLowerCase().split(/\s+/).filter(Boolean);
+    const categories = filters.categories && new Set(filters.categories);
+
+    const matches = markets.filter(market => (
+        (!categories || categories.has(market.category))
+        && market.volume >= filters.minVolume
+        && market.traders >= filters.minTraders
+        && market.odds >= filters.oddsMin
+        && market.odds <= filters.oddsMax
+        && matchesSearch(market, terms)
+    ));
+
+    if (!filters.topN) return matches;
+    const value = SORT_FIELDS[filters.sortBy].value;
+    return [...matches].sort((a, b) => value(b) - value(a)).slice(0, filters.topN);
+};
@@ -0,0 +1,117 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_FILTERS, applyFilters, isDefaultFilters, parseFilters, serializeFilters } from './filters';
+
+const market = (id, changes = {}) => ({
+    id,
+    title: `Market ${id}`,
+    description: '',
+    category: 'politics',
+    volume: 1000,
+    traders: 10,
+    odds: 50,
+    change: 0,
+    ...changes,
+});
+
+describe('parseFilters', () => {
+    it('reads every filter from the query string', () => {
+        expect(parseFilters('?cat=crypto,tech&q=bitcoin+etf&minVol=5000&minTraders=20&odds=10-90&top=25&by=traders')).toEqual({
+            categories: ['crypto', 'tech'],
+            search: 'bitcoin etf',
+            minVolume: 5000,
+            minTraders: 20,
+            oddsMin: 10,
+            oddsMax: 90,
+            topN: 25,
+            sortBy: 'traders',
+        });
+    });
+
+    it('uses the defaults for missing params', () => {
+        expect(parseFilters('')).toEqual(DEFAULT_FILTERS);
+        expect(parseFilters('?debug=1')).toEqual(DEFAULT_FILTERS);
+        expect(parseFilters('?q=rain')).toEqual({ ...DEFAULT_FILTERS, search: 'rain' });
+    });
+
+    it('falls back to the default for values it can\'t use', () => {
+        expect(parseFilters('?minVol=abc&minTraders=-5&top=0&by=nope')).toEqual(DEFAULT_FILTERS);
+        expect(parseFilters('?top=abc')).toEqual(DEFAULT_FILTERS);
+        expect(parseFilters('?odds=abc')).toEqual(DEFAULT_FILTERS);
+        expect(parseFilters('?odds=80-20')).toEqual(DEFAULT_FILTERS);
+        expect(parseFilters('?odds=60')).toEqual(DEFAULT_FILTERS);
+    });
+
+    it('clamps the odds range and rounds the top N down', () => {
+        expect(parseFilters('?odds=20-150')).toMatchObject({ oddsMin: 20, oddsMax: 100 });
+        expect(parseFilters('?top=25.9').topN).toBe(25);
+    });
+
+    it('reads an empty category list as no categories, not all of them', () => {
+        expect(parseFilters('?cat=').categories).toEqual([]);
+        expect(parseFilters('?cat=crypto,,tech,').categories).toEqual(['crypto', 'tech']);
+    });
+});
+
+describe('serializeFilters', () => {
+    it('writes nothing for the defaults', () => {
+        expect(serializeFilters(DEFAULT_FILTERS)).toBe('');
+        expect(isDefaultFilters(DEFAULT_FILTERS)).toBe(true);
+        expect(isDefaultFilters({ ...DEFAULT_FILTERS, oddsMax: 90 })).toBe(false);
+    });
+
+    it('writes only the changed filters, with readable commas', () => {
+        expect(serializeFilters({ ...DEFAULT_FILTERS, categories: ['crypto', 'tech'], oddsMax: 90 })).toBe('?cat=crypto,tech&odds=0-90');
+    });
+
+    it('keeps unrelated params and replaces old filter params', () => {
+        expect(serializeFilters({ ...DEFAULT_FILTERS, search: 'rain' }, '?debug=1&q=snow&top=10')).toBe('?debug=1&q=rain');
+    });
+
+    it.each([
+        ['every filter', { categories: ['crypto', 'tech'], search: 'bitcoin & "etf"', minVolume: 5000, minTraders: 20, oddsMin: 10, oddsMax: 90, topN: 25, sortBy: 'change' }],
+        ['an empty category list', { categories: [] }],
+        ['a search with URL characters', { search: 'a+b=c?d#e,f' }],
+        ['a single odds bound', { oddsMin: 35 }],
+    ])('round-trips %s through parseFilters', (_, changes) => {
+        const filters = { ...DEFAULT_FILTERS, ...changes };
+        expect(parseFilters(serializeFilters(filters))).toEqual(filters);
+    });
+});
+
+describe('applyFilters', () => {
+    const markets = [
+        market('a', { category: 'crypto', title: 'Will Bitcoin reach $150k?', volume: 9000, traders: 300, odds: 20, change: -8 }),
+        market('b', { category: 'tech', title: 'Will OpenAI release GPT-6?', description: 'Bitcoin not involved', volume: 500, traders: 40, odds: 70, change: 2 }),
+        market('c', { category: 'politics', volume: 4000, traders: 5, odds: 95, change: 5 }),
+    ];
+    const ids = (filters) => applyFilters(markets, { ...DEFAULT_FILTERS, ...filters }).map(m => m.id);
+
+    it('keeps everything with the defaults, in order', () => {
+        expect(ids({})).toEqual(['a', 'b', 'c']);
+    });
+
+    it('filters by category, with an empty list matching nothing', () => {
+        expect(ids({ categories: ['crypto', 'politics'] })).toEqual(['a', 'c']);
+        expect(ids({ categories: [] })).toEqual([]);
+    });
+
+    it('needs every search term in the title or description, ignoring case', () => {
+        expect(ids({ search: 'BITCOIN' })).toEqual(['a', 'b']);
+        expect(ids({ search: '  bitcoin   150k ' })).toEqual(['a']);
+        expect(ids({ search: 'bitcoin ethereum' })).toEqual([]);
+    });
+
+    it('applies the volume, trader and inclusive odds bounds', () => {
+        expect(ids({ minVolume: 4000 })).toEqual(['a', 'c']);
+        expect(ids({ minTraders: 40 })).toEqual(['a', 'b']);
+        expect(ids({ oddsMin: 20, oddsMax: 70 })).toEqual(['a', 'b']);
+    });
+
+    it('keeps the top N by the sort field, largest first', () => {
+        expect(ids({ topN: 2 })).toEqual(['a', 'c']);
+        expect(ids({ topN: 2, sortBy: 'odds' })).toEqual(['c', 'b']);
+        // By the size of the move, either way
+        expect(ids({ topN: 3, sortBy: 'change' })).toEqual(['a', 'c', 'b']);
+        expect(ids({ topN: 1, minVolume: 1000, sortBy: 'traders' })).toEqual(['a']);
+    });
+});
@@ -0,0 +1,58 @@
+// Client for the AI insight function (netlify/functions/insight). Streams
+// the insight text as it arrives and keeps finished insights for the session,
+// keyed by market id and odds bucket so small moves reuse the same insight.
+
+const INSIGHT_URL = import.meta.env.VITE_INSIGHT_URL || '/api/insight';
+const ODDS_BUCKET_SIZE = 5;
+
+const cache = new Map();
+
+const cacheKey = (market) => `${market.id}:${Math.floor(market.odds / ODDS_BUCKET_SIZE) * ODDS_BUCKET_SIZE}`;
+
+// Only what the prompt needs goes over the wire
+const toPayload = (market) => ({
+    id: market.id,
+    title: market.title,
+    description: market.description,
+    odds: market.odds,
+    volume: market.volume,
+    isMultiOutcome: market.isMultiOutcome,
+    leadingOutcome: market.leadingOutcome?.name,
+    outcomes: market.outcomes.map(({ name, price }) => ({ name, price })),
+});
+
+// Calls `onToken` with each chunk and resolves to the full text
+export const streamInsight = async (market, { onToken, signal } = {}) => {
+    const key = cacheKey(market);
+    if (cache.has(key)) {
+        onToken?.(cache.get(key));
+        return cache.get(key);
+    }
+
+    const response = await fetch(INSIGHT_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ market: toPayload(market) }),
+        signal,
+    });
+    if (!response.ok) {
+        throw new Error(`Insight API error: ${response.status}`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let text = '';
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        const chunk = decoder.decode(value, { stream: true });
+        text += chunk;
+        onToken?.(chunk);
+    }
+
+    // The server fails the body when the provider breaks off, so read()
+    // rejects above and only finished insights reach the cache
+    if (!text.trim()) throw new Error('No content in insight response.');
+    cache.set(key, text);
+    return text;
+};
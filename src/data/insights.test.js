@@ -0,0 +1,62 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { streamInsight } from './insights';
+
+const market = (id, odds = 62) => ({
+    id,
+    title: 'Will it rain tomorrow?',
+    description: '',
+    odds,
+    volume: 1000,
+    isMultiOutcome: false,
+    outcomes: [{ name: 'Yes', price: odds / 100 }, { name: 'No', price: 1 - odds / 100 }],
+});
+
+// A text response whose body sends `chunks`, then ends or fails with `error`
+const streamed = (chunks, error) => {
+    const encoder = new TextEncoder();
+    return new Response(new ReadableStream({
+        start(controller) {
+            chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)));
+            if (error) controller.error(error);
+            else controller.close();
+        },
+    }));
+};
+
+describe('streamInsight', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('streams the insight and reuses it within the same odds bucket', async () => {
+        const fetch = vi.fn(async () => streamed(['Rain ', 'looks likely.']));
+        vi.stubGlobal('fetch', fetch);
+        const onToken = vi.fn();
+
+        expect(await streamInsight(market('a'), { onToken })).toBe('Rain looks likely.');
+        expect(onToken.mock.calls).toEqual([['Rain '], ['looks likely.']]);
+        expect(await streamInsight(market('a', 64))).toBe('Rain looks likely.');
+        expect(fetch).toHaveBeenCalledTimes(1);
+
+        await streamInsight(market('a', 65));
+        expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('does not keep an insight the server cut off', async () => {
+        vi.stubGlobal('fetch', vi.fn(async () => streamed(['Rain '], new Error('Insight provider failed'))));
+        await expect(streamInsight(market('b'))).rejects.toThrow('Insight provider failed');
+
+        const fetch = vi.fn(async () => streamed(['Rain looks likely.']));
+        vi.stubGlobal('fetch', fetch);
+        expect(await streamInsight(market('b'))).toBe('Rain looks likely.');
+        expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('rejects an error status or an empty insight', async () => {
+        vi.stubGlobal('fetch', vi.fn(async () => new Response('', { status: 502 })));
+        await expect(streamInsight(market('c'))).rejects.toThrow('Insight API error: 502');
+
+        vi.stubGlobal('fetch', vi.fn(async () => streamed(['  '])));
+        await expect(streamInsight(market('c'))).rejects.toThrow('No content in insight response.');
+    });
+});
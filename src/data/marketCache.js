@@ -0,0 +1,30 @@
+import { openDb, requestToPromise, transactionDone } from './db';
+
+// The last successfully fetched market set, kept so the app can show it
+// straight away on startup and keep showing it while offline.
+
+const STORE = 'marketCache';
+const KEY = 'latest';
+let memoryRecord = null;
+
+// Resolves to { markets, fetchedAt }, or null when nothing has been cached yet
+export const loadCachedMarkets = async () => {
+    const db = await openDb();
+    const record = db
+        ? await requestToPromise(db.transaction(STORE, 'readonly').objectStore(STORE).get(KEY))
+        : memoryRecord;
+    return record ? { markets: record.markets, fetchedAt: record.fetchedAt } : null;
+};
+
+export const saveCachedMarkets = async (markets, fetchedAt = Date.now()) => {
+    const record = { id: KEY, markets, fetchedAt };
+    const db = await openDb();
+    if (!db) {
+        memoryRecord = record;
+        return;
+    }
+
+    const tx = db.transaction(STORE, 'readwrite');
+    tx.objectStore(STORE).put(record);
+    await transactionDone(tx);
+};
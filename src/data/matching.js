@@ -0,0 +1,168 @@
+// Pairs Polymarket markets with the same question on other venues (see
+// venues.js). Titles are reduced to sets of normalized words and compared
+// with the Dice coefficient; markets that disagree on a number ("$150k" vs
+// "$200k", "25 bps" vs "50 bps") score much lower, since those are different
+// questions however alike the wording. Each venue market pairs with at most
+// one Polymarket market, best scores first. Only Yes/No markets are compared.
+//
+// Manual links override the fuzzy match: { [marketId]: { [venue]: venueMarketId | null } },
+// where null means "no match on this venue".
+
+// Below this a pairing is too likely to be a different question
+export const MATCH_THRESHOLD = 0.7;
+const NUMBER_MISMATCH_PENALTY = 0.5;
+// Words on more markets than this are too common to suggest candidates
+const MAX_POSTINGS = 200;
+
+const STOPWORDS = new Set([
+    'a', 'an', 'the', 'will', 'be', 'is', 'are', 'it', 'its', 'in', 'on', 'at', 'by', 'of', 'to', 'for',
+    'and', 'or', 'this', 'that', 'before', 'end', 'than', 'any', 'with', 'from', 'as', 'said',
+]);
+
+const MONTHS = {
+    jan: 'january', feb: 'february', mar: 'march', apr: 'april', jun: 'june', jul: 'july',
+    aug: 'august', sep: 'september', sept: 'september', oct: 'october', nov: 'november', dec: 'december',
+};
+
+const MAGNITUDES = { k: 1e3, m: 1e6, b: 1e9, bn: 1e9, t: 1e12 };
+
+const isYear = (token) => /^(19|20)\d\d$/.test(token);
+
+// "$150,000", "150k" and "150K" all become "150000"; "3.0%" becomes "3"
+const normalizeNumber = (digits, magnitude = '') => String(parseFloat(digits.replace(/,/g, '')) * (MAGNITUDES[magnitude] || 1));
+
+// Plurals and possessives, roughly: "rates" -> "rate", "world's" -> "world"
+const stem = (word) => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word);
+
+const tokenCache = new Map();
+
+export const tokenize = (title) => {
+    if (tokenCache.has(title)) return tokenCache.get(title);
+
+    const tokens = new Set();
+    const text = title.toLowerCase()
+        .replace(/'s\b/g, '')
+        .replace(/(\d[\d,]*(?:\.\d+)?)\s*(bn|k|m|b|t)\b/g, (match, digits, magnitude) => ` ${normalizeNumber(digits, magnitude)} `);
+    text.split(/[^a-z0-9.,]+/).forEach(raw => {
+        const word = raw.replace(/^[.,]+|[.,]+$/g, '');
+        if (!word) return;
+        if (/^\d[\d,]*(\.\d+)?$/.test(word)) {
+            tokens.add(normalizeNumber(word));
+            return;
+        }
+        // "25bps" -> "25", "bp"
+        const split = word.match(/^(\d+(?:\.\d+)?)([a-z]+)$/);
+        if (split) {
+            tokens.add(normalizeNumber(split[1]));
+            tokens.add(stem(split[2]));
+            return;
+        }
+        word.split(/[.,]/).filter(part => part && !STOPWORDS.has(part)).forEach(part => {
+            tokens.add(MONTHS[part] || stem(part));
+        });
+    });
+
+    tokenCache.set(title, tokens);
+    return tokens;
+};
+
+// Years only count against a match when both titles name one ("by December
+// 31" and "by Dec 31, 2026" are usually the same question); other numbers
+// have to agree exactly.
+const numbersConflict = (a, b) => {
+    const numbers = (tokens) => [...tokens].filter(token => /^\d/.test(token));
+    const [numbersA, numbersB] = [numbers(a), numbers(b)];
+    const yearsA = numbersA.filter(isYear);
+    const yearsB = numbersB.filter(isYear);
+    if (yearsA.length && yearsB.length && !yearsA.some(year => yearsB.includes(year))) return true;
+
+    const othersA = numbersA.filter(token => !isYear(token));
+    const othersB = numbersB.filter(token => !isYear(token));
+    return othersA.length !== othersB.length || othersA.some(token => !othersB.includes(token));
+};
+
+export const similarity = (titleA, titleB) => {
+    const a = tokenize(titleA);
+    const b = tokenize(titleB);
+    if (!a.size || !b.size) return 0;
+
+    let shared = 0;
+    a.forEach(token => {
+        if (b.has(token)) shared++;
+    });
+    const dice = (2 * shared) / (a.size + b.size);
+    return numbersConflict(a, b) ? dice * NUMBER_MISMATCH_PENALTY : dice;
+};
+
+export const isMatchable = (market) => !market.isMultiOutcome && !market.isCluster;
+
+const buildIndex = (venueMarkets) => {
+    const index = new Map();
+    venueMarkets.forEach(market => tokenize(market.title).forEach(token => {
+        const postings = index.get(token) || [];
+        postings.push(market);
+        index.set(token, postings);
+    }));
+    return index;
+};
+
+// Venue markets sharing at least one uncommon word with `title`
+const candidatesFor = (title, index) => {
+    const candidates = new Set();
+    tokenize(title).forEach(token => {
+        const postings = index.get(token);
+        if (postings && postings.length <= MAX_POSTINGS) postings.forEach(market => candidates.add(market));
+    });
+    return candidates;
+};
+
+// The closest venue markets to `market`, best first, for picking a match by hand
+export const rankCandidates = (market, venueMarkets, limit = 5) => venueMarkets
+    .map(venueMarket => ({ market: venueMarket, score: similarity(market.title, venueMarket.title) }))
+    .filter(candidate => candidate.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+
+// `markets` need only `id` and `title`; `venueMarkets` maps venue name to its
+// normalized markets. Returns Map<marketId, { [venue]: { market, score, manual } }>.
+export const matchMarkets = (markets, venueMarkets, links = {}) => {
+    const matches = new Map();
+    const addMatch = (marketId, venue, match) => {
+        matches.set(marketId, { ...matches.get(marketId), [venue]: match });
+    };
+
+    Object.entries(venueMarkets).forEach(([venue, candidates]) => {
+        const byId = new Map(candidates.map(market => [market.id, market]));
+
+        // Manual links first; the venue markets they claim are off the table
+        const claimed = new Set();
+        const automatic = markets.filter(market => {
+            const linked = links[market.id];
+            if (!linked || !(venue in linked)) return true;
+            const venueMarket = byId.get(linked[venue]);
+            if (venueMarket) {
+                claimed.add(venueMarket.id);
+                addMatch(market.id, venue, { market: venueMarket, score: null, manual: true });
+            }
+            return false;
+        });
+
+        const index = buildIndex(candidates.filter(market => !claimed.has(market.id)));
+        const pairs = [];
+        automatic.forEach(market => candidatesFor(market.title, index).forEach(venueMarket => {
+            const score = similarity(market.title, venueMarket.title);
+            if (score >= MATCH_THRESHOLD) pairs.push({ marketId: market.id, venueMarket, score });
+        }));
+
+        // Greedy one-to-one: the strongest pairs win
+        const paired = new Set();
+        pairs.sort((a, b) => b.score - a.score).forEach(({ marketId, venueMarket, score }) => {
+            if (paired.has(marketId) || paired.has(venueMarket.id)) return;
+            paired.add(marketId);
+            paired.add(venueMarket.id);
+            addMatch(marketId, venue, { market: venueMarket, score, manual: false });
+        });
+    });
+
+    return matches;
+};
@@ -0,0 +1,158 @@
+import { describe, expect, it } from 'vitest';
+import { MATCH_THRESHOLD, isMatchable, matchMarkets, rankCandidates, similarity, tokenize } from './matching';
+import { normalizeMarketsResponse } from './normalize';
+import { normalizeKalshiResponse, normalizeManifoldResponse } from './venues';
+import fixtureMarkets from './fixtures/markets.json';
+import fixtureKalshi from './fixtures/kalshi-markets.json';
+import fixtureManifold from './fixtures/manifold-markets.json';
+
+const polymarket = normalizeMarketsResponse(fixtureMarkets).filter(isMatchable);
+const venueMarkets = {
+    kalshi: normalizeKalshiResponse(fixtureKalshi),
+    manifold: normalizeManifoldResponse(fixtureManifold),
+};
+
+// { [marketId]: { [venue]: venueMarketId } } for comparing whole match sets
+const matchedIds = (matches) => Object.fromEntries([...matches].map(([marketId, byVenue]) => [
+    marketId,
+    Object.fromEntries(Object.entries(byVenue).map(([venue, match]) => [venue, match.market.id])),
+]));
+
+describe('tokenize', () => {
+    it('normalizes numbers, months, plurals and stopwords', () => {
+        expect([...tokenize('Will Bitcoin reach $150k by Dec 31?')]).toEqual(['bitcoin', 'reach', '150000', 'december', '31']);
+        expect(tokenize('Will the Fed cut rates by 25bps?')).toEqual(tokenize('Fed cut rate 25 bps'));
+        expect(tokenize('Above 3.0%')).toEqual(tokenize('above 3%'));
+    });
+});
+
+describe('similarity', () => {
+    it('scores identical questions 1 and rewordings above the threshold', () => {
+        expect(similarity('Will the US enter a recession in 2026?', 'Will the US enter a recession in 2026?')).toBe(1);
+        expect(similarity('Will OpenAI release GPT-6 before July?', 'Will OpenAI release GPT-6 before July 2026?')).toBeGreaterThanOrEqual(MATCH_THRESHOLD);
+    });
+
+    it('halves the score when the numbers disagree', () => {
+        const same = similarity('Will Bitcoin reach $150,000 by December 31?', 'Will Bitcoin reach $150,000 by Dec 31, 2026?');
+        const different = similarity('Will Bitcoin reach $150,000 by December 31?', 'Will Bitcoin reach $200,000 by Dec 31, 2026?');
+        expect(same).toBeGreaterThanOrEqual(MATCH_THRESHOLD);
+        expect(different).toBeLessThan(same / 2);
+        // Four of five words in common, halved
+        expect(similarity('Will the Fed cut rates by 25 bps?', 'Will the Fed cut rates by 50 bps?')).toBeCloseTo(0.4);
+    });
+
+    it('only counts years against a match when both titles name one', () => {
+        expect(similarity('Will it snow in Central Park on Christmas Day 2025?', 'Will it snow in Central Park on Christmas Day 2024?'))
+            .toBeLessThan(MATCH_THRESHOLD);
+        expect(similarity('Will it snow in Central Park on Christmas Day?', 'Will it snow in Central Park on Christmas Day 2025?'))
+            .toBeGreaterThanOrEqual(MATCH_THRESHOLD);
+    });
+
+    it('is 0 for titles with no words left', () => {
+        expect(similarity('Will it be?', 'Will Bitcoin reach $150k?')).toBe(0);
+    });
+});
+
+describe('matchMarkets', () => {
+    it('pairs the fixture markets that ask the same question', () => {
+        expect(matchedIds(matchMarkets(polymarket, venueMarkets))).toEqual({
+            500000: { kalshi: 'kalshi:KXPRESPARTY-28-D' },
+            500685: { kalshi: 'kalshi:KXBTCMAXY-26DEC31-150000' },
+            501233: { manifold: 'manifold:q9TzGx1cPa' },
+            501370: { manifold: 'manifold:Ap7fLdX0ws' },
+            501781: { kalshi: 'kalshi:KXRECSSNBER-26', manifold: 'manifold:Lk2mWqR8sd' },
+            501918: { kalshi: 'kalshi:KXCPIYOY-26NOV-T3.0' },
+            502055: { kalshi: 'kalshi:KXSB-27-KC' },
+            502192: { kalshi: 'kalshi:KXNBA-26-BOS', manifold: 'manifold:Hm1cVoQ5ur' },
+            502877: { manifold: 'manifold:Wd8sKhJ2ty' },
+            503288: { kalshi: 'kalshi:KXUKRAINE-26', manifold: 'manifold:Rz4uNbC6qe' },
+            700101: { kalshi: 'kalshi:KXSB-27-PHI' },
+        });
+    });
+
+    it('scores every match at or above the threshold', () => {
+        matchMarkets(polymarket, venueMarkets).forEach(byVenue => Object.values(byVenue).forEach(match => {
+            expect(match.score).toBeGreaterThanOrEqual(MATCH_THRESHOLD);
+            expect(match.manual).toBe(false);
+        }));
+    });
+
+    it('leaves near misses unmatched: other teams, other cut sizes, other places', () => {
+        const byId = new Map(polymarket.map(market => [market.id, market]));
+        const nearMisses = [
+            ['700102', 'kalshi:KXSB-27-KC'], // Bills vs. Kansas City
+            ['700202', 'kalshi:KXNBA-26-BOS'], // Nuggets vs. Celtics
+            ['501644', 'kalshi:KXFEDDECISION-26DEC-C25'], // any cut vs. a 25 bps cut
+            ['502877', 'kalshi:KXNYCSNOW-25DEC25'], // Central Park vs. NYC
+        ];
+        const kalshiById = new Map(venueMarkets.kalshi.map(market => [market.id, market]));
+        nearMisses.forEach(([marketId, venueMarketId]) => {
+            expect(similarity(byId.get(marketId).title, kalshiById.get(venueMarketId).title)).toBeLessThan(MATCH_THRESHOLD);
+        });
+
+        const matches = matchMarkets(polymarket, venueMarkets);
+        ['700102', '700103', '700201', '700202', '700301', '700302', '501644'].forEach(marketId => {
+            expect(matches.has(marketId)).toBe(false);
+        });
+    });
+
+    it('pairs each venue market with the best-scoring market only', () => {
+        const markets = [
+            { id: 'reworded', title: 'Will Kansas City win Super Bowl LXI this year?' },
+            { id: 'exact', title: 'Will Kansas City win Super Bowl LXI?' },
+        ];
+        const kansasCity = venueMarkets.kalshi.filter(market => market.id === 'kalshi:KXSB-27-KC');
+        expect(similarity(markets[0].title, kansasCity[0].title)).toBeGreaterThanOrEqual(MATCH_THRESHOLD);
+
+        const matches = matchMarkets(markets, { kalshi: kansasCity });
+        expect(matches.get('exact').kalshi.market.id).toBe('kalshi:KXSB-27-KC');
+        expect(matches.has('reworded')).toBe(false);
+    });
+
+    it('uses manual links over the fuzzy match and takes the linked market off the table', () => {
+        const markets = [
+            { id: 'btc', title: 'Will Bitcoin reach $150,000 by December 31?' },
+            { id: 'btc-again', title: 'Will Bitcoin reach $150,000 by Dec 31, 2026?' },
+        ];
+        const links = { btc: { kalshi: 'kalshi:KXBTCMAXY-26DEC31-200000' } };
+        const matches = matchMarkets(markets, { kalshi: venueMarkets.kalshi }, links);
+
+        expect(matches.get('btc').kalshi).toMatchObject({ score: null, manual: true });
+        expect(matches.get('btc').kalshi.market.id).toBe('kalshi:KXBTCMAXY-26DEC31-200000');
+        expect(matches.get('btc-again').kalshi.market.id).toBe('kalshi:KXBTCMAXY-26DEC31-150000');
+    });
+
+    it('treats a null link as no match on that venue only', () => {
+        const markets = [{ id: '501781', title: 'Will the US enter a recession in 2026?' }];
+        const matches = matchMarkets(markets, venueMarkets, { 501781: { kalshi: null } });
+        expect(matchedIds(matches)).toEqual({ 501781: { manifold: 'manifold:Lk2mWqR8sd' } });
+    });
+
+    it('drops a link to a venue market that is gone', () => {
+        const markets = [{ id: '501781', title: 'Will the US enter a recession in 2026?' }];
+        const matches = matchMarkets(markets, { kalshi: venueMarkets.kalshi }, { 501781: { kalshi: 'kalshi:GONE' } });
+        expect(matches.size).toBe(0);
+    });
+});
+
+describe('isMatchable', () => {
+    it('skips multi-outcome markets and event clusters', () => {
+        expect(isMatchable({ isMultiOutcome: false })).toBe(true);
+        expect(isMatchable({ isMultiOutcome: true })).toBe(false);
+        expect(isMatchable({ isMultiOutcome: false, isCluster: true })).toBe(false);
+    });
+});
+
+describe('rankCandidates', () => {
+    it('lists the closest venue markets first, near misses included', () => {
+        const market = { title: 'Will the Buffalo Bills win Super Bowl LXI?' };
+        const ranked = rankCandidates(market, venueMarkets.kalshi, 2);
+        expect(ranked).toHaveLength(2);
+        expect(ranked.map(candidate => candidate.market.id).sort()).toEqual(['kalshi:KXSB-27-KC', 'kalshi:KXSB-27-PHI']);
+        expect(ranked[0].score).toBeGreaterThanOrEqual(ranked[1].score);
+    });
+
+    it('leaves out markets with nothing in common', () => {
+        expect(rankCandidates({ title: 'Will Taylor Swift announce a new album?' }, venueMarkets.kalshi)).toEqual([]);
+    });
+});
@@ -0,0 +1,165 @@
+// Adapter from Polymarket API payloads to the app's market model.
+// Handles both the Gamma `/markets` shape (string-encoded `outcomes`,
+// `outcomePrices` and `clobTokenIds`) and the older shape with an
+// `outcomes: [{ price, token_id }]` array, wrapped in `data` or bare.
+
+// Parses a field that may be a JSON-encoded array, a real array or missing
+const parseList = (value) => {
+    if (Array.isArray(value)) return value;
+    if (typeof value !== 'string' || value === '') return [];
+    try {
+        const parsed = JSON.parse(value);
+        return Array.isArray(parsed) ? parsed : [];
+    } catch {
+        return [];
+    }
+};
+
+export const toNumber = (value, fallback = 0) => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : fallback;
+};
+
+// Returns [{ name, price, tokenId }] for either outcome encoding
+export const parseOutcomes = (market) => {
+    const outcomes = parseList(market.outcomes);
+    if (outcomes.length && typeof outcomes[0] === 'object') {
+        return outcomes.map((outcome, i) => ({
+            name: outcome.outcome || outcome.name || `Outcome ${i + 1}`,
+            price: toNumber(outcome.price),
+            tokenId: outcome.token_id || outcome.tokenId || null,
+        }));
+    }
+
+    const prices = parseList(market.outcomePrices);
+    const tokenIds = parseList(market.clobTokenIds);
+    return outcomes.map((name, i) => ({
+        name: String(name),
+        price: toNumber(prices[i]),
+        tokenId: tokenIds[i] || null,
+    }));
+};
+
+// The Polymarket event a market belongs to, as { id, slug, title }, or null
+const parseEvent = (market) => {
+    const [event] = parseList(market.events);
+    return event && event.id !== undefined
+        ? { id: String(event.id), slug: event.slug || '', title: event.title || market.question }
+        : null;
+};
+
+const parseTags = (tags) => parseList(tags)
+    .map(tag => (typeof tag === 'string' ? tag : tag.label || tag.slug || ''))
+    .filter(Boolean)
+    .map(tag => tag.toLowerCase());
+
+const isYesNo = (outcomes) => (
+    outcomes.length === 2
+    && outcomes[0].name.toLowerCase() === 'yes'
+    && outcomes[1].name.toLowerCase() === 'no'
+);
+
+// The market-level fields that follow from its outcome prices
+export const summarizeOutcomes = (outcomes) => {
+    // Anything other than a plain Yes/No market is summarized by its leading outcome
+    const isMultiOutcome = outcomes.length > 1 && !isYesNo(outcomes);
+    const leadingOutcome = isMultiOutcome
+        ? outcomes.reduce((leader, outcome) => (outcome.price > leader.price ? outcome : leader))
+        : outcomes[0] || null;
+    const probability = leadingOutcome ? leadingOutcome.price : 0;
+
+    return {
+        outcomes,
+        isMultiOutcome,
+        leadingOutcome,
+        probability,
+        odds: Math.round(probability * 100),
+        // Price history follows the leading outcome (the Yes side for binary markets)
+        tokenId: leadingOutcome ? leadingOutcome.tokenId : null,
+    };
+};
+
+// Polymarket links by slug; a market without one falls back to its event's page
+const marketUrl = (market) => {
+    const slug = market.slug || parseEvent(market)?.slug;
+    return slug ? `https://polymarket.com/event/${slug}` : null;
+};
+
+export const normalizeMarket = (market) => ({
+    id: String(market.id),
+    venue: 'polymarket',
+    slug: market.slug,
+    title: market.question,
+    description: market.description || '',
+    ...summarizeOutcomes(parseOutcomes(market)),
+    volume: toNumber(market.volumeNum ?? market.volume),
+    liquidity: toNumber(market.liquidityNum ?? market.liquidity),
+    traders: Math.round(toNumber(market.participant_count ?? market.uniqueTraders)),
+    tags: parseTags(market.tags),
+    event: parseEvent(market),
+    // Short name among its sibling markets in the event, e.g. "Chiefs"
+    groupTitle: market.groupItemTitle || null,
+    url: marketUrl(market),
+    closed: Boolean(market.closed),
+    // Filled in from the price-history store
+    changes: { '1h': null, '24h': null, '7d': null },
+    trend: 'flat',
+    change: null,
+});
+
+// The raw market list in `{ data: [...] }` or a bare array
+export const marketRows = (payload) => {
+    const markets = Array.isArray(payload) ? payload : payload?.data;
+    if (!Array.isArray(markets)) {
+        throw new Error('Unexpected market response: expected an array of markets');
+    }
+    return markets;
+};
+
+// Accepts `{ data: [...] }` or a bare array and drops entries that can't be priced
+export const normalizeMarketsResponse = (payload) => marketRows(payload)
+    .filter(market => market && market.id !== undefined && market.question)
+    .map(normalizeMarket);
+
+// Normalizes a CLOB `prices-history` payload to [{ t: ms, p: probability }]
+export const normalizeHistoryResponse = (payload) => (payload?.history || [])
+    .map(({ t, p }) => ({ t: toNumber(t) * 1000, p: toNumber(p) }))
+    .filter(point => point.t > 0)
+    .sort((a, b) => a.t - b.t);
+
+// Re-prices a normalized market's outcomes from { [tokenId]: price }, keeping
+// everything else (history-derived changes included) as it was
+export const withOutcomePrices = (market, pricesByToken) => ({
+    ...market,
+    ...summarizeOutcomes(market.outcomes.map(outcome => (
+        outcome.tokenId in pricesByToken ? { ...outcome, price: pricesByToken[outcome.tokenId] } : outcome
+    ))),
+});
+
+// Midpoint of the best bid and ask, or the quoted price when one side is empty
+const midpoint = (bid, ask, fallback) => {
+    const best = [toNumber(bid, NaN), toNumber(ask, NaN)].filter(Number.isFinite);
+    return best.length === 2 ? (best[0] + best[1]) / 2 : toNumber(fallback, NaN);
+};
+
+// Normalizes CLOB market-channel events (one event or an array of them) to
+// [{ tokenId, price }]. `price_change` events are priced at the midpoint and
+// `last_trade_price` at the trade; anything else (books, tick sizes) is skipped.
+export const normalizePriceEvents = (payload) => (Array.isArray(payload) ? payload : [payload])
+    .flatMap(event => {
+        if (event?.event_type === 'price_change') {
+            // Newer events carry a `price_changes` list, each with the best bid and ask.
+            // Older ones carry one asset and the book levels that changed, which
+            // aren't the market price, so they count only with a best bid and ask.
+            if (event.price_changes) {
+                return event.price_changes
+                    .map(change => ({ tokenId: change.asset_id, price: midpoint(change.best_bid, change.best_ask, change.price) }));
+            }
+            return [{ tokenId: event.asset_id, price: midpoint(event.best_bid, event.best_ask, NaN) }];
+        }
+        if (event?.event_type === 'last_trade_price') {
+            return [{ tokenId: event.asset_id, price: toNumber(event.price, NaN) }];
+        }
+        return [];
+    })
+    .filter(({ tokenId, price }) => tokenId && price >= 0 && price <= 1);
@@ -0,0 +1,203 @@
+import { describe, expect, it } from 'vitest';
+import { normalizeMarketsResponse, normalizeHistoryResponse, normalizePriceEvents, parseOutcomes } from './normalize';
+import fixtureMarkets from './fixtures/markets.json';
+import fixtureHistory from './fixtures/prices-history.json';
+import fixtureTicks from './fixtures/price-ticks.json';
+
+const gammaMarket = {
+    id: 12,
+    question: 'Will it rain tomorrow?',
+    slug: 'will-it-rain-tomorrow',
+    outcomes: '["Yes", "No"]',
+    outcomePrices: '["0.62", "0.38"]',
+    clobTokenIds: '["111", "222"]',
+    volumeNum: 12500,
+    liquidityNum: 800,
+};
+
+describe('parseOutcomes', () => {
+    it('reads the string-encoded Gamma fields', () => {
+        expect(parseOutcomes(gammaMarket)).toEqual([
+            { name: 'Yes', price: 0.62, tokenId: '111' },
+            { name: 'No', price: 0.38, tokenId: '222' },
+        ]);
+    });
+
+    it('reads the older array of outcome objects', () => {
+        const market = {
+            outcomes: [
+                { outcome: 'Lakers', price: '0.45', token_id: 'a' },
+                { name: 'Celtics', price: 0.55, tokenId: 'b' },
+                { price: 'n/a' },
+            ],
+        };
+        expect(parseOutcomes(market)).toEqual([
+            { name: 'Lakers', price: 0.45, tokenId: 'a' },
+            { name: 'Celtics', price: 0.55, tokenId: 'b' },
+            { name: 'Outcome 3', price: 0, tokenId: null },
+        ]);
+    });
+
+    it('returns no outcomes for missing or malformed fields', () => {
+        expect(parseOutcomes({})).toEqual([]);
+        expect(parseOutcomes({ outcomes: '[not json' })).toEqual([]);
+    });
+
+    it('leaves prices and token ids it cannot find at their defaults', () => {
+        expect(parseOutcomes({ outcomes: '["Yes", "No"]', outcomePrices: '["0.7"]' })).toEqual([
+            { name: 'Yes', price: 0.7, tokenId: null },
+            { name: 'No', price: 0, tokenId: null },
+        ]);
+    });
+});
+
+describe('normalizeMarketsResponse', () => {
+    it('normalizes a Yes/No market', () => {
+        const [market] = normalizeMarketsResponse([gammaMarket]);
+        expect(market).toMatchObject({
+            id: '12',
+            venue: 'polymarket',
+            slug: 'will-it-rain-tomorrow',
+            title: 'Will it rain tomorrow?',
+            isMultiOutcome: false,
+            leadingOutcome: { name: 'Yes', price: 0.62, tokenId: '111' },
+            probability: 0.62,
+            odds: 62,
+            tokenId: '111',
+            volume: 12500,
+            liquidity: 800,
+            url: 'https://polymarket.com/event/will-it-rain-tomorrow',
+            closed: false,
+            changes: { '1h': null, '24h': null, '7d': null },
+        });
+    });
+
+    it('summarizes a multi-outcome market by its leading outcome', () => {
+        const [market] = normalizeMarketsResponse({ data: [{
+            id: 'x',
+            question: 'Who wins?',
+            slug: 'who-wins',
+            outcomes: [{ outcome: 'A', price: 0.2 }, { outcome: 'B', price: 0.5 }, { outcome: 'C', price: 0.3 }],
+        }] });
+        expect(market.isMultiOutcome).toBe(true);
+        expect(market.leadingOutcome.name).toBe('B');
+        expect(market.odds).toBe(50);
+    });
+
+    it('links a market without a slug to its event, or not at all', () => {
+        const { slug: _slug, ...withoutSlug } = gammaMarket;
+        const [withEvent, withNothing] = normalizeMarketsResponse([
+            { ...withoutSlug, events: [{ id: 7, slug: 'rain-week', title: 'Rain this week' }] },
+            { ...withoutSlug, id: 13 },
+        ]);
+        expect(withEvent.url).toBe('https://polymarket.com/event/rain-week');
+        expect(withEvent.event).toEqual({ id: '7', slug: 'rain-week', title: 'Rain this week' });
+        expect(withNothing.url).toBeNull();
+    });
+
+    it('drops rows without an id or question', () => {
+        expect(normalizeMarketsResponse([null, { id: 1 }, { question: 'No id?' }, gammaMarket])).toHaveLength(1);
+    });
+
+    it('rejects a payload that is not a market list', () => {
+        expect(() => normalizeMarketsResponse({ error: 'rate limited' })).toThrow('Unexpected market response');
+    });
+
+    it('normalizes every recorded fixture market', () => {
+        const markets = normalizeMarketsResponse(fixtureMarkets);
+        expect(markets).toHaveLength(fixtureMarkets.length);
+        markets.forEach(market => {
+            expect(market.outcomes.length).toBeGreaterThan(1);
+            expect(market.probability).toBeGreaterThanOrEqual(0);
+            expect(market.probability).toBeLessThanOrEqual(1);
+            expect(market.url).toMatch(/^https:\/\/polymarket\.com\/event\/.+/);
+        });
+    });
+});
+
+describe('normalizeHistoryResponse', () => {
+    it('converts seconds to milliseconds and sorts by time', () => {
+        expect(normalizeHistoryResponse({ history: [{ t: 20, p: '0.5' }, { t: 10, p: 0.4 }] })).toEqual([
+            { t: 10000, p: 0.4 },
+            { t: 20000, p: 0.5 },
+        ]);
+    });
+
+    it('drops points without a usable time', () => {
+        expect(normalizeHistoryResponse({ history: [{ t: null, p: 0.5 }, { t: 'soon', p: 0.5 }, { t: 5, p: 0.1 }] }))
+            .toEqual([{ t: 5000, p: 0.1 }]);
+    });
+
+    it('returns nothing for an empty or missing payload', () => {
+        expect(normalizeHistoryResponse(null)).toEqual([]);
+        expect(normalizeHistoryResponse({})).toEqual([]);
+    });
+
+    it('normalizes the recorded history fixture', () => {
+        const [recorded] = Object.values(fixtureHistory);
+        const points = normalizeHistoryResponse(recorded);
+        expect(points).toHaveLength(recorded.history.length);
+        expect(points.every((point, i) => i === 0 || point.t >= points[i - 1].t)).toBe(true);
+    });
+});
+
+describe('normalizePriceEvents', () => {
+    it('prices the newer price_change list at each midpoint', () => {
+        const event = {
+            event_type: 'price_change',
+            price_changes: [
+                { asset_id: '111', price: '0.347', best_bid: '0.3420', best_ask: '0.3520' },
+                { asset_id: '222', price: '0.653', best_bid: '0.6525', best_ask: '0.6535' },
+            ],
+        };
+        const prices = normalizePriceEvents(event);
+        expect(prices.map(({ tokenId }) => tokenId)).toEqual(['111', '222']);
+        expect(prices[0].price).toBeCloseTo(0.347);
+        expect(prices[1].price).toBeCloseTo(0.653);
+    });
+
+    it('prices the older single-asset price_change at its best bid and ask, not a changed level', () => {
+        const changes = [
+            { price: '0.41', side: 'BUY', size: '10' },
+            { price: '0.12', side: 'BUY', size: '0' },
+            { price: '0.95', side: 'SELL', size: '250' },
+        ];
+        const event = { event_type: 'price_change', asset_id: '111', changes, best_bid: '0.44', best_ask: '0.46' };
+        const [{ tokenId, price }] = normalizePriceEvents(event);
+        expect(tokenId).toBe('111');
+        expect(price).toBeCloseTo(0.45);
+    });
+
+    it('skips an older price_change that has only the changed levels', () => {
+        const changes = [{ price: '0.41', side: 'BUY', size: '10' }, { price: '0.95', side: 'SELL', size: '250' }];
+        expect(normalizePriceEvents({ event_type: 'price_change', asset_id: '111', changes })).toEqual([]);
+    });
+
+    it('falls back to the quoted price when one side of the book is empty', () => {
+        const event = { event_type: 'price_change', price_changes: [{ asset_id: '111', price: '0.2', best_bid: '', best_ask: '0.25' }] };
+        expect(normalizePriceEvents(event)).toEqual([{ tokenId: '111', price: 0.2 }]);
+    });
+
+    it('prices last_trade_price events at the trade', () => {
+        expect(normalizePriceEvents([{ event_type: 'last_trade_price', asset_id: '111', price: '0.58' }]))
+            .toEqual([{ tokenId: '111', price: 0.58 }]);
+    });
+
+    it('skips other events and prices that are missing or out of range', () => {
+        expect(normalizePriceEvents([
+            { event_type: 'book', asset_id: '111', bids: [], asks: [] },
+            { event_type: 'tick_size_change', asset_id: '111' },
+            { event_type: 'last_trade_price', asset_id: '111', price: 'n/a' },
+            { event_type: 'last_trade_price', asset_id: '111', price: '1.5' },
+            { event_type: 'last_trade_price', price: '0.5' },
+            null,
+        ])).toEqual([]);
+    });
+
+    it('prices every recorded tick in the fixture', () => {
+        const prices = fixtureTicks.flatMap(({ event }) => normalizePriceEvents(event));
+        const changes = fixtureTicks.reduce((count, { event }) => count + (event.price_changes?.length ?? 1), 0);
+        expect(prices).toHaveLength(changes);
+        prices.forEach(({ price }) => expect(price).toBeGreaterThan(0));
+    });
+});
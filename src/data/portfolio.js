@@ -0,0 +1,191 @@
+// Paper-trading portfolio, persisted in localStorage. Shares are bought on
+// one side of an outcome: YES pays $1 per share if the outcome happens and
+// costs its price, NO pays $1 if it doesn't and costs one minus the price.
+// Positions are revalued on every refresh and streamed price, and settled
+// once their market closes with a final price.
+
+const STORAGE_KEY = 'polyfutures:portfolio';
+
+export const STARTING_CASH = 10000;
+export const SIDES = ['yes', 'no'];
+
+// Closed markets only settle once the final price is (close to) 0 or 1
+const SETTLED_THRESHOLD = 0.01;
+
+export const createPortfolio = () => ({
+    cash: STARTING_CASH,
+    realizedPnl: 0,
+    positions: [],
+    trades: [],
+});
+
+export const loadPortfolio = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return stored && Array.isArray(stored.positions) ? stored : createPortfolio();
+    } catch (err) {
+        console.warn('Ignoring stored portfolio:', err);
+        return createPortfolio();
+    }
+};
+
+export const savePortfolio = (portfolio) => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(portfolio));
+};
+
+// --- Pricing ---
+
+const priceForSide = (outcomePrice, side) => (side === 'yes' ? outcomePrice : 1 - outcomePrice);
+
+// Price of one share on `side` of the named outcome, or null if the market no longer lists it
+export const sharePrice = (market, outcomeName, side) => {
+    const outcome = market.outcomes.find(o => o.name === outcomeName);
+    return outcome ? priceForSide(outcome.price, side) : null;
+};
+
+// What a position would fill at now: its market's current price, or the last
+// mark when the market (or the outcome) is no longer listed
+export const positionPrice = (position, market) => (
+    (market && sharePrice(market, position.outcome, position.side)) ?? position.lastPrice
+);
+
+const nextId = (prefix, now) => `${prefix}-${now.toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+const recordTrade = (position, action, shares, price, now, pnl = null) => ({
+    id: nextId('trade', now),
+    time: now,
+    marketId: position.marketId,
+    title: position.title,
+    outcome: position.outcome,
+    side: position.side,
+    action,
+    shares,
+    price,
+    amount: shares * price,
+    pnl,
+});
+
+// --- Trading ---
+
+// Spends `amount` dollars on `side` of the market's leading outcome at the
+// current price. Adds to an existing position on the same side.
+export const buyShares = (portfolio, market, side, amount, now = Date.now()) => {
+    const outcome = market.leadingOutcome;
+    const price = outcome ? priceForSide(outcome.price, side) : 0;
+    if (!(amount > 0)) throw new Error('Enter an amount to spend');
+    if (amount > portfolio.cash + 1e-9) throw new Error('Not enough paper cash');
+    if (!(price > 0 && price < 1)) throw new Error('This outcome can no longer be traded');
+
+    const shares = amount / price;
+    const existing = portfolio.positions.find(p => p.marketId === market.id && p.outcome === outcome.name && p.side === side);
+    const position = existing
+        ? { ...existing, shares: existing.shares + shares, cost: existing.cost + amount, lastPrice: price }
+        : {
+            id: nextId('position', now),
+            marketId: market.id,
+            slug: market.slug,
+            title: market.title,
+            outcome: outcome.name,
+            side,
+            shares,
+            cost: amount,
+            lastPrice: price,
+            openedAt: now,
+        };
+
+    return {
+        ...portfolio,
+        cash: portfolio.cash - amount,
+        positions: existing
+            ? portfolio.positions.map(p => (p.id === existing.id ? position : p))
+            : [...portfolio.positions, position],
+        trades: [...portfolio.trades, recordTrade(position, 'buy', shares, price, now)],
+    };
+};
+
+// Closes a position at `price` per share; `action` is 'sell' or 'settle'
+const closePosition = (portfolio, positionId, price, action, now) => {
+    const position = portfolio.positions.find(p => p.id === positionId);
+    if (!position) return portfolio;
+
+    const proceeds = position.shares * price;
+    const pnl = proceeds - position.cost;
+    return {
+        ...portfolio,
+        cash: portfolio.cash + proceeds,
+        realizedPnl: portfolio.realizedPnl + pnl,
+        positions: portfolio.positions.filter(p => p.id !== positionId),
+        trades: [...portfolio.trades, recordTrade(position, action, position.shares, price, now, pnl)],
+    };
+};
+
+export const sellPosition = (portfolio, positionId, price, now = Date.now()) => closePosition(portfolio, positionId, price, 'sell', now);
+
+// `settlements` is [{ positionId, price }] from findSettlements
+export const settlePositions = (portfolio, settlements, now = Date.now()) => settlements.reduce(
+    (next, { positionId, price }) => closePosition(next, positionId, price, 'settle', now),
+    portfolio,
+);
+
+// --- Refresh ---
+
+// Revalues positions at the current prices (markets keyed by id)
+export const markToMarket = (portfolio, marketsById) => {
+    let changed = false;
+    const positions = portfolio.positions.map(position => {
+        const market = marketsById.get(position.marketId);
+        const price = market && sharePrice(market, position.outcome, position.side);
+        if (price === null || price === undefined || price === position.lastPrice) return position;
+        changed = true;
+        return { ...position, lastPrice: price };
+    });
+    return changed ? { ...portfolio, positions } : portfolio;
+};
+
+// Looks up positions whose market dropped out of the open set and returns
+// [{ positionId, price }] for those that closed with a final price
+export const findSettlements = async (positions, marketsById, fetchMarket) => {
+    const missing = positions.filter(position => !marketsById.has(position.marketId));
+    const settlements = [];
+
+    for (const position of missing) {
+        try {
+            // Positions opened on a market without a slug are looked up by id
+            const market = await fetchMarket(position.slug || position.marketId);
+            if (!market?.closed) continue;
+            const price = sharePrice(market, position.outcome, position.side);
+            if (price !== null && (price <= SETTLED_THRESHOLD || price >= 1 - SETTLED_THRESHOLD)) {
+                settlements.push({ positionId: position.id, price: Math.round(price) });
+            }
+        } catch (err) {
+            console.warn(`Failed to check whether market ${position.marketId} closed:`, err);
+        }
+    }
+    return settlements;
+};
+
+// --- Reporting ---
+
+export const summarizePortfolio = (portfolio) => {
+    const positionsValue = portfolio.positions.reduce((sum, p) => sum + p.shares * p.lastPrice, 0);
+    const costBasis = portfolio.positions.reduce((sum, p) => sum + p.cost, 0);
+    return {
+        cash: portfolio.cash,
+        positionsValue,
+        equity: portfolio.cash + positionsValue,
+        unrealizedPnl: positionsValue - costBasis,
+        realizedPnl: portfolio.realizedPnl,
+    };
+};
+
+const CSV_COLUMNS = ['time', 'action', 'title', 'outcome', 'side', 'shares', 'price', 'amount', 'pnl'];
+
+const csvCell = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const tradesToCsv = (trades) => [
+    CSV_COLUMNS.join(','),
+    ...trades.map(trade => CSV_COLUMNS.map(column => csvCell(column === 'time' ? new Date(trade.time).toISOString() : trade[column])).join(',')),
+].join('\n');
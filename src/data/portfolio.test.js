@@ -0,0 +1,172 @@
+import { describe, expect, it, vi } from 'vitest';
+import {
+    createPortfolio, buyShares, sellPosition, settlePositions, markToMarket, findSettlements, summarizePortfolio,
+    tradesToCsv, positionPrice, STARTING_CASH,
+} from './portfolio';
+
+const market = (yesPrice) => ({
+    id: 'm1',
+    slug: 'm1',
+    title: 'Will it rain?',
+    isMultiOutcome: false,
+    outcomes: [{ name: 'Yes', price: yesPrice }, { name: 'No', price: 1 - yesPrice }],
+    leadingOutcome: { name: 'Yes', price: yesPrice },
+});
+
+describe('positionPrice', () => {
+    const [position] = buyShares(createPortfolio(), market(0.4), 'yes', 100, 1).positions;
+    const [noPosition] = buyShares(createPortfolio(), market(0.4), 'no', 100, 1).positions;
+
+    it('prices at the market\'s current price, not the last mark', () => {
+        expect(position.lastPrice).toBeCloseTo(0.4);
+        expect(positionPrice(position, market(0.55))).toBeCloseTo(0.55);
+        expect(positionPrice(noPosition, market(0.55))).toBeCloseTo(0.45);
+    });
+
+    it('falls back to the last mark when the market or outcome is gone', () => {
+        expect(positionPrice(position, undefined)).toBeCloseTo(0.4);
+        expect(positionPrice(position, { ...market(0.9), outcomes: [] })).toBeCloseTo(0.4);
+    });
+
+    it('fills a sale at the current price', () => {
+        const bought = buyShares(createPortfolio(), market(0.4), 'yes', 100, 1);
+        const [held] = bought.positions;
+        const sold = sellPosition(bought, held.id, positionPrice(held, market(0.5)), 2);
+        expect(sold.positions).toEqual([]);
+        expect(sold.cash).toBeCloseTo(bought.cash + held.shares * 0.5);
+    });
+});
+
+describe('buyShares', () => {
+    it('spends cash on shares at the side\'s price', () => {
+        const bought = buyShares(createPortfolio(), market(0.25), 'yes', 100, 1);
+        const [position] = bought.positions;
+        expect(bought.cash).toBe(STARTING_CASH - 100);
+        expect(position).toMatchObject({ marketId: 'm1', slug: 'm1', outcome: 'Yes', side: 'yes', cost: 100, lastPrice: 0.25 });
+        expect(position.shares).toBeCloseTo(400);
+        expect(bought.trades).toMatchObject([{ action: 'buy', price: 0.25, amount: 100, pnl: null }]);
+
+        const [noPosition] = buyShares(createPortfolio(), market(0.25), 'no', 75, 1).positions;
+        expect(noPosition.shares).toBeCloseTo(100);
+    });
+
+    it('adds to a position on the same side at an averaged cost', () => {
+        let portfolio = buyShares(createPortfolio(), market(0.2), 'yes', 100, 1);
+        portfolio = buyShares(portfolio, market(0.5), 'yes', 100, 2);
+        portfolio = buyShares(portfolio, market(0.5), 'no', 50, 3);
+
+        const [yes, no] = portfolio.positions;
+        expect(portfolio.positions).toHaveLength(2);
+        expect(yes.shares).toBeCloseTo(700);
+        expect(yes.cost).toBe(200);
+        // 200 spent on 700 shares
+        expect(yes.cost / yes.shares).toBeCloseTo(0.2857, 4);
+        expect(yes.lastPrice).toBe(0.5);
+        expect(no.shares).toBeCloseTo(100);
+        expect(portfolio.cash).toBe(STARTING_CASH - 250);
+        expect(portfolio.trades).toHaveLength(3);
+    });
+
+    it('rejects empty amounts, overspending and settled prices', () => {
+        expect(() => buyShares(createPortfolio(), market(0.5), 'yes', 0)).toThrow('Enter an amount to spend');
+        expect(() => buyShares(createPortfolio(), market(0.5), 'yes', STARTING_CASH + 1)).toThrow('Not enough paper cash');
+        expect(() => buyShares(createPortfolio(), market(1), 'yes', 10)).toThrow('can no longer be traded');
+        expect(() => buyShares(createPortfolio(), market(1), 'no', 10)).toThrow('can no longer be traded');
+    });
+});
+
+describe('sellPosition', () => {
+    it('books the profit or loss against the cost', () => {
+        const bought = buyShares(createPortfolio(), market(0.4), 'yes', 100, 1);
+        const sold = sellPosition(bought, bought.positions[0].id, 0.3, 2);
+        expect(sold.cash).toBeCloseTo(STARTING_CASH - 25);
+        expect(sold.realizedPnl).toBeCloseTo(-25);
+        expect(sold.trades[1]).toMatchObject({ action: 'sell', price: 0.3 });
+        expect(sold.trades[1].pnl).toBeCloseTo(-25);
+    });
+
+    it('leaves the portfolio alone for an unknown position', () => {
+        const portfolio = createPortfolio();
+        expect(sellPosition(portfolio, 'gone', 0.5)).toBe(portfolio);
+    });
+});
+
+describe('settlePositions', () => {
+    it('pays $1 a share on the winning side and nothing on the losing one', () => {
+        let portfolio = buyShares(createPortfolio(), market(0.4), 'yes', 100, 1);
+        portfolio = buyShares(portfolio, { ...market(0.4), id: 'm2' }, 'no', 60, 1);
+        const [yes, no] = portfolio.positions;
+
+        const settled = settlePositions(portfolio, [{ positionId: yes.id, price: 1 }, { positionId: no.id, price: 0 }], 2);
+        expect(settled.positions).toEqual([]);
+        expect(settled.cash).toBeCloseTo(STARTING_CASH - 160 + 250);
+        expect(settled.realizedPnl).toBeCloseTo(150 - 60);
+        expect(settled.trades.slice(2).map(trade => [trade.action, trade.price])).toEqual([['settle', 1], ['settle', 0]]);
+    });
+});
+
+describe('markToMarket', () => {
+    it('revalues positions at the current prices and keeps the portfolio when nothing moved', () => {
+        const portfolio = buyShares(createPortfolio(), market(0.4), 'no', 60, 1);
+        const marked = markToMarket(portfolio, new Map([['m1', market(0.3)]]));
+        expect(marked.positions[0].lastPrice).toBeCloseTo(0.7);
+        expect(summarizePortfolio(marked).unrealizedPnl).toBeCloseTo(100 * 0.7 - 60);
+
+        expect(markToMarket(marked, new Map([['m1', market(0.3)]]))).toBe(marked);
+        expect(markToMarket(marked, new Map())).toBe(marked);
+    });
+});
+
+describe('findSettlements', () => {
+    const closed = (yesPrice) => ({ ...market(yesPrice), closed: true });
+
+    it('settles positions whose market closed at (close to) 0 or 1', async () => {
+        let portfolio = buyShares(createPortfolio(), market(0.4), 'yes', 100, 1);
+        portfolio = buyShares(portfolio, market(0.4), 'no', 100, 1);
+        const [yes, no] = portfolio.positions;
+        const fetchMarket = vi.fn(async () => closed(0.996));
+
+        expect(await findSettlements(portfolio.positions, new Map(), fetchMarket)).toEqual([
+            { positionId: yes.id, price: 1 },
+            { positionId: no.id, price: 0 },
+        ]);
+    });
+
+    it('skips markets still open, still listed or closed without a final price', async () => {
+        const portfolio = buyShares(createPortfolio(), market(0.4), 'yes', 100, 1);
+        expect(await findSettlements(portfolio.positions, new Map([['m1', market(0.4)]]), vi.fn())).toEqual([]);
+        expect(await findSettlements(portfolio.positions, new Map(), async () => market(0.999))).toEqual([]);
+        expect(await findSettlements(portfolio.positions, new Map(), async () => closed(0.5))).toEqual([]);
+    });
+
+    it('looks up a position without a slug by its market id', async () => {
+        const portfolio = buyShares(createPortfolio(), { ...market(0.4), slug: undefined }, 'yes', 100, 1);
+        const fetchMarket = vi.fn(async () => closed(0));
+        await findSettlements(portfolio.positions, new Map(), fetchMarket);
+        expect(fetchMarket).toHaveBeenCalledWith('m1');
+    });
+});
+
+describe('tradesToCsv', () => {
+    it('writes a header and one row per trade, quoting commas, quotes and newlines', () => {
+        const trade = {
+            time: Date.UTC(2026, 9, 19, 12),
+            action: 'buy',
+            title: 'Will "Dune, Part Three" open\nabove $100m?',
+            outcome: 'Yes',
+            side: 'yes',
+            shares: 250,
+            price: 0.4,
+            amount: 100,
+            pnl: null,
+        };
+        expect(tradesToCsv([trade])).toBe([
+            'time,action,title,outcome,side,shares,price,amount,pnl',
+            '2026-10-19T12:00:00.000Z,buy,"Will ""Dune, Part Three"" open\nabove $100m?",Yes,yes,250,0.4,100,',
+        ].join('\n'));
+    });
+
+    it('is just the header with no trades', () => {
+        expect(tradesToCsv([])).toBe('time,action,title,outcome,side,shares,price,amount,pnl');
+    });
+});
@@ -0,0 +1,45 @@
+import { SIZE_ENCODINGS, SIZE_SCALES, COLOR_ENCODINGS } from './encodings';
+
+// Per-user display preferences (which view is showing, bubble encodings),
+// persisted in localStorage. Unknown or invalid stored values fall back to
+// the defaults.
+
+const STORAGE_KEY = 'polyfutures:preferences';
+
+export const VIEW_MODES = {
+    bubbles: { label: 'Bubbles' },
+    treemap: { label: 'Treemap' },
+    grid: { label: 'Grid' },
+    table: { label: 'Table' },
+};
+
+export const DEFAULT_PREFERENCES = {
+    view: 'bubbles',
+    sizeBy: 'volume',
+    sizeScale: 'global',
+    colorBy: 'category',
+};
+
+const isValid = {
+    view: value => value in VIEW_MODES,
+    sizeBy: value => value in SIZE_ENCODINGS,
+    sizeScale: value => value in SIZE_SCALES,
+    colorBy: value => value in COLOR_ENCODINGS,
+};
+
+export const loadPreferences = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+        return Object.fromEntries(Object.entries(DEFAULT_PREFERENCES).map(([key, fallback]) => [
+            key,
+            key in stored && isValid[key](stored[key]) ? stored[key] : fallback,
+        ]));
+    } catch (err) {
+        console.warn('Ignoring stored preferences:', err);
+        return { ...DEFAULT_PREFERENCES };
+    }
+};
+
+export const savePreferences = (preferences) => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(preferences));
+};
@@ -0,0 +1,270 @@
+import { openDb, requestToPromise, transactionDone } from './db';
+
+// Price-snapshot store. Every refresh appends each market's current
+// probability (and cumulative volume) to its series; 1h/24h/7d deltas and the
+// detail-panel chart are derived from those series.
+// Series are thinned as they age so a week of 60-second snapshots stays small.
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+export const CHANGE_WINDOWS = {
+    '1h': HOUR,
+    '24h': DAY,
+    '7d': 7 * DAY,
+};
+
+const RETENTION = 8 * DAY;
+// [max age, min spacing between kept points], checked in order
+const THINNING = [
+    [2 * HOUR, 0],
+    [26 * HOUR, 5 * MINUTE],
+    [RETENTION, 30 * MINUTE],
+];
+// Don't ask the history endpoint about the same market more than once a day
+const BACKFILL_INTERVAL = DAY;
+
+const STORE = 'priceHistory';
+const memoryStore = new Map();
+
+// --- Storage ---
+
+const readRecords = async (ids) => {
+    const db = await openDb();
+    if (!db) return ids.map(id => memoryStore.get(id));
+
+    const store = db.transaction(STORE, 'readonly').objectStore(STORE);
+    return Promise.all(ids.map(id => requestToPromise(store.get(id))));
+};
+
+// Reads, updates and writes back each record in one readwrite transaction,
+// so a refresh's snapshots and a backfill landing together can't overwrite
+// each other. `update(record, index)` gets undefined for a new record and
+// returns the record to store.
+const updateRecords = async (ids, update) => {
+    const db = await openDb();
+    if (!db) {
+        return ids.map((id, i) => {
+            const record = update(memoryStore.get(id), i);
+            memoryStore.set(id, record);
+            return record;
+        });
+    }
+
+    const tx = db.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+    const updated = [];
+    ids.forEach((id, i) => {
+        const request = store.get(id);
+        // Put from the callback: awaiting here could let the transaction commit early
+        request.onsuccess = () => {
+            updated[i] = update(request.result, i);
+            store.put(updated[i]);
+        };
+    });
+    await transactionDone(tx);
+    return updated;
+};
+
+// --- Series helpers ---
+
+// Drops expired points and thins older ones. Points must be sorted by time.
+export const compactSeries = (points, now = Date.now()) => {
+    const kept = [];
+    points.forEach(point => {
+        const age = now - point.t;
+        if (age > RETENTION) return;
+        const [, spacing] = THINNING.find(([maxAge]) => age <= maxAge) || THINNING[THINNING.length - 1];
+        const previous = kept[kept.length - 1];
+        if (previous && point.t - previous.t < spacing) return;
+        kept.push(point);
+    });
+    return kept;
+};
+
+// Merges two sorted series, letting `incoming` win on identical timestamps
+const mergeSeries = (existing, incoming) => {
+    const byTime = new Map(existing.map(point => [point.t, point]));
+    incoming.forEach(point => byTime.set(point.t, point));
+    return [...byTime.values()].sort((a, b) => a.t - b.t);
+};
+
+// How far from the start of a window its reference point may be, as a share
+// of the window: snapshots land on refreshes, not on the exact minute
+const WINDOW_TOLERANCE = 0.05;
+
+// Change in percentage points over each window, measured from the point
+// closest to the window's start, or null when no point is close enough
+// (the series doesn't reach back that far, or has a gap there).
+export const computeChanges = (points, now = Date.now()) => {
+    const changes = {};
+    const latest = points[points.length - 1];
+
+    Object.entries(CHANGE_WINDOWS).forEach(([label, window]) => {
+        const start = now - window;
+        let reference = null;
+        points.forEach(point => {
+            if (Math.abs(point.t - start) > window * WINDOW_TOLERANCE) return;
+            if (!reference || Math.abs(point.t - start) < Math.abs(reference.t - start)) reference = point;
+        });
+        changes[label] = latest && reference
+            ? Math.round((latest.p - reference.p) * 1000) / 10
+            : null;
+    });
+    return changes;
+};
+
+export const trendFromChange = (change) => {
+    if (change === null || change === undefined || change === 0) return 'flat';
+    return change > 0 ? 'up' : 'down';
+};
+
+// --- Public API ---
+
+// Appends a snapshot for each market ({ id, probability, volume }) and returns the
+// updated changes keyed by market id.
+export const recordSnapshots = async (markets, now = Date.now()) => {
+    let updated;
+    try {
+        updated = await updateRecords(markets.map(m => m.id), (stored, i) => {
+            const market = markets[i];
+            const record = stored || { id: market.id, points: [] };
+            const points = compactSeries(mergeSeries(record.points, [{ t: now, p: market.probability, v: market.volume }]), now);
+            return { ...record, points };
+        });
+    } catch (err) {
+        console.warn('Failed to persist price snapshots:', err);
+        return {};
+    }
+
+    return Object.fromEntries(updated.map(record => [record.id, computeChanges(record.points, now)]));
+};
+
+export const getPriceHistory = async (id) => {
+    const [record] = await readRecords([id]);
+    return record ? record.points : [];
+};
+
+// --- History backfill ---
+
+// One backfill at a time; a call made while one is running is skipped, and
+// the next refresh picks up whatever is still missing
+let isBackfilling = false;
+
+// Merges fetched history into a market's stored series and marks it
+// backfilled, keeping snapshots recorded while the request was in flight
+const saveBackfill = async (market, history, now) => {
+    const [record] = await updateRecords([market.id], (stored = { id: market.id, points: [] }) => ({
+        ...stored,
+        points: history ? compactSeries(mergeSeries(history, stored.points), now) : stored.points,
+        backfilledAt: now,
+    }));
+    return record.points;
+};
+
+// Seeds local series from the data source's history (see sources.js) for
+// markets that haven't been backfilled recently, a few requests at a time.
+// Each market is saved as soon as its history arrives. Returns the recomputed
+// changes for the markets that were updated.
+export const backfillHistory = async (markets, fetchHistory, now = Date.now(), concurrency = 4) => {
+    if (!fetchHistory || isBackfilling) return {};
+    isBackfilling = true;
+
+    try {
+        const candidates = markets.filter(m => m.tokenId);
+        const records = await readRecords(candidates.map(m => m.id));
+        const queue = candidates.filter((market, i) => (
+            !records[i]?.backfilledAt || now - records[i].backfilledAt > BACKFILL_INTERVAL
+        ));
+
+        const changes = {};
+        const worker = async () => {
+            while (queue.length) {
+                const market = queue.shift();
+                try {
+                    const history = await fetchHistory(market.tokenId);
+                    const points = await saveBackfill(market, history, now);
+                    if (history) changes[market.id] = computeChanges(points, now);
+                } catch (err) {
+                    console.warn(`Failed to backfill history for market ${market.id}:`, err);
+                }
+            }
+        };
+        await Promise.all(Array.from({ length: concurrency }, worker));
+        return changes;
+    } finally {
+        isBackfilling = false;
+    }
+};
+
+// --- Chart series ---
+
+export const CHART_RANGES = {
+    '1D': { span: DAY, interval: '1d', fidelity: 5 },
+    '1W': { span: 7 * DAY, interval: '1w', fidelity: 30 },
+    '1M': { span: 30 * DAY, interval: '1m', fidelity: 180 },
+    All: { span: Infinity, interval: 'max', fidelity: 1440 },
+};
+
+const VOLUME_BUCKETS = 40;
+// Remote history is refetched at most this often per market and range
+const CHART_CACHE_TTL = 5 * MINUTE;
+const chartCache = new Map();
+
+// Splits [start, end] into equal buckets and sums the volume traded in each,
+// from the cumulative volume stored with local snapshots. Remote history
+// carries prices only, so this is empty until we've recorded some refreshes.
+const bucketVolume = (points, start, end, count = VOLUME_BUCKETS) => {
+    const size = (end - start) / count;
+    if (!(size > 0)) return [];
+
+    const buckets = Array.from({ length: count }, (_, i) => ({ t: start + i * size, v: 0 }));
+    let previous = null;
+    points.forEach(point => {
+        if (point.v === undefined) return;
+        if (previous && point.t >= start && point.t <= end) {
+            const index = Math.min(count - 1, Math.floor((point.t - start) / size));
+            buckets[index].v += Math.max(0, point.v - previous.v);
+        }
+        previous = point;
+    });
+    return buckets.some(bucket => bucket.v > 0) ? buckets : [];
+};
+
+const fetchRemoteSeries = async (market, range, fetchHistory, now) => {
+    if (!fetchHistory || !market.tokenId) return null;
+
+    const key = `${market.tokenId}:${range.interval}`;
+    const cached = chartCache.get(key);
+    if (cached && now - cached.at < CHART_CACHE_TTL) return cached.points;
+
+    const points = await fetchHistory(market.tokenId, { interval: range.interval, fidelity: range.fidelity });
+    chartCache.set(key, { at: now, points });
+    return points;
+};
+
+// Price and volume series for one chart range. Prices come from the source's
+// history endpoint when it has any, otherwise from our own snapshots; either
+// way the series ends at the market's current probability.
+export const loadChartSeries = async (market, rangeKey, fetchHistory, now = Date.now()) => {
+    const range = CHART_RANGES[rangeKey];
+    const start = now - range.span;
+    const local = await getPriceHistory(market.id);
+
+    let remote = null;
+    try {
+        remote = await fetchRemoteSeries(market, range, fetchHistory, now);
+    } catch (err) {
+        console.warn(`Failed to load price history for market ${market.id}:`, err);
+    }
+
+    const source = remote?.length ? 'remote' : 'local';
+    const points = (source === 'remote' ? remote : local)
+        .filter(point => point.t >= start)
+        .map(({ t, p }) => ({ t, p }));
+    const latest = points[points.length - 1];
+    if (!latest || now - latest.t > MINUTE) points.push({ t: now, p: market.probability });
+
+    return { points, volume: bucketVolume(local, points[0].t, now), source };
+};
@@ -0,0 +1,140 @@
+import 'fake-indexeddb/auto';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { backfillHistory, computeChanges, getPriceHistory, recordSnapshots } from './priceHistory';
+
+// Runs against an in-memory IndexedDB that lasts the whole file, so each
+// test uses its own market ids
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const NOW = Date.UTC(2026, 9, 19, 12);
+
+const market = (id) => ({ id, tokenId: `token-${id}`, probability: 0.5, volume: 1000 });
+const history = (...prices) => prices.map((p, i) => ({ t: NOW - (prices.length - i) * HOUR, p }));
+
+// A fetchHistory whose requests resolve only when the test says so
+const deferredFetch = () => {
+    const pending = new Map();
+    const fetchHistory = vi.fn(tokenId => new Promise(resolve => pending.set(tokenId, resolve)));
+    return { fetchHistory, resolve: (tokenId, points) => pending.get(tokenId)(points) };
+};
+
+describe('backfillHistory', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('skips markets backfilled in the last day and those without a token', async () => {
+        const fetchHistory = vi.fn(async () => history(0.4));
+        const markets = [market('a1'), market('a2'), { ...market('a3'), tokenId: null }];
+
+        const changes = await backfillHistory(markets, fetchHistory, NOW);
+        expect(Object.keys(changes)).toEqual(['a1', 'a2']);
+        expect(fetchHistory).toHaveBeenCalledTimes(2);
+
+        expect(await backfillHistory(markets, fetchHistory, NOW + HOUR)).toEqual({});
+        expect(fetchHistory).toHaveBeenCalledTimes(2);
+        await backfillHistory(markets, fetchHistory, NOW + 25 * HOUR);
+        expect(fetchHistory).toHaveBeenCalledTimes(4);
+    });
+
+    it('skips a call made while another backfill is running', async () => {
+        const { fetchHistory, resolve } = deferredFetch();
+        const running = backfillHistory([market('b1')], fetchHistory, NOW);
+        await vi.waitFor(() => expect(fetchHistory).toHaveBeenCalledTimes(1));
+
+        expect(await backfillHistory([market('b1'), market('b2')], fetchHistory, NOW)).toEqual({});
+        expect(fetchHistory).toHaveBeenCalledTimes(1);
+
+        resolve('token-b1', history(0.3));
+        expect(Object.keys(await running)).toEqual(['b1']);
+        expect(Object.keys(await backfillHistory([market('b2')], async () => history(0.3), NOW))).toEqual(['b2']);
+    });
+
+    it('saves each market as its history arrives', async () => {
+        const { fetchHistory, resolve } = deferredFetch();
+        const running = backfillHistory([market('c1'), market('c2')], fetchHistory, NOW, 1);
+
+        await vi.waitFor(() => expect(fetchHistory).toHaveBeenCalledTimes(1));
+        resolve('token-c1', history(0.2, 0.3));
+        await vi.waitFor(() => expect(fetchHistory).toHaveBeenCalledTimes(2));
+        expect(await getPriceHistory('c1')).toHaveLength(2);
+
+        resolve('token-c2', history(0.6));
+        await running;
+        expect(await getPriceHistory('c2')).toHaveLength(1);
+    });
+
+    it('keeps snapshots recorded while the history was in flight', async () => {
+        const { fetchHistory, resolve } = deferredFetch();
+        const running = backfillHistory([market('d1')], fetchHistory, NOW);
+        await vi.waitFor(() => expect(fetchHistory).toHaveBeenCalledTimes(1));
+
+        await recordSnapshots([market('d1')], NOW);
+        resolve('token-d1', history(0.1, 0.2));
+        const changes = await running;
+
+        expect((await getPriceHistory('d1')).map(point => point.p)).toEqual([0.1, 0.2, 0.5]);
+        expect(changes.d1['1h']).toBe(30);
+    });
+
+    it('retries a market whose history failed to load', async () => {
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const failing = vi.fn(async () => {
+            throw new Error('offline');
+        });
+        expect(await backfillHistory([market('e1')], failing, NOW)).toEqual({});
+
+        const fetchHistory = vi.fn(async () => history(0.4));
+        expect(Object.keys(await backfillHistory([market('e1')], fetchHistory, NOW))).toEqual(['e1']);
+    });
+});
+
+describe('recordSnapshots', () => {
+    it('appends a snapshot per refresh and derives the changes from the stored series', async () => {
+        await recordSnapshots([{ ...market('f1'), probability: 0.4 }], NOW - HOUR);
+        const changes = await recordSnapshots([{ ...market('f1'), probability: 0.55 }], NOW);
+        expect(changes.f1).toEqual({ '1h': 15, '24h': null, '7d': null });
+        expect(await getPriceHistory('f1')).toEqual([
+            { t: NOW - HOUR, p: 0.4, v: 1000 },
+            { t: NOW, p: 0.55, v: 1000 },
+        ]);
+    });
+
+    it('keeps a backfill that lands while snapshots are being recorded', async () => {
+        await Promise.all([
+            recordSnapshots([market('g1')], NOW),
+            backfillHistory([market('g1')], async () => history(0.1, 0.2), NOW),
+            recordSnapshots([market('g1')], NOW + 60 * 1000),
+        ]);
+        expect((await getPriceHistory('g1')).map(point => point.p)).toEqual([0.1, 0.2, 0.5, 0.5]);
+
+        // Still marked as backfilled
+        const fetchHistory = vi.fn();
+        await backfillHistory([market('g1')], fetchHistory, NOW);
+        expect(fetchHistory).not.toHaveBeenCalled();
+    });
+});
+
+describe('computeChanges', () => {
+    // One point an hour over the past eight days, rising 0.4 points an hour
+    const hourly = Array.from({ length: 8 * 24 + 1 }, (_, i) => ({ t: NOW - (8 * 24 - i) * HOUR, p: 0.1 + i * 0.004 }));
+
+    it('measures each window from the point closest to its start', () => {
+        expect(computeChanges(hourly, NOW)).toEqual({ '1h': 0.4, '24h': 9.6, '7d': 67.2 });
+        // A quarter hour on, the day still starts at the snapshot 24h back, but
+        // the nearest one to the hour's start is too far off to use
+        expect(computeChanges(hourly, NOW + HOUR / 4)).toEqual({ '1h': null, '24h': 9.6, '7d': 67.2 });
+    });
+
+    it('is null for windows the series doesn\'t reach back to', () => {
+        const lastDay = hourly.filter(point => point.t >= NOW - DAY);
+        expect(computeChanges(lastDay, NOW)).toEqual({ '1h': 0.4, '24h': 9.6, '7d': null });
+        expect(computeChanges([], NOW)).toEqual({ '1h': null, '24h': null, '7d': null });
+    });
+
+    it('does not count a point from well inside the window', () => {
+        // The oldest point is 6.5 days old: too far from the 7-day start to stand in for it
+        const points = [{ t: NOW - 6.5 * DAY, p: 0.2 }, { t: NOW, p: 0.5 }];
+        expect(computeChanges(points, NOW)['7d']).toBeNull();
+    });
+});
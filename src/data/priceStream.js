@@ -0,0 +1,113 @@
+import { normalizePriceEvents } from './normalize';
+
+// Live prices over a CLOB market-channel WebSocket (Polymarket's, or the mock
+// server in scripts/mock-price-stream.mjs). Subscribes to a set of outcome
+// token ids, batches incoming prices and hands them over as
+// { [tokenId]: price } at most once per FLUSH_INTERVAL. Dropped connections
+// are retried with exponential backoff; `onStatusChange` reports
+// 'connecting', 'live' or 'offline' so the page can poll in the meantime.
+
+const PING_INTERVAL = 10000; // ms; the channel drops clients that stay quiet
+const FLUSH_INTERVAL = 1000; // ms
+const INITIAL_RETRY_DELAY = 1000; // ms
+const MAX_RETRY_DELAY = 60000; // ms
+
+export const createPriceStream = (url, { onPrices, onStatusChange }) => {
+    let socket = null;
+    // Token ids we want, and those the open socket is subscribed to
+    let assets = new Set();
+    let subscribed = new Set();
+    let pending = {};
+    let retryDelay = INITIAL_RETRY_DELAY;
+    let retryTimer = null;
+    let pingTimer = null;
+    let flushTimer = null;
+    let closed = false;
+
+    const send = (message) => socket.send(typeof message === 'string' ? message : JSON.stringify(message));
+
+    const flush = () => {
+        flushTimer = null;
+        const prices = pending;
+        pending = {};
+        onPrices(prices);
+    };
+
+    const handleMessage = (e) => {
+        if (e.data === 'PONG') return;
+        let payload;
+        try {
+            payload = JSON.parse(e.data);
+        } catch {
+            return;
+        }
+        const prices = normalizePriceEvents(payload).filter(({ tokenId }) => subscribed.has(tokenId));
+        if (!prices.length) return;
+        prices.forEach(({ tokenId, price }) => {
+            pending[tokenId] = price;
+        });
+        if (!flushTimer) flushTimer = setTimeout(flush, FLUSH_INTERVAL);
+    };
+
+    const scheduleReconnect = () => {
+        // Full jitter, so a server restart doesn't get every client back at once
+        retryTimer = setTimeout(() => {
+            retryTimer = null;
+            connect();
+        }, Math.random() * retryDelay);
+        retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY);
+    };
+
+    const connect = () => {
+        // Connects lazily, once there's something to subscribe to
+        if (closed || socket || retryTimer || !assets.size) return;
+        onStatusChange('connecting');
+
+        socket = new WebSocket(url);
+        socket.onopen = () => {
+            retryDelay = INITIAL_RETRY_DELAY;
+            subscribed = new Set(assets);
+            send({ type: 'market', assets_ids: [...subscribed] });
+            pingTimer = setInterval(() => send('PING'), PING_INTERVAL);
+            onStatusChange('live');
+        };
+        socket.onmessage = handleMessage;
+        // Errors are always followed by a close, which does the cleanup
+        socket.onclose = () => {
+            clearInterval(pingTimer);
+            socket = null;
+            subscribed = new Set();
+            if (closed) return;
+            onStatusChange('offline');
+            scheduleReconnect();
+        };
+    };
+
+    return {
+        // Changes the subscription to exactly these token ids
+        setAssets(tokenIds) {
+            const next = new Set(tokenIds.filter(Boolean));
+            assets = next;
+            if (!socket) {
+                connect();
+                return;
+            }
+            if (socket.readyState !== WebSocket.OPEN) return; // subscribes to `assets` on open
+
+            const added = [...next].filter(id => !subscribed.has(id));
+            const removed = [...subscribed].filter(id => !next.has(id));
+            if (added.length) send({ operation: 'subscribe', assets_ids: added });
+            if (removed.length) send({ operation: 'unsubscribe', assets_ids: removed });
+            subscribed = new Set(next);
+        },
+
+        close() {
+            closed = true;
+            clearTimeout(retryTimer);
+            clearTimeout(flushTimer);
+            clearInterval(pingTimer);
+            if (socket) socket.close();
+            socket = null;
+        },
+    };
+};
@@ -0,0 +1,216 @@
+import { spawn } from 'node:child_process';
+import { createServer } from 'node:net';
+import process from 'node:process';
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createPriceStream } from './priceStream';
+import fixtureTicks from './fixtures/price-ticks.json';
+
+// Stands in for the browser WebSocket; tests drive its events by hand
+class FakeSocket {
+    static CONNECTING = 0;
+    static OPEN = 1;
+    static instances = [];
+
+    constructor(url) {
+        this.url = url;
+        this.readyState = FakeSocket.CONNECTING;
+        this.sent = [];
+        FakeSocket.instances.push(this);
+    }
+
+    send(message) {
+        this.sent.push(message);
+    }
+
+    close() {
+        this.readyState = 3;
+    }
+
+    open() {
+        this.readyState = FakeSocket.OPEN;
+        this.onopen();
+    }
+
+    drop() {
+        this.readyState = 3;
+        this.onclose();
+    }
+
+    receive(event) {
+        this.onmessage({ data: JSON.stringify(event) });
+    }
+}
+
+const lastSocket = () => FakeSocket.instances[FakeSocket.instances.length - 1];
+const trade = (assetId, price) => ({ event_type: 'last_trade_price', asset_id: assetId, price: String(price) });
+
+describe('createPriceStream', () => {
+    let onPrices;
+    let onStatusChange;
+    let stream;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        vi.stubGlobal('WebSocket', FakeSocket);
+        // Pins the jitter at half of each retry delay
+        vi.spyOn(Math, 'random').mockReturnValue(0.5);
+        FakeSocket.instances = [];
+        onPrices = vi.fn();
+        onStatusChange = vi.fn();
+        stream = createPriceStream('ws://stream.test', { onPrices, onStatusChange });
+    });
+
+    afterEach(() => {
+        stream.close();
+        vi.useRealTimers();
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+    });
+
+    it('connects once there are assets and subscribes to them on open', () => {
+        stream.setAssets([]);
+        expect(FakeSocket.instances).toHaveLength(0);
+
+        stream.setAssets(['a', 'b', null]);
+        expect(onStatusChange).toHaveBeenLastCalledWith('connecting');
+        lastSocket().open();
+        expect(onStatusChange).toHaveBeenLastCalledWith('live');
+        expect(JSON.parse(lastSocket().sent[0])).toEqual({ type: 'market', assets_ids: ['a', 'b'] });
+    });
+
+    it('batches prices for subscribed tokens into one flush a second', () => {
+        stream.setAssets(['a', 'b']);
+        lastSocket().open();
+        lastSocket().receive(trade('a', 0.4));
+        lastSocket().receive(trade('a', 0.45));
+        lastSocket().receive(trade('b', 0.7));
+        lastSocket().receive(trade('other', 0.1));
+        lastSocket().onmessage({ data: 'PONG' });
+        lastSocket().onmessage({ data: 'not json' });
+
+        vi.advanceTimersByTime(999);
+        expect(onPrices).not.toHaveBeenCalled();
+        vi.advanceTimersByTime(1);
+        expect(onPrices).toHaveBeenCalledExactlyOnceWith({ a: 0.45, b: 0.7 });
+    });
+
+    it('sends only the subscription changes while open', () => {
+        stream.setAssets(['a', 'b']);
+        lastSocket().open();
+        stream.setAssets(['b', 'c']);
+        expect(lastSocket().sent.slice(1).map(message => JSON.parse(message))).toEqual([
+            { operation: 'subscribe', assets_ids: ['c'] },
+            { operation: 'unsubscribe', assets_ids: ['a'] },
+        ]);
+
+        lastSocket().receive(trade('a', 0.4));
+        lastSocket().receive(trade('c', 0.6));
+        vi.advanceTimersByTime(1000);
+        expect(onPrices).toHaveBeenCalledExactlyOnceWith({ c: 0.6 });
+    });
+
+    it('pings to keep the connection open', () => {
+        stream.setAssets(['a']);
+        lastSocket().open();
+        vi.advanceTimersByTime(20000);
+        expect(lastSocket().sent.slice(1)).toEqual(['PING', 'PING']);
+    });
+
+    it('retries with doubling delays, capped at a minute', () => {
+        stream.setAssets(['a']);
+        const delays = [1000, 2000, 4000, 8000, 16000, 32000, 60000, 60000].map(delay => delay * 0.5);
+        delays.forEach((delay, i) => {
+            lastSocket().drop();
+            expect(onStatusChange).toHaveBeenLastCalledWith('offline');
+            vi.advanceTimersByTime(delay - 1);
+            expect(FakeSocket.instances).toHaveLength(i + 1);
+            vi.advanceTimersByTime(1);
+            expect(FakeSocket.instances).toHaveLength(i + 2);
+        });
+    });
+
+    it('resets the delay once a connection opens and resubscribes to the current assets', () => {
+        stream.setAssets(['a']);
+        lastSocket().drop();
+        vi.advanceTimersByTime(500);
+        lastSocket().drop();
+        stream.setAssets(['b']);
+        vi.advanceTimersByTime(1000);
+        expect(FakeSocket.instances).toHaveLength(3);
+
+        lastSocket().open();
+        expect(JSON.parse(lastSocket().sent[0])).toEqual({ type: 'market', assets_ids: ['b'] });
+        lastSocket().drop();
+        vi.advanceTimersByTime(500);
+        expect(FakeSocket.instances).toHaveLength(4);
+    });
+
+    it('stops reconnecting and flushing once closed', () => {
+        stream.setAssets(['a']);
+        lastSocket().open();
+        lastSocket().receive(trade('a', 0.4));
+        const socket = lastSocket();
+        stream.close();
+        socket.drop();
+        vi.advanceTimersByTime(120000);
+        expect(FakeSocket.instances).toHaveLength(1);
+        expect(onPrices).not.toHaveBeenCalled();
+        expect(onStatusChange).not.toHaveBeenCalledWith('offline');
+    });
+});
+
+// Against the real mock server, replaying fast and dropping every client
+// twice a second. Needs a WebSocket client: built into Node 22, and behind
+// --experimental-websocket on Node 20.
+describe.skipIf(typeof WebSocket === 'undefined')('createPriceStream with the mock server', () => {
+    let server;
+    let port;
+
+    const freePort = () => new Promise(resolve => {
+        const probe = createServer().listen(0, () => {
+            const { port: free } = probe.address();
+            probe.close(() => resolve(free));
+        });
+    });
+
+    beforeAll(async () => {
+        port = await freePort();
+        server = spawn(process.execPath, ['scripts/mock-price-stream.mjs', '--port', String(port), '--speed', '50', '--drop-every', '0.5']);
+        await new Promise((resolve, reject) => {
+            server.stdout.on('data', chunk => {
+                if (String(chunk).includes('Mock price stream on')) resolve();
+            });
+            server.on('exit', code => reject(new Error(`Mock price stream exited with ${code}`)));
+        });
+    });
+
+    afterAll(() => {
+        server?.kill();
+    });
+
+    it('receives prices, reconnects after each drop and keeps receiving', async () => {
+        const tokenIds = [...new Set(fixtureTicks.slice(0, 20).flatMap(({ event }) => (
+            event.price_changes ? event.price_changes.map(change => change.asset_id) : [event.asset_id]
+        )))];
+        const statuses = [];
+        const batches = [];
+        const stream = createPriceStream(`ws://localhost:${port}`, {
+            onPrices: prices => batches.push({ prices, opens: statuses.filter(status => status === 'live').length }),
+            onStatusChange: status => statuses.push(status),
+        });
+        stream.setAssets(tokenIds);
+
+        await vi.waitUntil(() => batches.some(batch => batch.opens >= 2), { timeout: 8000, interval: 50 });
+        stream.close();
+
+        expect(statuses.slice(0, 2)).toEqual(['connecting', 'live']);
+        expect(statuses).toContain('offline');
+        batches.forEach(({ prices }) => {
+            Object.entries(prices).forEach(([tokenId, price]) => {
+                expect(tokenIds).toContain(tokenId);
+                expect(price).toBeGreaterThan(0);
+                expect(price).toBeLessThan(1);
+            });
+        });
+    }, 10000);
+});
@@ -0,0 +1,133 @@
+import { marketRows, normalizeMarketsResponse, normalizeHistoryResponse } from './normalize';
+
+// Market data sources. Each source exposes:
+//   name                         - shown in logs
+//   fetchMarkets()               - resolves to every open market above MIN_LIQUIDITY, normalized
+//   fetchMarket(slugOrId)        - resolves to one normalized market, or null if unknown
+//   fetchHistory(tokenId, range) - resolves to [{ t, p }], or null when the source has no history;
+//                                  `range` is an optional { interval, fidelity } CLOB history query
+//   streamUrl                    - CLOB market-channel WebSocket for live prices, or null to poll only
+// The active source is chosen with VITE_MARKET_SOURCE (netlify | direct | fixture).
+
+const env = import.meta.env;
+
+// Markets with less liquidity than this (in USD) are left out; set with VITE_MIN_LIQUIDITY
+export const MIN_LIQUIDITY = env.VITE_MIN_LIQUIDITY ? Number(env.VITE_MIN_LIQUIDITY) : 1000;
+// Most liquid first, so a capped or interrupted listing still has the markets that matter
+const MARKET_QUERY = { closed: 'false', liquidity_num_min: String(MIN_LIQUIDITY), order: 'liquidityNum', ascending: 'false' };
+const PAGE_SIZE = 100;
+// A guard against paging forever rather than a real limit
+const MAX_PAGES = 50;
+const HISTORY_QUERY = { interval: '1w', fidelity: '10' };
+const STREAM_URL = 'wss://ws-subscriptions-clob.polymarket.com/ws/market';
+
+// VITE_PRICE_STREAM_URL overrides the default stream; "off" disables streaming
+const streamUrlFor = (defaultUrl) => {
+    const configured = env.VITE_PRICE_STREAM_URL || defaultUrl;
+    return configured && configured !== 'off' ? configured : null;
+};
+
+const fetchJson = async (url) => {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`API Error: ${response.status} ${response.statusText}`);
+    }
+    return response.json();
+};
+
+const withQuery = (url, query) => `${url}${url.includes('?') ? '&' : '?'}${new URLSearchParams(query)}`;
+
+// Pages through `fetchPage(offset, limit)` until a short page. Listings can
+// shift while we page (a market moving up pushes another onto the next
+// page), so markets seen twice are dropped by id.
+const fetchAllPages = async (fetchPage) => {
+    const byId = new Map();
+    for (let page = 0; ; page++) {
+        const rows = marketRows(await fetchPage(page * PAGE_SIZE, PAGE_SIZE));
+        normalizeMarketsResponse(rows).forEach(market => {
+            if (!byId.has(market.id)) byId.set(market.id, market);
+        });
+        if (rows.length < PAGE_SIZE) break;
+        if (page + 1 === MAX_PAGES) {
+            console.warn(`Stopped listing markets after ${MAX_PAGES} pages; the least liquid ones are left out`);
+            break;
+        }
+    }
+    return [...byId.values()];
+};
+
+// Fetches Gamma markets and CLOB history from the given base URLs
+const createHttpSource = (name, marketsUrl, historyUrl) => ({
+    name,
+    streamUrl: streamUrlFor(STREAM_URL),
+    fetchMarkets: () => fetchAllPages((offset, limit) => fetchJson(withQuery(marketsUrl, { ...MARKET_QUERY, limit, offset }))),
+    // Market links fall back to the id for markets without a slug (see marketPath)
+    fetchMarket: async (slugOrId) => {
+        const [bySlug] = normalizeMarketsResponse(await fetchJson(withQuery(marketsUrl, { slug: slugOrId })));
+        if (bySlug) return bySlug;
+        const [byId] = normalizeMarketsResponse(await fetchJson(withQuery(marketsUrl, { id: slugOrId })));
+        return byId || null;
+    },
+    fetchHistory: async (tokenId, range = HISTORY_QUERY) => {
+        if (!historyUrl) return null;
+        const payload = await fetchJson(withQuery(historyUrl, { market: tokenId, ...range }));
+        return normalizeHistoryResponse(payload);
+    },
+});
+
+// Same-origin proxy defined by the redirects in netlify.toml (and the Vite dev proxy)
+export const createNetlifySource = () => createHttpSource(
+    'netlify',
+    '/api/polymarket',
+    env.VITE_HISTORY_URL || '/api/prices-history',
+);
+
+// Talks to the APIs directly; only works where CORS allows it, or through a proxy URL
+export const createDirectSource = ({
+    marketsUrl = env.VITE_MARKET_URL || 'https://gamma-api.polymarket.com/markets',
+    historyUrl = env.VITE_HISTORY_URL,
+} = {}) => createHttpSource('direct', marketsUrl, historyUrl);
+
+// Serves recorded responses for offline development. Fixtures are loaded
+// lazily so they stay out of the production bundle. Only streams when
+// VITE_PRICE_STREAM_URL points at the mock stream server.
+export const createFixtureSource = ({
+    loadMarkets = () => import('./fixtures/markets.json'),
+    loadHistory = () => import('./fixtures/prices-history.json'),
+} = {}) => ({
+    name: 'fixture',
+    streamUrl: streamUrlFor(null),
+    fetchMarkets: async () => {
+        const { default: payload } = await loadMarkets();
+        // Paged like the live listing so the same path runs offline
+        const rows = marketRows(payload).filter(row => Number(row.liquidityNum ?? row.liquidity) >= MIN_LIQUIDITY);
+        return fetchAllPages(async (offset, limit) => rows.slice(offset, offset + limit));
+    },
+    fetchMarket: async (slugOrId) => {
+        const { default: payload } = await loadMarkets();
+        return normalizeMarketsResponse(payload).find(market => market.slug === slugOrId || market.id === slugOrId) || null;
+    },
+    fetchHistory: async (tokenId) => {
+        const { default: recorded } = await loadHistory();
+        if (!recorded[tokenId]) return null;
+        // Shift the recording so it ends now, otherwise it would age out of the store
+        const points = normalizeHistoryResponse(recorded[tokenId]);
+        if (!points.length) return points;
+        const offset = Date.now() - points[points.length - 1].t;
+        return points.map(point => ({ ...point, t: point.t + offset }));
+    },
+});
+
+const SOURCES = {
+    netlify: createNetlifySource,
+    direct: createDirectSource,
+    fixture: createFixtureSource,
+};
+
+export const createMarketSource = (name = env.VITE_MARKET_SOURCE || 'netlify') => {
+    const factory = SOURCES[name];
+    if (!factory) {
+        throw new Error(`Unknown market source "${name}". Expected one of: ${Object.keys(SOURCES).join(', ')}`);
+    }
+    return factory();
+};
@@ -0,0 +1,96 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { createDirectSource, createFixtureSource } from './sources';
+
+const gammaMarket = {
+    id: '512345',
+    question: 'Will it rain tomorrow?',
+    outcomes: '["Yes", "No"]',
+    outcomePrices: '["0.62", "0.38"]',
+    clobTokenIds: '["111", "222"]',
+};
+
+// Answers Gamma `/markets` queries from a list of rows
+const stubGamma = (rows) => {
+    const fetch = vi.fn(async (url) => {
+        const query = new URL(url).searchParams;
+        const matches = rows.filter(row => (query.has('slug') ? row.slug === query.get('slug') : row.id === query.get('id')));
+        return { ok: true, json: async () => matches };
+    });
+    vi.stubGlobal('fetch', fetch);
+    return fetch;
+};
+
+describe('createHttpSource fetchMarket', () => {
+    const source = createDirectSource({ marketsUrl: 'https://gamma.test/markets' });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('looks a market up by slug', async () => {
+        const fetch = stubGamma([{ ...gammaMarket, slug: 'will-it-rain' }]);
+        expect((await source.fetchMarket('will-it-rain')).id).toBe('512345');
+        expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('falls back to the id for markets without a slug', async () => {
+        const fetch = stubGamma([gammaMarket]);
+        expect((await source.fetchMarket('512345')).title).toBe('Will it rain tomorrow?');
+        expect(fetch.mock.calls.map(([url]) => url)).toEqual([
+            'https://gamma.test/markets?slug=512345',
+            'https://gamma.test/markets?id=512345',
+        ]);
+    });
+
+    it('resolves to null for an unknown market', async () => {
+        stubGamma([gammaMarket]);
+        expect(await source.fetchMarket('no-such-market')).toBeNull();
+    });
+});
+
+describe('createHttpSource fetchMarkets', () => {
+    const source = createDirectSource({ marketsUrl: 'https://gamma.test/markets' });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+    });
+
+    // Answers each page with `limit` rows, `total` in all
+    const stubListing = (total) => {
+        const fetch = vi.fn(async (url) => {
+            const query = new URL(url).searchParams;
+            const offset = Number(query.get('offset'));
+            const count = Math.max(0, Math.min(Number(query.get('limit')), total - offset));
+            const rows = Array.from({ length: count }, (_, i) => ({ ...gammaMarket, id: String(offset + i), slug: `m-${offset + i}` }));
+            return { ok: true, json: async () => rows };
+        });
+        vi.stubGlobal('fetch', fetch);
+        return fetch;
+    };
+
+    it('pages until a short page', async () => {
+        const fetch = stubListing(250);
+        expect(await source.fetchMarkets()).toHaveLength(250);
+        expect(fetch).toHaveBeenCalledTimes(3);
+    });
+
+    it('warns when it stops at the page cap', async () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const fetch = stubListing(Infinity);
+        expect(await source.fetchMarkets()).toHaveLength(5000);
+        expect(fetch).toHaveBeenCalledTimes(50);
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining('after 50 pages'));
+    });
+});
+
+describe('createFixtureSource fetchMarket', () => {
+    const source = createFixtureSource();
+
+    it('finds fixture markets by slug or id', async () => {
+        const byId = await source.fetchMarket('500685');
+        expect(byId.title).toBe('Will Bitcoin reach $150,000 by December 31?');
+        expect((await source.fetchMarket(byId.slug)).id).toBe('500685');
+        expect(await source.fetchMarket('no-such-market')).toBeNull();
+    });
+});
@@ -0,0 +1,34 @@
+// Manual cross-venue links, persisted in localStorage. They take precedence
+// over fuzzy matching (see matching.js):
+//   { [marketId]: { [venue]: venueMarketId | null } }
+// where null marks "no match on this venue". A venue missing from an entry
+// is matched automatically.
+
+const STORAGE_KEY = 'polyfutures:venue-links';
+
+export const loadVenueLinks = () => {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (err) {
+        console.warn('Ignoring stored venue links:', err);
+        return {};
+    }
+};
+
+// Storage can be full or unavailable; the links then only last the session
+export const saveVenueLinks = (links) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(links));
+    } catch (err) {
+        console.warn('Failed to save venue links:', err);
+    }
+};
+
+// `venueMarketId` undefined drops the link, returning the market to automatic matching
+export const setVenueLink = (links, marketId, venue, venueMarketId) => {
+    const { [venue]: _previous, ...others } = links[marketId] || {};
+    const entry = venueMarketId === undefined ? others : { ...others, [venue]: venueMarketId };
+    if (Object.keys(entry).length) return { ...links, [marketId]: entry };
+    const { [marketId]: _removed, ...rest } = links;
+    return rest;
+};
@@ -0,0 +1,40 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { loadVenueLinks, saveVenueLinks, setVenueLink } from './venueLinks';
+
+// A localStorage whose writes fail, as when it is full or blocked
+const failingStorage = () => ({
+    getItem: vi.fn(() => null),
+    setItem: vi.fn(() => {
+        throw new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+    }),
+});
+
+describe('venue link storage', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+    });
+
+    it('warns instead of throwing when the links can\'t be saved', () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        vi.stubGlobal('localStorage', failingStorage());
+        expect(() => saveVenueLinks({ 501781: { kalshi: null } })).not.toThrow();
+        expect(warn).toHaveBeenCalledWith('Failed to save venue links:', expect.any(DOMException));
+    });
+
+    it('ignores stored links that aren\'t JSON', () => {
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        vi.stubGlobal('localStorage', { getItem: () => '{not json' });
+        expect(loadVenueLinks()).toEqual({});
+    });
+});
+
+describe('setVenueLink', () => {
+    it('links, clears and unlinks a venue market', () => {
+        const linked = setVenueLink({}, 'm1', 'kalshi', 'kalshi:A');
+        expect(linked).toEqual({ m1: { kalshi: 'kalshi:A' } });
+        const cleared = setVenueLink(linked, 'm1', 'manifold', null);
+        expect(cleared).toEqual({ m1: { kalshi: 'kalshi:A', manifold: null } });
+        expect(setVenueLink(setVenueLink(cleared, 'm1', 'kalshi'), 'm1', 'manifold')).toEqual({});
+    });
+});
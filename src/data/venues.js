@@ -0,0 +1,163 @@
+import { summarizeOutcomes, toNumber } from './normalize';
+
+// Other prediction-market venues, mapped onto the same market model as
+// Polymarket (see normalize.js) so they can be matched and compared. Only
+// Yes/No markets are kept. Each venue exposes:
+//   name, label          - id and display name
+//   note                 - caveat shown next to its odds, or null
+//   fetchMarkets()       - resolves to normalized open markets
+// Which venues load is set with VITE_VENUES (default "kalshi,manifold", or
+// "none"); they follow VITE_MARKET_SOURCE for proxy, direct or fixture access.
+
+const env = import.meta.env;
+
+// A guard against paging forever rather than a real limit
+const MAX_PAGES = 5;
+
+const fetchJson = async (url) => {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`API Error: ${response.status} ${response.statusText}`);
+    }
+    return response.json();
+};
+
+const withQuery = (url, query) => `${url}${url.includes('?') ? '&' : '?'}${new URLSearchParams(query)}`;
+
+// The fields every market carries; venue adapters fill in the rest
+const binaryMarket = ({ venue, id, slug, title, probability, volume, liquidity, traders, url }) => ({
+    id: `${venue}:${id}`,
+    venue,
+    slug,
+    title,
+    description: '',
+    ...summarizeOutcomes([
+        { name: 'Yes', price: probability, tokenId: null },
+        { name: 'No', price: 1 - probability, tokenId: null },
+    ]),
+    volume,
+    liquidity,
+    traders,
+    tags: [],
+    event: null,
+    groupTitle: null,
+    url,
+    closed: false,
+    changes: { '1h': null, '24h': null, '7d': null },
+    trend: 'flat',
+    change: null,
+});
+
+// --- Kalshi ---
+
+// Kalshi quotes in cents. Priced at the bid/ask midpoint, or the last trade
+// when one side of the book is empty.
+const kalshiProbability = (market) => {
+    const bid = toNumber(market.yes_bid);
+    const ask = toNumber(market.yes_ask);
+    return (bid > 0 && ask > 0 ? (bid + ask) / 2 : toNumber(market.last_price)) / 100;
+};
+
+// Markets in a multi-market event can share a title, in which case the Yes
+// side (`yes_sub_title`) is what tells them apart
+export const normalizeKalshiMarket = (market, isTitleShared = false) => binaryMarket({
+    venue: 'kalshi',
+    id: market.ticker,
+    slug: market.ticker.toLowerCase(),
+    title: isTitleShared && market.yes_sub_title ? `${market.title} (${market.yes_sub_title})` : market.title,
+    probability: kalshiProbability(market),
+    // Contracts traded; each pays $1, so this is close to dollar volume
+    volume: toNumber(market.volume),
+    liquidity: toNumber(market.liquidity) / 100,
+    traders: 0, // not published
+    url: `https://kalshi.com/markets/${market.event_ticker.toLowerCase()}`,
+});
+
+export const normalizeKalshiResponse = (payload) => {
+    const markets = (payload?.markets || [])
+        .filter(market => market.ticker && market.title && market.market_type !== 'scalar' && toNumber(market.volume) > 0);
+    const titleCounts = new Map();
+    markets.forEach(market => titleCounts.set(market.title, (titleCounts.get(market.title) || 0) + 1));
+    return markets.map(market => normalizeKalshiMarket(market, titleCounts.get(market.title) > 1));
+};
+
+// --- Manifold ---
+
+export const normalizeManifoldMarket = (market) => binaryMarket({
+    venue: 'manifold',
+    id: market.id,
+    slug: market.slug,
+    title: market.question,
+    probability: toNumber(market.probability),
+    volume: toNumber(market.volume),
+    liquidity: toNumber(market.totalLiquidity),
+    traders: toNumber(market.uniqueBettorCount),
+    url: market.url,
+});
+
+export const normalizeManifoldResponse = (payload) => (Array.isArray(payload) ? payload : [])
+    .filter(market => market.outcomeType === 'BINARY' && !market.isResolved && market.question)
+    .map(normalizeManifoldMarket);
+
+// --- Venues ---
+
+const KALSHI_QUERY = { status: 'open', limit: '1000' };
+const MANIFOLD_QUERY = { term: '', filter: 'open', contractType: 'BINARY', sort: 'liquidity', limit: '1000' };
+
+const createKalshi = (url, loadFixture) => ({
+    name: 'kalshi',
+    label: 'Kalshi',
+    note: null,
+    fetchMarkets: async () => {
+        if (loadFixture) return normalizeKalshiResponse((await loadFixture()).default);
+
+        // Cursor-paged; an empty cursor marks the last page
+        const markets = [];
+        let cursor = '';
+        for (let page = 0; page < MAX_PAGES; page++) {
+            const payload = await fetchJson(withQuery(url, cursor ? { ...KALSHI_QUERY, cursor } : KALSHI_QUERY));
+            markets.push(...normalizeKalshiResponse(payload));
+            cursor = payload.cursor;
+            if (!cursor) break;
+        }
+        return markets;
+    },
+});
+
+const createManifold = (url, loadFixture) => ({
+    name: 'manifold',
+    label: 'Manifold',
+    note: 'play money',
+    fetchMarkets: async () => normalizeManifoldResponse(
+        loadFixture ? (await loadFixture()).default : await fetchJson(withQuery(url, MANIFOLD_QUERY)),
+    ),
+});
+
+// Endpoints per market source; fixtures are loaded lazily to stay out of the production bundle
+const VENUE_ACCESS = {
+    netlify: {
+        kalshi: () => createKalshi('/api/kalshi'),
+        manifold: () => createManifold('/api/manifold'),
+    },
+    direct: {
+        kalshi: () => createKalshi('https://api.elections.kalshi.com/trade-api/v2/markets'),
+        manifold: () => createManifold('https://api.manifold.markets/v0/search-markets'),
+    },
+    fixture: {
+        kalshi: () => createKalshi(null, () => import('./fixtures/kalshi-markets.json')),
+        manifold: () => createManifold(null, () => import('./fixtures/manifold-markets.json')),
+    },
+};
+
+export const createVenues = (
+    names = env.VITE_VENUES ?? 'kalshi,manifold',
+    source = env.VITE_MARKET_SOURCE || 'netlify',
+) => {
+    const access = VENUE_ACCESS[source] || VENUE_ACCESS.netlify;
+    return names.split(',').map(name => name.trim()).filter(name => name && name !== 'none').map(name => {
+        if (!access[name]) {
+            throw new Error(`Unknown venue "${name}". Expected some of: ${Object.keys(access).join(', ')}`);
+        }
+        return access[name]();
+    });
+};
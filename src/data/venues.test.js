@@ -0,0 +1,156 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { createVenues, normalizeKalshiResponse, normalizeManifoldResponse } from './venues';
+import fixtureKalshi from './fixtures/kalshi-markets.json';
+
+const kalshiMarket = {
+    ticker: 'KXBTCMAXY-26DEC31-150000',
+    event_ticker: 'KXBTCMAXY-26DEC31',
+    title: 'Will Bitcoin reach $150,000 by Dec 31, 2026?',
+    yes_sub_title: '$150,000 or above',
+    market_type: 'binary',
+    yes_bid: 30,
+    yes_ask: 33,
+    last_price: 31,
+    volume: 412880,
+    liquidity: 18450000,
+};
+
+describe('normalizeKalshiResponse', () => {
+    it('maps a market onto the common model', () => {
+        const [market] = normalizeKalshiResponse({ markets: [kalshiMarket] });
+        expect(market).toMatchObject({
+            id: 'kalshi:KXBTCMAXY-26DEC31-150000',
+            venue: 'kalshi',
+            slug: 'kxbtcmaxy-26dec31-150000',
+            title: 'Will Bitcoin reach $150,000 by Dec 31, 2026?',
+            isMultiOutcome: false,
+            volume: 412880,
+            liquidity: 184500,
+            traders: 0,
+            url: 'https://kalshi.com/markets/kxbtcmaxy-26dec31',
+        });
+        // Cents, priced at the bid/ask midpoint
+        expect(market.probability).toBeCloseTo(0.315);
+        expect(market.outcomes.map(outcome => outcome.name)).toEqual(['Yes', 'No']);
+        expect(market.outcomes[1].price).toBeCloseTo(0.685);
+    });
+
+    it('prices at the last trade when one side of the book is empty', () => {
+        const [market] = normalizeKalshiResponse({ markets: [{ ...kalshiMarket, yes_bid: 0 }] });
+        expect(market.probability).toBeCloseTo(0.31);
+    });
+
+    it('tells markets that share a title apart by their Yes side', () => {
+        const markets = normalizeKalshiResponse({
+            markets: [
+                { ...kalshiMarket, ticker: 'A', title: 'Fed decision in December?', yes_sub_title: 'Cut 25bps' },
+                { ...kalshiMarket, ticker: 'B', title: 'Fed decision in December?', yes_sub_title: 'Hold' },
+                { ...kalshiMarket, ticker: 'C', title: 'US recession in 2026?', yes_sub_title: 'Recession' },
+            ],
+        });
+        expect(markets.map(market => market.title)).toEqual([
+            'Fed decision in December? (Cut 25bps)',
+            'Fed decision in December? (Hold)',
+            'US recession in 2026?',
+        ]);
+    });
+
+    it('drops scalar, untraded and incomplete markets', () => {
+        expect(normalizeKalshiResponse({
+            markets: [
+                { ...kalshiMarket, market_type: 'scalar' },
+                { ...kalshiMarket, volume: 0 },
+                { ...kalshiMarket, ticker: '' },
+                { ...kalshiMarket, title: '' },
+            ],
+        })).toEqual([]);
+        expect(normalizeKalshiResponse(null)).toEqual([]);
+    });
+
+    it('normalizes the fixture', () => {
+        const markets = normalizeKalshiResponse(fixtureKalshi);
+        expect(markets).toHaveLength(fixtureKalshi.markets.length);
+        markets.forEach(market => {
+            expect(market.probability).toBeGreaterThan(0);
+            expect(market.probability).toBeLessThan(1);
+        });
+    });
+});
+
+describe('normalizeManifoldResponse', () => {
+    const manifoldMarket = {
+        id: 'q9TzGx1cPa',
+        slug: 'will-openai-release-gpt6',
+        question: 'Will OpenAI release GPT-6 before July 2026?',
+        outcomeType: 'BINARY',
+        isResolved: false,
+        probability: 0.62,
+        volume: 48211.5,
+        totalLiquidity: 2500,
+        uniqueBettorCount: 312,
+        url: 'https://manifold.markets/someone/will-openai-release-gpt6',
+    };
+
+    it('maps a market onto the common model', () => {
+        const [market] = normalizeManifoldResponse([manifoldMarket]);
+        expect(market).toMatchObject({
+            id: 'manifold:q9TzGx1cPa',
+            venue: 'manifold',
+            title: 'Will OpenAI release GPT-6 before July 2026?',
+            probability: 0.62,
+            odds: 62,
+            volume: 48211.5,
+            liquidity: 2500,
+            traders: 312,
+            url: 'https://manifold.markets/someone/will-openai-release-gpt6',
+        });
+    });
+
+    it('keeps only open binary markets', () => {
+        expect(normalizeManifoldResponse([
+            { ...manifoldMarket, outcomeType: 'MULTIPLE_CHOICE' },
+            { ...manifoldMarket, isResolved: true },
+            { ...manifoldMarket, question: '' },
+        ])).toEqual([]);
+        expect(normalizeManifoldResponse({ error: 'rate limited' })).toEqual([]);
+    });
+});
+
+describe('createVenues', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('loads the fixtures for the fixture source', async () => {
+        const venues = createVenues('kalshi, manifold', 'fixture');
+        expect(venues.map(venue => venue.name)).toEqual(['kalshi', 'manifold']);
+        const [kalshi, manifold] = await Promise.all(venues.map(venue => venue.fetchMarkets()));
+        expect(kalshi).toHaveLength(12);
+        expect(manifold).toHaveLength(9);
+    });
+
+    it('loads no venues for "none" and rejects unknown ones', () => {
+        expect(createVenues('none', 'fixture')).toEqual([]);
+        expect(() => createVenues('kalshi,predictit', 'fixture')).toThrow('Unknown venue "predictit"');
+    });
+
+    it('follows Kalshi\'s cursor across pages', async () => {
+        const pages = [
+            { markets: [{ ...kalshiMarket, ticker: 'A' }], cursor: 'next' },
+            { markets: [{ ...kalshiMarket, ticker: 'B' }], cursor: '' },
+        ];
+        const fetch = vi.fn(async () => ({ ok: true, json: async () => pages.shift() }));
+        vi.stubGlobal('fetch', fetch);
+
+        const [kalshi] = createVenues('kalshi', 'netlify');
+        expect((await kalshi.fetchMarkets()).map(market => market.id)).toEqual(['kalshi:A', 'kalshi:B']);
+        expect(fetch.mock.calls[0][0]).toBe('/api/kalshi?status=open&limit=1000');
+        expect(fetch.mock.calls[1][0]).toBe('/api/kalshi?status=open&limit=1000&cursor=next');
+    });
+
+    it('rejects when a venue\'s API fails', async () => {
+        vi.stubGlobal('fetch', vi.fn(async () => ({ ok: false, status: 503, statusText: 'Service Unavailable' })));
+        const [manifold] = createVenues('manifold', 'direct');
+        await expect(manifold.fetchMarkets()).rejects.toThrow('API Error: 503 Service Unavailable');
+    });
+});
@@ -0,0 +1,107 @@
+// Watched markets and their alert rules, persisted in localStorage.
+// Entries keep the market's title and slug so the watchlist still reads
+// well when a market drops out of the current data.
+//
+// Alert rules compare a market with how it stood at the last refresh
+// (streamed prices are checked against that refresh too):
+//   cross       - odds cross `threshold`% in either direction (Yes/No markets
+//                 only: a multi-outcome market's odds follow whichever outcome
+//                 leads, so they can jump across a line without crossing it)
+//   move        - odds move more than `threshold` points since the last refresh
+//   volumeSpike - volume grows more than `threshold`% since the last refresh
+
+const STORAGE_KEY = 'polyfutures:watchlist';
+
+export const ALERT_TYPES = {
+    cross: { label: 'Odds cross', unit: '%', defaultThreshold: 50, yesNoOnly: true },
+    move: { label: 'Odds move more than', unit: 'pts', defaultThreshold: 5 },
+    volumeSpike: { label: 'Volume jumps more than', unit: '%', defaultThreshold: 25 },
+};
+
+export const loadWatchlist = () => {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (err) {
+        console.warn('Ignoring stored watchlist:', err);
+        return {};
+    }
+};
+
+export const saveWatchlist = (watchlist) => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(watchlist));
+};
+
+const isYesNo = (market) => !market.isMultiOutcome && !market.isCluster;
+
+// The alert types that make sense for a market, in ALERT_TYPES order
+export const alertTypesFor = (market) => Object.keys(ALERT_TYPES).filter(type => !ALERT_TYPES[type].yesNoOnly || isYesNo(market));
+
+export const createWatchEntry = (market) => ({
+    id: market.id,
+    title: market.title,
+    slug: market.slug,
+    addedAt: Date.now(),
+    rules: [],
+});
+
+// Rules can change type after they're created, so the id doesn't name one
+export const createAlertRule = (type) => ({
+    id: crypto.randomUUID(),
+    type,
+    threshold: ALERT_TYPES[type].defaultThreshold,
+});
+
+// Watchlist updates, used by useWatchlist
+export const toggleWatchEntry = (watchlist, market) => {
+    if (watchlist[market.id]) {
+        const { [market.id]: _removed, ...rest } = watchlist;
+        return rest;
+    }
+    return { ...watchlist, [market.id]: createWatchEntry(market) };
+};
+
+export const setWatchRules = (watchlist, marketId, rules) => (
+    watchlist[marketId] ? { ...watchlist, [marketId]: { ...watchlist[marketId], rules } } : watchlist
+);
+
+const formatPoints = (value) => `${value > 0 ? '+' : ''}${value.toFixed(1)} pts`;
+
+const checkRule = (rule, previous, current) => {
+    const before = previous.probability * 100;
+    const after = current.probability * 100;
+
+    switch (rule.type) {
+        case 'cross':
+            if (!isYesNo(current)) return null;
+            if (before < rule.threshold && after >= rule.threshold) return `odds crossed above ${rule.threshold}% (now ${current.odds}%)`;
+            if (before > rule.threshold && after <= rule.threshold) return `odds crossed below ${rule.threshold}% (now ${current.odds}%)`;
+            return null;
+        case 'move':
+            return Math.abs(after - before) > rule.threshold
+                ? `odds moved ${formatPoints(after - before)} since the last refresh (now ${current.odds}%)`
+                : null;
+        case 'volumeSpike': {
+            if (previous.volume <= 0) return null;
+            const growth = ((current.volume - previous.volume) / previous.volume) * 100;
+            return growth > rule.threshold ? `volume jumped ${growth.toFixed(0)}% since the last refresh` : null;
+        }
+        default:
+            return null;
+    }
+};
+
+// Returns the alerts fired between two refreshes: [{ marketId, ruleId, title, message }]
+export const evaluateAlerts = (watchlist, previousById, currentById) => {
+    const alerts = [];
+    Object.values(watchlist).forEach(entry => {
+        const previous = previousById.get(entry.id);
+        const current = currentById.get(entry.id);
+        if (!previous || !current) return;
+
+        entry.rules.forEach(rule => {
+            const message = checkRule(rule, previous, current);
+            if (message) alerts.push({ marketId: entry.id, ruleId: rule.id, title: current.title, slug: current.slug, message });
+        });
+    });
+    return alerts;
+};
@@ -0,0 +1,96 @@
+import { describe, expect, it } from 'vitest';
+import { alertTypesFor, createAlertRule, evaluateAlerts, setWatchRules, toggleWatchEntry } from './watchlist';
+
+const market = (id, probability, changes = {}) => ({
+    id,
+    title: `Market ${id}`,
+    slug: `market-${id}`,
+    probability,
+    odds: Math.round(probability * 100),
+    volume: 1000,
+    isMultiOutcome: false,
+    ...changes,
+});
+
+const rule = (type, threshold, id = type) => ({ id, type, threshold });
+const byId = (...markets) => new Map(markets.map(m => [m.id, m]));
+const watching = (id, ...rules) => ({ [id]: { id, title: `Market ${id}`, slug: `market-${id}`, rules } });
+
+describe('evaluateAlerts', () => {
+    it('fires a cross rule in either direction, once the line is reached', () => {
+        const watchlist = watching('a', rule('cross', 50));
+        expect(evaluateAlerts(watchlist, byId(market('a', 0.45)), byId(market('a', 0.5)))).toEqual([{
+            marketId: 'a',
+            ruleId: 'cross',
+            title: 'Market a',
+            slug: 'market-a',
+            message: 'odds crossed above 50% (now 50%)',
+        }]);
+        expect(evaluateAlerts(watchlist, byId(market('a', 0.55)), byId(market('a', 0.42)))[0].message)
+            .toBe('odds crossed below 50% (now 42%)');
+        expect(evaluateAlerts(watchlist, byId(market('a', 0.5)), byId(market('a', 0.6)))).toEqual([]);
+        expect(evaluateAlerts(watchlist, byId(market('a', 0.3)), byId(market('a', 0.45)))).toEqual([]);
+    });
+
+    it('only checks cross rules on Yes/No markets', () => {
+        const watchlist = watching('a', rule('cross', 50));
+        const leaderChanged = market('a', 0.55, { isMultiOutcome: true });
+        expect(evaluateAlerts(watchlist, byId(market('a', 0.4, { isMultiOutcome: true })), byId(leaderChanged))).toEqual([]);
+        const cluster = market('a', 0.55, { isCluster: true });
+        expect(evaluateAlerts(watchlist, byId(market('a', 0.4, { isCluster: true })), byId(cluster))).toEqual([]);
+    });
+
+    it('fires a move rule past the threshold either way', () => {
+        const watchlist = watching('a', rule('move', 5));
+        expect(evaluateAlerts(watchlist, byId(market('a', 0.4)), byId(market('a', 0.46)))[0].message)
+            .toBe('odds moved +6.0 pts since the last refresh (now 46%)');
+        expect(evaluateAlerts(watchlist, byId(market('a', 0.4)), byId(market('a', 0.33)))[0].message)
+            .toBe('odds moved -7.0 pts since the last refresh (now 33%)');
+        expect(evaluateAlerts(watchlist, byId(market('a', 0.4)), byId(market('a', 0.45)))).toEqual([]);
+    });
+
+    it('fires a volume spike rule on growth past the threshold', () => {
+        const watchlist = watching('a', rule('volumeSpike', 25));
+        expect(evaluateAlerts(watchlist, byId(market('a', 0.4)), byId(market('a', 0.4, { volume: 1300 })))[0].message)
+            .toBe('volume jumped 30% since the last refresh');
+        expect(evaluateAlerts(watchlist, byId(market('a', 0.4)), byId(market('a', 0.4, { volume: 1200 })))).toEqual([]);
+        expect(evaluateAlerts(watchlist, byId(market('a', 0.4, { volume: 0 })), byId(market('a', 0.4, { volume: 500 })))).toEqual([]);
+    });
+
+    it('checks every rule and skips markets missing from either refresh', () => {
+        const watchlist = { ...watching('a', rule('cross', 50), rule('move', 5)), ...watching('b', rule('move', 1)) };
+        const alerts = evaluateAlerts(watchlist, byId(market('a', 0.4), market('b', 0.4)), byId(market('a', 0.6)));
+        expect(alerts.map(alert => [alert.marketId, alert.ruleId])).toEqual([['a', 'cross'], ['a', 'move']]);
+    });
+});
+
+describe('alertTypesFor', () => {
+    it('offers cross rules for Yes/No markets only', () => {
+        expect(alertTypesFor(market('a', 0.5))).toEqual(['cross', 'move', 'volumeSpike']);
+        expect(alertTypesFor(market('a', 0.5, { isMultiOutcome: true }))).toEqual(['move', 'volumeSpike']);
+        expect(alertTypesFor(market('a', 0.5, { isCluster: true }))).toEqual(['move', 'volumeSpike']);
+    });
+});
+
+describe('createAlertRule', () => {
+    it('gives rules created together distinct ids', () => {
+        const rules = [createAlertRule('cross'), createAlertRule('cross'), createAlertRule('move')];
+        expect(new Set(rules.map(r => r.id)).size).toBe(3);
+        expect(rules[2]).toMatchObject({ type: 'move', threshold: 5 });
+    });
+});
+
+describe('watchlist updates', () => {
+    it('adds a market and removes it again', () => {
+        const added = toggleWatchEntry({}, market('a', 0.5));
+        expect(added.a).toMatchObject({ id: 'a', title: 'Market a', slug: 'market-a', rules: [] });
+        expect(toggleWatchEntry(added, market('a', 0.5))).toEqual({});
+    });
+
+    it('sets the rules of a watched market and ignores others', () => {
+        const watchlist = toggleWatchEntry({}, market('a', 0.5));
+        const rules = [rule('move', 5)];
+        expect(setWatchRules(watchlist, 'a', rules).a.rules).toBe(rules);
+        expect(setWatchRules(watchlist, 'b', rules)).toBe(watchlist);
+    });
+});
@@ -0,0 +1,53 @@
+import React from 'react';
+
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// While `isActive`, keeps Tab focus inside the element in `ref` and calls
+// `onEscape` on Escape. Focus moves into the element when the trap starts and
+// goes back to whatever had it before when the trap ends.
+const useFocusTrap = (ref, isActive, onEscape) => {
+    const onEscapeRef = React.useRef(onEscape);
+    React.useEffect(() => {
+        onEscapeRef.current = onEscape;
+    }, [onEscape]);
+
+    React.useEffect(() => {
+        if (!isActive || !ref.current) return;
+        const container = ref.current;
+        const previouslyFocused = document.activeElement;
+        container.focus();
+
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                onEscapeRef.current();
+                return;
+            }
+            if (e.key !== 'Tab') return;
+
+            const focusable = [...container.querySelectorAll(FOCUSABLE)];
+            if (focusable.length === 0) {
+                e.preventDefault();
+                return;
+            }
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            const isInside = container.contains(document.activeElement) && document.activeElement !== container;
+            if (e.shiftKey && (!isInside || document.activeElement === first)) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && (!isInside || document.activeElement === last)) {
+                e.preventDefault();
+                first.focus();
+            }
+        };
+        document.addEventListener('keydown', handleKeyDown);
+
+        return () => {
+            document.removeEventListener('keydown', handleKeyDown);
+            if (previouslyFocused && document.contains(previouslyFocused)) previouslyFocused.focus();
+        };
+    }, [ref, isActive]);
+};
+
+export default useFocusTrap;
@@ -0,0 +1,39 @@
+import React from 'react';
+import { loadPortfolio, savePortfolio, createPortfolio, buyShares, sellPosition, settlePositions, markToMarket, positionPrice } from '../data/portfolio';
+
+// Paper-trading portfolio state, written back to localStorage on every change.
+// `buy` throws when the trade isn't possible so the ticket can show why.
+const usePortfolio = () => {
+    const [portfolio, setPortfolio] = React.useState(loadPortfolio);
+    const portfolioRef = React.useRef(portfolio);
+
+    React.useEffect(() => {
+        portfolioRef.current = portfolio;
+        savePortfolio(portfolio);
+    }, [portfolio]);
+
+    // Checked against the latest committed state first so errors surface synchronously
+    const buy = React.useCallback((market, side, amount) => {
+        const now = Date.now();
+        buyShares(portfolioRef.current, market, side, amount, now);
+        setPortfolio(prev => buyShares(prev, market, side, amount, now));
+    }, []);
+
+    // Fills at `market`'s current price rather than the position's last mark
+    const sell = React.useCallback((positionId, market) => setPortfolio(prev => {
+        const position = prev.positions.find(p => p.id === positionId);
+        return position ? sellPosition(prev, positionId, positionPrice(position, market)) : prev;
+    }), []);
+
+    const settle = React.useCallback((settlements) => {
+        if (settlements.length > 0) setPortfolio(prev => settlePositions(prev, settlements));
+    }, []);
+
+    const markPositions = React.useCallback((marketsById) => setPortfolio(prev => markToMarket(prev, marketsById)), []);
+
+    const reset = React.useCallback(() => setPortfolio(createPortfolio()), []);
+
+    return { portfolio, portfolioRef, buy, sell, settle, markPositions, reset };
+};
+
+export default usePortfolio;
@@ -0,0 +1,17 @@
+import React from 'react';
+import { loadPreferences, savePreferences } from '../data/preferences';
+
+// Display preferences, written back to localStorage on every change
+const usePreferences = () => {
+    const [preferences, setPreferences] = React.useState(loadPreferences);
+
+    React.useEffect(() => {
+        savePreferences(preferences);
+    }, [preferences]);
+
+    const setPreference = React.useCallback((key, value) => setPreferences(prev => ({ ...prev, [key]: value })), []);
+
+    return [preferences, setPreference];
+};
+
+export default usePreferences;
@@ -0,0 +1,20 @@
+import React from 'react';
+
+const QUERY = '(prefers-reduced-motion: reduce)';
+
+// Tracks the user's prefers-reduced-motion setting, including live changes
+const useReducedMotion = () => {
+    const [isReduced, setIsReduced] = React.useState(() => Boolean(window.matchMedia?.(QUERY).matches));
+
+    React.useEffect(() => {
+        const media = window.matchMedia?.(QUERY);
+        if (!media) return;
+        const handleChange = (e) => setIsReduced(e.matches);
+        media.addEventListener('change', handleChange);
+        return () => media.removeEventListener('change', handleChange);
+    }, []);
+
+    return isReduced;
+};
+
+export default useReducedMotion;
@@ -0,0 +1,48 @@
+import React from 'react';
+
+// Minimal client-side routing over the History API. Routes:
+//   /                 -> { name: 'home' }
+//   /market/:slug     -> { name: 'market', slug }
+// Navigation keeps the query string, so filters survive opening a market.
+
+export const parseRoute = (pathname) => {
+    const match = pathname.match(/^\/market\/([^/]+)\/?$/);
+    if (!match) return { name: 'home' };
+    try {
+        return { name: 'market', slug: decodeURIComponent(match[1]) };
+    } catch (err) {
+        // A malformed escape such as "%E0%A4%A" would otherwise fail the first render
+        console.warn('Ignoring malformed market link:', err);
+        return { name: 'home' };
+    }
+};
+
+export const marketPath = (market) => `/market/${encodeURIComponent(market.slug || market.id)}`;
+
+const useRoute = () => {
+    const [route, setRoute] = React.useState(() => parseRoute(window.location.pathname));
+
+    React.useEffect(() => {
+        const handlePopState = () => setRoute(parseRoute(window.location.pathname));
+        window.addEventListener('popstate', handlePopState);
+        return () => window.removeEventListener('popstate', handlePopState);
+    }, []);
+
+    // `state.inApp` marks entries pushed by the app, so closing can step back
+    // instead of piling up history when the page was opened from a deep link.
+    const navigate = React.useCallback((path, { replace = false } = {}) => {
+        const url = `${path}${window.location.search}${window.location.hash}`;
+        if (replace) window.history.replaceState(window.history.state, '', url);
+        else window.history.pushState({ inApp: true }, '', url);
+        setRoute(parseRoute(path));
+    }, []);
+
+    const goBack = React.useCallback((fallbackPath) => {
+        if (window.history.state?.inApp) window.history.back();
+        else navigate(fallbackPath, { replace: true });
+    }, [navigate]);
+
+    return { route, navigate, goBack };
+};
+
+export default useRoute;
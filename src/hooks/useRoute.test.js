@@ -0,0 +1,27 @@
+import { describe, expect, it, vi } from 'vitest';
+import { parseRoute, marketPath } from './useRoute';
+
+describe('parseRoute', () => {
+    it('reads market routes', () => {
+        expect(parseRoute('/market/will-it-rain')).toEqual({ name: 'market', slug: 'will-it-rain' });
+        expect(parseRoute('/market/caf%C3%A9/')).toEqual({ name: 'market', slug: 'café' });
+    });
+
+    it('round-trips marketPath', () => {
+        expect(parseRoute(marketPath({ slug: 'a/b c' }))).toEqual({ name: 'market', slug: 'a/b c' });
+        expect(parseRoute(marketPath({ slug: '', id: '42' }))).toEqual({ name: 'market', slug: '42' });
+    });
+
+    it('falls back to home for other paths', () => {
+        expect(parseRoute('/')).toEqual({ name: 'home' });
+        expect(parseRoute('/market/')).toEqual({ name: 'home' });
+        expect(parseRoute('/markets/x')).toEqual({ name: 'home' });
+    });
+
+    it('falls back to home for malformed escapes', () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        expect(parseRoute('/market/%E0%A4%A')).toEqual({ name: 'home' });
+        expect(warn).toHaveBeenCalledOnce();
+        warn.mockRestore();
+    });
+});
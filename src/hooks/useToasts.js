@@ -0,0 +1,24 @@
+import React from 'react';
+
+const TOAST_DURATION = 8000; // ms
+
+// In-app toast queue; each toast dismisses itself after a few seconds
+const useToasts = () => {
+    const [toasts, setToasts] = React.useState([]);
+    const nextIdRef = React.useRef(0);
+
+    const dismissToast = React.useCallback((id) => {
+        setToasts(prev => prev.filter(toast => toast.id !== id));
+    }, []);
+
+    // `toast` is { title, message, onClick? }
+    const pushToast = React.useCallback((toast) => {
+        const id = nextIdRef.current++;
+        setToasts(prev => [...prev, { ...toast, id }]);
+        setTimeout(() => dismissToast(id), TOAST_DURATION);
+    }, [dismissToast]);
+
+    return { toasts, pushToast, dismissToast };
+};
+
+export default useToasts;
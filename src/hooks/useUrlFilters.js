@@ -0,0 +1,25 @@
+import React from 'react';
+import { parseFilters, serializeFilters } from '../data/filters';
+
+// Filter state mirrored into the URL query string. Updates replace the
+// current history entry (typing in search shouldn't flood the back button),
+// and back/forward navigation re-reads the filters.
+const useUrlFilters = () => {
+    const [filters, setFilters] = React.useState(() => parseFilters(window.location.search));
+
+    React.useEffect(() => {
+        const query = serializeFilters(filters, window.location.search);
+        if (query === window.location.search) return;
+        window.history.replaceState(window.history.state, '', `${window.location.pathname}${query}${window.location.hash}`);
+    }, [filters]);
+
+    React.useEffect(() => {
+        const handlePopState = () => setFilters(parseFilters(window.location.search));
+        window.addEventListener('popstate', handlePopState);
+        return () => window.removeEventListener('popstate', handlePopState);
+    }, []);
+
+    return [filters, setFilters];
+};
+
+export default useUrlFilters;
@@ -0,0 +1,63 @@
+import React from 'react';
+import { createVenues } from '../data/venues';
+import { matchMarkets, isMatchable } from '../data/matching';
+import { loadVenueLinks, saveVenueLinks, setVenueLink } from '../data/venueLinks';
+
+const VENUE_REFRESH_INTERVAL = 5 * 60 * 1000; // ms
+
+// Markets from the other venues, refreshed in the background, and their
+// matches against `markets`. A venue that fails to load keeps its last
+// markets; one that has never loaded is listed in `failedVenues`. Manual
+// links are written back to localStorage on every change.
+const useVenues = (markets) => {
+    const venues = React.useMemo(() => createVenues(), []);
+    const [venueMarkets, setVenueMarkets] = React.useState({});
+    const [failedVenues, setFailedVenues] = React.useState({});
+    const [links, setLinks] = React.useState(loadVenueLinks);
+
+    React.useEffect(() => {
+        saveVenueLinks(links);
+    }, [links]);
+
+    React.useEffect(() => {
+        if (venues.length === 0) return undefined;
+        let cancelled = false;
+        const refresh = () => venues.forEach(venue => {
+            venue.fetchMarkets()
+                .then(fetched => {
+                    if (cancelled) return;
+                    setVenueMarkets(prev => ({ ...prev, [venue.name]: fetched }));
+                    setFailedVenues(prev => ({ ...prev, [venue.name]: false }));
+                })
+                .catch(err => {
+                    console.warn(`Failed to fetch ${venue.label} markets:`, err);
+                    if (!cancelled) setFailedVenues(prev => ({ ...prev, [venue.name]: true }));
+                });
+        });
+        refresh();
+        const timer = setInterval(refresh, VENUE_REFRESH_INTERVAL);
+        return () => {
+            cancelled = true;
+            clearInterval(timer);
+        };
+    }, [venues]);
+
+    // Matching only looks at ids and titles, so a refresh that only
+    // re-prices `markets` doesn't redo it
+    const matchKey = React.useMemo(
+        () => JSON.stringify(markets.filter(isMatchable).map(market => [market.id, market.title])),
+        [markets],
+    );
+    const matches = React.useMemo(
+        () => matchMarkets(JSON.parse(matchKey).map(([id, title]) => ({ id, title })), venueMarkets, links),
+        [matchKey, venueMarkets, links],
+    );
+
+    const setLink = React.useCallback((marketId, venue, venueMarketId) => (
+        setLinks(prev => setVenueLink(prev, marketId, venue, venueMarketId))
+    ), []);
+
+    return { venues, venueMarkets, failedVenues, matches, links, setLink };
+};
+
+export default useVenues;
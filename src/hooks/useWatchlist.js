@@ -0,0 +1,19 @@
+import React from 'react';
+import { loadWatchlist, saveWatchlist, setWatchRules, toggleWatchEntry } from '../data/watchlist';
+
+// Watchlist state, written back to localStorage on every change
+const useWatchlist = () => {
+    const [watchlist, setWatchlist] = React.useState(loadWatchlist);
+
+    React.useEffect(() => {
+        saveWatchlist(watchlist);
+    }, [watchlist]);
+
+    const toggleWatch = React.useCallback((market) => setWatchlist(prev => toggleWatchEntry(prev, market)), []);
+
+    const setRules = React.useCallback((marketId, rules) => setWatchlist(prev => setWatchRules(prev, marketId, rules)), []);
+
+    return { watchlist, toggleWatch, setRules };
+};
+
+export default useWatchlist;
@@ -0,0 +1,8 @@
+// Registers public/sw.js in production builds. It's left out under `vite`,
+// where caching the unbundled dev modules would only get in the way.
+export const registerServiceWorker = () => {
+    if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('/sw.js').catch(err => console.warn('Service worker registration failed:', err));
+    });
+};
@@ -1,7 +1,61 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Runs Netlify functions under `vite` so /api/insight works without the Netlify CLI.
+// With no provider env vars set, the insight function uses its mock provider.
+const netlifyFunctionsDev = () => ({
+  name: 'netlify-functions-dev',
+  configureServer(server) {
+    server.middlewares.use('/api/insight', async (req, res) => {
+      const { default: handler } = await server.ssrLoadModule('/netlify/functions/insight/insight.mjs')
+      const chunks = []
+      for await (const chunk of req) chunks.push(chunk)
+
+      const controller = new AbortController()
+      res.on('close', () => controller.abort())
+      const request = new Request(`http://localhost${req.originalUrl}`, {
+        method: req.method,
+        headers: req.headers,
+        body: chunks.length ? new Blob(chunks) : undefined,
+        signal: controller.signal,
+      })
+
+      const response = await handler(request)
+      res.writeHead(response.status, Object.fromEntries(response.headers))
+      if (response.body) {
+        for await (const chunk of response.body) res.write(chunk)
+      }
+      res.end()
+    })
+  },
+})
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), netlifyFunctionsDev()],
+  server: {
+    // Mirrors the redirects in netlify.toml so the "netlify" source works under `vite`
+    proxy: {
+      '/api/polymarket': {
+        target: 'https://gamma-api.polymarket.com',
+        changeOrigin: true,
+        rewrite: (path) => path.replace(/^\/api\/polymarket/, '/markets'),
+      },
+      '/api/prices-history': {
+        target: 'https://clob.polymarket.com',
+        changeOrigin: true,
+        rewrite: (path) => path.replace(/^\/api/, ''),
+      },
+      '/api/kalshi': {
+        target: 'https://api.elections.kalshi.com',
+        changeOrigin: true,
+        rewrite: (path) => path.replace(/^\/api\/kalshi/, '/trade-api/v2/markets'),
+      },
+      '/api/manifold': {
+        target: 'https://api.manifold.markets',
+        changeOrigin: true,
+        rewrite: (path) => path.replace(/^\/api\/manifold/, '/v0/search-markets'),
+      },
+    },
+  },
 })